@@ -187,6 +187,8 @@ ${c.green}Usage:${c.reset}
   contextbricks install         Install status line
   contextbricks uninstall       Uninstall status line
   contextbricks test            Test with sample data
+  contextbricks render [--target tmux|waybar|polybar|pango|json|ansi]
+                                Re-render the last Claude Code session (for status bars)
   contextbricks --help          Show this help
   contextbricks --version       Show version
 
@@ -202,6 +204,32 @@ ${c.green}More Info:${c.reset}
 `);
 }
 
+function render() {
+  const { loadConfig } = require('../scripts/lib/config');
+  const { readSnapshot, resolveSnapshotPath } = require('../scripts/lib/snapshot');
+
+  const args = process.argv.slice(3);
+  const ti = args.indexOf('--target');
+  const target = ti >= 0 ? args[ti + 1] : (args.find((a) => a.startsWith('--target=')) || '--target=ansi').slice(9);
+
+  const snapshotPath = resolveSnapshotPath(loadConfig().config);
+  const snapshot = readSnapshot(snapshotPath);
+  if (!snapshot) {
+    console.error(`ContextBricks: no snapshot at ${snapshotPath} — it is written on every status line refresh inside Claude Code`);
+    process.exit(1);
+  }
+
+  const result = spawnSync(process.execPath, [STATUSLINE_SCRIPT, '--target', target || 'ansi'], {
+    input: snapshot,
+    encoding: 'utf8',
+    windowsHide: true,
+    timeout: 15000,
+  });
+  if (result.stdout) process.stdout.write(result.stdout);
+  if (result.stderr) process.stderr.write(result.stderr);
+  process.exit(result.status === null ? 1 : result.status);
+}
+
 function test() {
   console.log(`${c.cyan}Testing statusline with sample data...${c.reset}\n`);
 
@@ -318,6 +346,10 @@ switch (command) {
     test();
     break;
 
+  case 'render':
+    render();
+    break;
+
   case '--version':
   case '-v': {
     const pkg = require('../package.json');
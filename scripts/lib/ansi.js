@@ -1,29 +1,414 @@
 'use strict';
 
 /**
- * ansi.js — shared ANSI color constants
- *
- * Extracted from scripts/statusline.js v4.7.0 lines 110-125.
- * Single source of truth for all ANSI escape sequences used by
- * rate-view.js and format/* modules.
- *
- * Per spec.md NFR-3 (byte-identical output for v4.7.0-equivalent input).
- */
-
-const c = {
-  reset: '\x1b[0m',
-  bold: '\x1b[1m',
-  dim: '\x1b[2m',
-  cyan: '\x1b[1;36m',
-  green: '\x1b[1;32m',
-  blue: '\x1b[1;34m',
-  red: '\x1b[1;31m',
-  yellow: '\x1b[1;33m',
-  dimWhite: '\x1b[2;37m',
-  greenNorm: '\x1b[0;32m',
-  redNorm: '\x1b[0;31m',
-  cyanNorm: '\x1b[0;36m',
-  yellowNorm: '\x1b[0;33m',
+ * ansi.js — color themes and terminal color-depth detection
+ *
+ * Single source of truth for every ANSI escape sequence emitted by
+ * segments.js and the format/* modules. Modules never embed raw SGR codes;
+ * they ask a theme for a semantic role (`t.branch`, `t.brickFree`,
+ * `t.util(pct)`) and close with `t.reset`.
+ *
+ * Exports:
+ *   createTheme(name, depth) → theme     — role → escape string, plus util(pct)
+ *   detectColorDepth(env)    → 'none' | '16' | '256' | 'truecolor'
+ *   hyperlink(url, text)     → text wrapped in an OSC 8 hyperlink ('' url → text)
+ *   detectHyperlinks(env)    → boolean — terminal renders OSC 8 links
+ *   THEME_NAMES, COLOR_DEPTHS
+ *
+ * Each role is declared once per theme as { attr, fg, x256, rgb }:
+ *   16-color   → `attr;fg`               (always available)
+ *   256-color  → `attr;38;5;x256`        (falls back to 16-color when x256 absent)
+ *   truecolor  → `attr;38;2;r;g;b`       (falls back to 256, then 16)
+ *   none       → '' for every role, reset and util() (NO_COLOR, TERM=dumb)
+ *
+ * The `dark` theme declares only 16-color roles (plus the 256-color
+ * utilization gradient), so at depth 256 its output is byte-identical to
+ * the v5.0 fixed palette (NFR-3).
+ */
+
+/** Supported theme names */
+const THEME_NAMES = ['dark', 'light', 'solarized', 'high-contrast'];
+
+/** Supported color depths, lowest → highest */
+const COLOR_DEPTHS = ['none', '16', '256', 'truecolor'];
+
+// ---------------------------------------------------------------------------
+// Theme definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * Roles:
+ *   bold, dim                      generic emphasis
+ *   model, repo, branch, dirty     Line 1
+ *   added, removed                 +N / -N diff counts
+ *   staged, modified, deleted,     working-tree status counts
+ *   renamed, untracked,
+ *   conflicted, stash
+ *   operation                      REBASE 3/7 / MERGING — reverse video
+ *   protected                      branch with pending work on a protected branch
+ *   commit                         Line 2 [sha]
+ *   commitFeat, commitFix,         Line 2 conventional-commit type: feat, fix,
+ *   commitType                     any other type
+ *   breaking                       the `!` of a breaking change
+ *   commitFlag                     fixup! / squash! / WIP — reverse video
+ *   brickUsed, brickFree, free,    Line 3
+ *   brickInput, brickCacheWrite,   used bricks by token category (current_usage)
+ *   brickCacheRead, brickOutput
+ *   brickWarn, brickCritical,      used bricks near / past the auto-compact threshold,
+ *   compactMarker                  the threshold cell
+ *   cost
+ *   label                          quota labels, TTL: prefix
+ *   paceOver, paceUnder            pacing /NN% coloring
+ *   peak, ttlCold                  Line 4 markers
+ * Plus `gradient`: 11 stops (0%, 10% … 100%) for util(pct).
+ */
+const THEMES = {
+  dark: {
+    bold:      { attr: '1' },
+    dim:       { attr: '2' },
+    model:     { attr: '1', fg: '36' },
+    repo:      { attr: '1', fg: '32' },
+    branch:    { attr: '1', fg: '34' },
+    dirty:     { attr: '1', fg: '31' },
+    commit:    { attr: '1', fg: '33' },
+    commitFeat: { attr: '0', fg: '32' },
+    commitFix: { attr: '0', fg: '31' },
+    commitType: { attr: '0', fg: '36' },
+    breaking:  { attr: '1', fg: '31' },
+    commitFlag: { attr: '1;7', fg: '35' },
+    added:     { attr: '0', fg: '32' },
+    removed:   { attr: '0', fg: '31' },
+    staged:    { attr: '0', fg: '32' },
+    modified:  { attr: '0', fg: '33' },
+    deleted:   { attr: '0', fg: '31' },
+    renamed:   { attr: '0', fg: '36' },
+    untracked: { attr: '0', fg: '35' },
+    conflicted: { attr: '1', fg: '31' },
+    stash:     { attr: '0', fg: '34' },
+    operation: { attr: '1;7', fg: '33' },
+    protected: { attr: '1;7', fg: '31' },
+    brickUsed: { attr: '0', fg: '36' },
+    brickFree: { attr: '2', fg: '37' },
+    brickInput: { attr: '0', fg: '36' },
+    brickCacheWrite: { attr: '0', fg: '33' },
+    brickCacheRead: { attr: '0', fg: '34' },
+    brickOutput: { attr: '0', fg: '35' },
+    brickWarn: { attr: '0', fg: '33' },
+    brickCritical: { attr: '0', fg: '31' },
+    compactMarker: { attr: '1', fg: '31' },
+    free:      { attr: '0', fg: '32' },
+    cost:      { attr: '0', fg: '33' },
+    label:     { attr: '2', fg: '37' },
+    paceOver:  { attr: '0', fg: '31' },
+    paceUnder: { attr: '0', fg: '32' },
+    peak:      { fg: '33' },
+    ttlCold:   { fg: '31' },
+    gradient: {
+      fg:   ['32', '32', '32', '32', '32', '33', '33', '33', '31', '31', '31'],
+      x256: [46, 82, 118, 154, 190, 226, 220, 214, 208, 202, 196],
+      rgb:  ['#00ff00', '#5fff00', '#87ff00', '#afff00', '#d7ff00', '#ffff00', '#ffd700', '#ffaf00', '#ff8700', '#ff5f00', '#ff0000'],
+    },
+  },
+
+  // Light backgrounds: no dim-white, no yellow text — both vanish on white.
+  light: {
+    bold:      { attr: '1' },
+    dim:       { attr: '2' },
+    model:     { attr: '1', fg: '36', x256: 30, rgb: '#00707a' },
+    repo:      { attr: '1', fg: '32', x256: 28, rgb: '#1a7f37' },
+    branch:    { attr: '1', fg: '34', x256: 25, rgb: '#0550ae' },
+    dirty:     { attr: '1', fg: '31', x256: 160, rgb: '#cf222e' },
+    commit:    { attr: '1', fg: '35', x256: 130, rgb: '#9a6700' },
+    commitFeat: { attr: '0', fg: '32', x256: 28, rgb: '#1a7f37' },
+    commitFix: { attr: '0', fg: '31', x256: 160, rgb: '#cf222e' },
+    commitType: { attr: '0', fg: '36', x256: 31, rgb: '#0a7ea4' },
+    breaking:  { attr: '1', fg: '31', x256: 124, rgb: '#a40e26' },
+    commitFlag: { attr: '1;7', fg: '35', x256: 97, rgb: '#8250df' },
+    added:     { attr: '0', fg: '32', x256: 28, rgb: '#1a7f37' },
+    removed:   { attr: '0', fg: '31', x256: 160, rgb: '#cf222e' },
+    staged:    { attr: '0', fg: '32', x256: 28, rgb: '#1a7f37' },
+    modified:  { attr: '0', fg: '35', x256: 130, rgb: '#9a6700' },
+    deleted:   { attr: '0', fg: '31', x256: 160, rgb: '#cf222e' },
+    renamed:   { attr: '0', fg: '36', x256: 31, rgb: '#0a7ea4' },
+    untracked: { attr: '0', fg: '35', x256: 97, rgb: '#8250df' },
+    conflicted: { attr: '1', fg: '31', x256: 124, rgb: '#a40e26' },
+    stash:     { attr: '0', fg: '34', x256: 25, rgb: '#0550ae' },
+    operation: { attr: '1;7', fg: '35', x256: 130, rgb: '#9a6700' },
+    protected: { attr: '1;7', fg: '31', x256: 124, rgb: '#a40e26' },
+    brickUsed: { attr: '0', fg: '34', x256: 31, rgb: '#0a7ea4' },
+    brickFree: { attr: '0', fg: '90', x256: 250, rgb: '#afb8c1' },
+    brickInput: { attr: '0', fg: '34', x256: 31, rgb: '#0a7ea4' },
+    brickCacheWrite: { attr: '0', fg: '31', x256: 130, rgb: '#9a6700' },
+    brickCacheRead: { attr: '0', fg: '32', x256: 28, rgb: '#1a7f37' },
+    brickOutput: { attr: '0', fg: '35', x256: 97, rgb: '#8250df' },
+    brickWarn: { attr: '0', fg: '35', x256: 130, rgb: '#9a6700' },
+    brickCritical: { attr: '0', fg: '31', x256: 160, rgb: '#cf222e' },
+    compactMarker: { attr: '1', fg: '31', x256: 124, rgb: '#a40e26' },
+    free:      { attr: '0', fg: '32', x256: 28, rgb: '#1a7f37' },
+    cost:      { attr: '0', fg: '35', x256: 130, rgb: '#9a6700' },
+    label:     { attr: '0', fg: '90', x256: 244, rgb: '#6e7781' },
+    paceOver:  { attr: '0', fg: '31', x256: 160, rgb: '#cf222e' },
+    paceUnder: { attr: '0', fg: '32', x256: 28, rgb: '#1a7f37' },
+    peak:      { fg: '35', x256: 130, rgb: '#9a6700' },
+    ttlCold:   { fg: '31', x256: 160, rgb: '#cf222e' },
+    gradient: {
+      fg:   ['32', '32', '32', '32', '32', '35', '35', '35', '31', '31', '31'],
+      x256: [28, 28, 34, 64, 100, 136, 130, 166, 160, 160, 124],
+      rgb:  ['#1a7f37', '#2a8a2a', '#4d8f1f', '#6f8f14', '#8a8a00', '#9a7a00', '#a86400', '#b84d00', '#c43a10', '#cf222e', '#a40e26'],
+    },
+  },
+
+  // Ethan Schoonover's Solarized accent colors — readable on both base03 and base3.
+  solarized: {
+    bold:      { attr: '1' },
+    dim:       { attr: '2' },
+    model:     { attr: '1', fg: '36', x256: 37, rgb: '#2aa198' },
+    repo:      { attr: '1', fg: '32', x256: 64, rgb: '#859900' },
+    branch:    { attr: '1', fg: '34', x256: 33, rgb: '#268bd2' },
+    dirty:     { attr: '1', fg: '31', x256: 160, rgb: '#dc322f' },
+    commit:    { attr: '1', fg: '33', x256: 136, rgb: '#b58900' },
+    commitFeat: { attr: '0', fg: '32', x256: 64, rgb: '#859900' },
+    commitFix: { attr: '0', fg: '31', x256: 160, rgb: '#dc322f' },
+    commitType: { attr: '0', fg: '36', x256: 37, rgb: '#2aa198' },
+    breaking:  { attr: '1', fg: '31', x256: 160, rgb: '#dc322f' },
+    commitFlag: { attr: '1;7', fg: '35', x256: 125, rgb: '#d33682' },
+    added:     { attr: '0', fg: '32', x256: 64, rgb: '#859900' },
+    removed:   { attr: '0', fg: '31', x256: 160, rgb: '#dc322f' },
+    staged:    { attr: '0', fg: '32', x256: 64, rgb: '#859900' },
+    modified:  { attr: '0', fg: '33', x256: 136, rgb: '#b58900' },
+    deleted:   { attr: '0', fg: '31', x256: 160, rgb: '#dc322f' },
+    renamed:   { attr: '0', fg: '36', x256: 37, rgb: '#2aa198' },
+    untracked: { attr: '0', fg: '35', x256: 61, rgb: '#6c71c4' },
+    conflicted: { attr: '1', fg: '31', x256: 160, rgb: '#dc322f' },
+    stash:     { attr: '0', fg: '34', x256: 33, rgb: '#268bd2' },
+    operation: { attr: '1;7', fg: '33', x256: 136, rgb: '#b58900' },
+    protected: { attr: '1;7', fg: '31', x256: 160, rgb: '#dc322f' },
+    brickUsed: { attr: '0', fg: '36', x256: 37, rgb: '#2aa198' },
+    brickFree: { attr: '0', fg: '90', x256: 240, rgb: '#586e75' },
+    brickInput: { attr: '0', fg: '36', x256: 37, rgb: '#2aa198' },
+    brickCacheWrite: { attr: '0', fg: '33', x256: 136, rgb: '#b58900' },
+    brickCacheRead: { attr: '0', fg: '34', x256: 33, rgb: '#268bd2' },
+    brickOutput: { attr: '0', fg: '35', x256: 61, rgb: '#6c71c4' },
+    brickWarn: { attr: '0', fg: '33', x256: 136, rgb: '#b58900' },
+    brickCritical: { attr: '0', fg: '31', x256: 160, rgb: '#dc322f' },
+    compactMarker: { attr: '1', fg: '31', x256: 160, rgb: '#dc322f' },
+    free:      { attr: '0', fg: '32', x256: 64, rgb: '#859900' },
+    cost:      { attr: '0', fg: '33', x256: 136, rgb: '#b58900' },
+    label:     { attr: '0', fg: '90', x256: 244, rgb: '#839496' },
+    paceOver:  { attr: '0', fg: '31', x256: 166, rgb: '#cb4b16' },
+    paceUnder: { attr: '0', fg: '32', x256: 64, rgb: '#859900' },
+    peak:      { fg: '33', x256: 136, rgb: '#b58900' },
+    ttlCold:   { fg: '31', x256: 160, rgb: '#dc322f' },
+    gradient: {
+      fg:   ['32', '32', '32', '32', '32', '33', '33', '33', '31', '31', '31'],
+      x256: [64, 64, 64, 100, 136, 136, 136, 166, 166, 160, 160],
+      rgb:  ['#859900', '#859900', '#8f9400', '#a08f00', '#b58900', '#b58900', '#c07512', '#cb4b16', '#d44022', '#dc322f', '#dc322f'],
+    },
+  },
+
+  // No dim attribute anywhere; bright, bold foregrounds only.
+  'high-contrast': {
+    bold:      { attr: '1' },
+    dim:       { attr: '0', fg: '37', x256: 252, rgb: '#d0d0d0' },
+    model:     { attr: '1', fg: '96', x256: 51, rgb: '#00ffff' },
+    repo:      { attr: '1', fg: '92', x256: 46, rgb: '#00ff00' },
+    branch:    { attr: '1', fg: '94', x256: 39, rgb: '#00afff' },
+    dirty:     { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    commit:    { attr: '1', fg: '93', x256: 226, rgb: '#ffff00' },
+    commitFeat: { attr: '1', fg: '92', x256: 46, rgb: '#00ff00' },
+    commitFix: { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    commitType: { attr: '1', fg: '96', x256: 51, rgb: '#00ffff' },
+    breaking:  { attr: '1;4', fg: '91', x256: 196, rgb: '#ff0000' },
+    commitFlag: { attr: '1;7', fg: '95', x256: 201, rgb: '#ff00ff' },
+    added:     { attr: '1', fg: '92', x256: 46, rgb: '#00ff00' },
+    removed:   { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    staged:    { attr: '1', fg: '92', x256: 46, rgb: '#00ff00' },
+    modified:  { attr: '1', fg: '93', x256: 226, rgb: '#ffff00' },
+    deleted:   { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    renamed:   { attr: '1', fg: '96', x256: 51, rgb: '#00ffff' },
+    untracked: { attr: '1', fg: '95', x256: 201, rgb: '#ff00ff' },
+    conflicted: { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    stash:     { attr: '1', fg: '94', x256: 39, rgb: '#00afff' },
+    operation: { attr: '1;7', fg: '93', x256: 226, rgb: '#ffff00' },
+    protected: { attr: '1;7', fg: '91', x256: 196, rgb: '#ff0000' },
+    brickUsed: { attr: '1', fg: '96', x256: 51, rgb: '#00ffff' },
+    brickFree: { attr: '0', fg: '97', x256: 255, rgb: '#ffffff' },
+    brickInput: { attr: '1', fg: '96', x256: 51, rgb: '#00ffff' },
+    brickCacheWrite: { attr: '1', fg: '93', x256: 226, rgb: '#ffff00' },
+    brickCacheRead: { attr: '1', fg: '92', x256: 46, rgb: '#00ff00' },
+    brickOutput: { attr: '1', fg: '95', x256: 201, rgb: '#ff00ff' },
+    brickWarn: { attr: '1', fg: '93', x256: 226, rgb: '#ffff00' },
+    brickCritical: { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    compactMarker: { attr: '1;7', fg: '91', x256: 196, rgb: '#ff0000' },
+    free:      { attr: '1', fg: '92', x256: 46, rgb: '#00ff00' },
+    cost:      { attr: '1', fg: '93', x256: 226, rgb: '#ffff00' },
+    label:     { attr: '0', fg: '97', x256: 255, rgb: '#ffffff' },
+    paceOver:  { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    paceUnder: { attr: '1', fg: '92', x256: 46, rgb: '#00ff00' },
+    peak:      { attr: '1', fg: '93', x256: 226, rgb: '#ffff00' },
+    ttlCold:   { attr: '1', fg: '91', x256: 196, rgb: '#ff0000' },
+    gradient: {
+      fg:   ['92', '92', '92', '92', '93', '93', '93', '91', '91', '91', '91'],
+      x256: [46, 46, 82, 118, 226, 226, 214, 208, 202, 196, 196],
+      rgb:  ['#00ff00', '#00ff00', '#5fff00', '#87ff00', '#ffff00', '#ffff00', '#ffaf00', '#ff8700', '#ff5f00', '#ff0000', '#ff0000'],
+    },
+  },
 };
 
-module.exports = { c };
+// ---------------------------------------------------------------------------
+// Encoding
+// ---------------------------------------------------------------------------
+
+/**
+ * '#rrggbb' → '38;2;r;g;b'
+ *
+ * @param {string} hex
+ * @returns {string}
+ */
+function rgbParam(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return `38;2;${(n >> 16) & 255};${(n >> 8) & 255};${n & 255}`;
+}
+
+/**
+ * Encode one role spec as an SGR escape at the given depth.
+ *
+ * @param {{ attr?: string, fg?: string, x256?: number, rgb?: string }} spec
+ * @param {string} depth
+ * @returns {string}
+ */
+function encode(spec, depth) {
+  let color = spec.fg;
+  if (depth === 'truecolor' && spec.rgb) color = rgbParam(spec.rgb);
+  else if (depth !== '16' && spec.x256 != null) color = `38;5;${spec.x256}`;
+  const params = [spec.attr, color].filter((p) => p != null);
+  return `\x1b[${params.join(';')}m`;
+}
+
+/**
+ * Encode gradient stop `idx` at the given depth. The 256-color stop is the
+ * v5.0 baseline — emitted bare (`38;5;N`), exactly as before themes existed.
+ *
+ * @param {object} gradient
+ * @param {number} idx
+ * @param {string} depth
+ * @returns {string}
+ */
+function encodeStop(gradient, idx, depth) {
+  if (depth === 'truecolor') return `\x1b[${rgbParam(gradient.rgb[idx])}m`;
+  if (depth === '256') return `\x1b[38;5;${gradient.x256[idx]}m`;
+  return `\x1b[${gradient.fg[idx]}m`;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Detect the terminal's color depth from NO_COLOR / COLORTERM / TERM.
+ * Unknown terminals get 256 colors — the v5.0 baseline every supported
+ * platform's default terminal handles.
+ *
+ * @param {object} env — environment map (e.g. process.env)
+ * @returns {'none'|'16'|'256'|'truecolor'}
+ */
+function detectColorDepth(env) {
+  // https://no-color.org — any non-empty value disables color
+  if (env.NO_COLOR) return 'none';
+  if ((env.TERM || '').toLowerCase() === 'dumb') return 'none';
+  const colorterm = (env.COLORTERM || '').toLowerCase();
+  if (colorterm === 'truecolor' || colorterm === '24bit') return 'truecolor';
+  if (env.WT_SESSION) return 'truecolor'; // Windows Terminal never sets COLORTERM
+  const term = (env.TERM || '').toLowerCase();
+  if (term.includes('256color')) return '256';
+  // Consoles known to lack 256-color support. Plain `xterm` is deliberately
+  // absent: most emulators that advertise it do render 256 colors.
+  if (['linux', 'vt100', 'vt220', 'ansi', 'cons25'].includes(term)) return '16';
+  return '256';
+}
+
+/**
+ * Build a theme: an object mapping every role to its escape string,
+ * plus `reset` and `util(pct)` (utilization gradient, green → yellow → red).
+ *
+ * @param {string} [name]  — one of THEME_NAMES (default 'dark'; unknown → 'dark')
+ * @param {string} [depth] — one of COLOR_DEPTHS (default '256')
+ * @returns {object}
+ */
+function createTheme(name = 'dark', depth = '256') {
+  const def = THEMES[name] || THEMES.dark;
+  if (depth === 'none') {
+    const plain = { reset: '', util: () => '' };
+    for (const role of Object.keys(def)) {
+      if (role !== 'gradient') plain[role] = '';
+    }
+    return Object.freeze(plain);
+  }
+  const theme = { reset: '\x1b[0m' };
+  for (const role of Object.keys(def)) {
+    if (role === 'gradient') continue;
+    theme[role] = encode(def[role], depth);
+  }
+  const stops = def.gradient.x256.map((_, i) => encodeStop(def.gradient, i, depth));
+  theme.util = (pct) => {
+    const clamped = Math.max(0, Math.min(100, pct));
+    return stops[Math.min(Math.round(clamped / 10), stops.length - 1)];
+  };
+  return Object.freeze(theme);
+}
+
+/** TERM_PROGRAM values of emulators that render OSC 8, with minimum version */
+const HYPERLINK_PROGRAMS = { 'iTerm.app': [3, 1], WezTerm: [0, 0], vscode: [1, 72], ghostty: [0, 0], Hyper: [0, 0] };
+
+/** TERM substrings of emulators that render OSC 8 */
+const HYPERLINK_TERMS = ['kitty', 'alacritty', 'foot', 'ghostty', 'wezterm', 'contour'];
+
+/**
+ * @param {string} version — e.g. '3.4.19'
+ * @param {number[]} min   — [major, minor]
+ * @returns {boolean}
+ */
+function versionAtLeast(version, min) {
+  const [major = 0, minor = 0] = String(version || '').split('.').map((n) => parseInt(n, 10) || 0);
+  return major > min[0] || (major === min[0] && minor >= min[1]);
+}
+
+/**
+ * Detect OSC 8 hyperlink support. FORCE_HYPERLINK (any value but '0' → on)
+ * overrides. NO_COLOR keeps its promise of plain output. Unknown terminals
+ * get no links: an unsupported emulator may print the URL inline, which
+ * costs far more than a missing link. tmux and screen are unknown too — they
+ * pass OSC 8 through only when configured.
+ *
+ * @param {object} env — environment map (e.g. process.env)
+ * @returns {boolean}
+ */
+function detectHyperlinks(env) {
+  if (env.FORCE_HYPERLINK != null && env.FORCE_HYPERLINK !== '') return env.FORCE_HYPERLINK !== '0';
+  if (env.NO_COLOR) return false;
+  const term = (env.TERM || '').toLowerCase();
+  if (term === 'dumb' || term.startsWith('screen') || term.startsWith('tmux')) return false;
+  const min = HYPERLINK_PROGRAMS[env.TERM_PROGRAM];
+  if (min) return versionAtLeast(env.TERM_PROGRAM_VERSION, min);
+  if (env.WT_SESSION) return true;
+  if (Number(env.VTE_VERSION) >= 5000) return true;
+  return HYPERLINK_TERMS.some((name) => term.includes(name));
+}
+
+/**
+ * Wrap `text` in an OSC 8 hyperlink. ST-terminated, which width.js strips
+ * and every OSC 8 terminal accepts. Control characters are removed from the
+ * URL so a crafted remote cannot inject escape sequences.
+ *
+ * @param {string} url  — '' returns text unchanged
+ * @param {string} text
+ * @returns {string}
+ */
+function hyperlink(url, text) {
+  // eslint-disable-next-line no-control-regex
+  const safe = String(url || '').replace(/[\x00-\x1f\x7f]/g, '');
+  if (!safe || !text) return text;
+  return `\x1b]8;;${safe}\x1b\\${text}\x1b]8;;\x1b\\`;
+}
+
+module.exports = { createTheme, detectColorDepth, hyperlink, detectHyperlinks, THEME_NAMES, COLOR_DEPTHS };
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * commit-msg.js — Conventional Commits and work-in-progress markers in a subject.
+ *
+ * parseCommitMessage(subject) → { flag, marker, type, scope, breaking, header, subject }
+ * CONVENTIONAL_TYPES          — types that get a color on line 2
+ *
+ *   'fixup! feat(parser)!: drop v1 syntax'
+ *     → { flag: 'fixup', marker: 'fixup!', type: 'feat', scope: 'parser', breaking: true,
+ *         header: 'feat(parser)!: ', subject: 'drop v1 syntax' }
+ *
+ * Flags are commits that should not be pushed as they are: `fixup!`,
+ * `squash!` and `amend!` (git commit --fixup / --squash, autosquashed by
+ * `git rebase -i --autosquash`), and WIP (`WIP`, `WIP:`, `WIP …`, `[WIP]`,
+ * any case — not a ticket ID such as `WIP-123`).
+ * `marker` is the flag as written, so the subject splits into
+ * marker + separating space + header + subject.
+ *
+ * A header is recognized only for CONVENTIONAL_TYPES: `Note: …` or
+ * `Merge: …` stay plain text. Without a header, type and scope are '' and
+ * the whole remaining text is `subject`.
+ */
+
+/** Types from the Conventional Commits spec and commitlint's config-conventional */
+const CONVENTIONAL_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+/** fixup! / squash! / amend!, then WIP in its usual spellings */
+const FLAG_RE = /^(?:(fixup|squash|amend)!|(\[wip\]|wip(?::|\s|$)))\s*/i;
+
+/** type(scope)!: — scope and `!` optional, at least one space after the colon */
+const HEADER_RE = /^([a-z]+)(?:\(([^()\s][^()]*)\))?(!)?: +/i;
+
+/**
+ * Split a commit subject into its flag, conventional header and text.
+ *
+ * @param {string} subject — first line of the commit message
+ * @returns {{ flag: string, marker: string, type: string, scope: string, breaking: boolean,
+ *   header: string, subject: string }}
+ *   flag: '' | 'fixup' | 'squash' | 'amend' | 'wip'; type lower-cased
+ */
+function parseCommitMessage(subject) {
+  let rest = String(subject || '');
+  let flag = '';
+  let marker = '';
+  const f = FLAG_RE.exec(rest);
+  // `wip` needs `:`, a space or the end after it: `wipe the cache` and the ticket `WIP-123 …` are no flags
+  if (f) {
+    flag = f[1] ? f[1].toLowerCase() : 'wip';
+    marker = f[0].trimEnd();
+    rest = rest.slice(f[0].length);
+  }
+  const h = HEADER_RE.exec(rest);
+  if (!h || !CONVENTIONAL_TYPES.includes(h[1].toLowerCase())) {
+    return { flag, marker, type: '', scope: '', breaking: false, header: '', subject: rest };
+  }
+  return {
+    flag,
+    marker,
+    type: h[1].toLowerCase(),
+    scope: h[2] || '',
+    breaking: Boolean(h[3]),
+    header: h[0],
+    subject: rest.slice(h[0].length),
+  };
+}
+
+module.exports = { parseCommitMessage, CONVENTIONAL_TYPES };
@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * config.js — resolve the ContextBricks configuration object.
+ *
+ * loadConfig({ env, fsAccess, configPath }) → { config, warnings, path }
+ *
+ * Sources (lowest → highest precedence):
+ *   1. SCHEMA defaults
+ *   2. ~/.claude/contextbricks.json (path overridable via CONTEXTBRICKS_CONFIG)
+ *   3. CONTEXTBRICKS_* environment variables
+ *
+ * Every key is validated against SCHEMA. Unknown file keys and invalid values
+ * (file or env) never throw — they are reported in `warnings` and the
+ * lower-precedence value is kept.
+ *
+ * The returned config object is frozen and is the only place lib modules
+ * read user settings from; no lib module reads CONTEXTBRICKS_* directly.
+ *
+ * Zero new npm dependencies (NFR-4).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SEGMENT_NAMES, DEFAULT_LAYOUT, parseLayout } = require('./layout');
+const { THEME_NAMES, COLOR_DEPTHS } = require('./ansi');
+const { MARKUP_TARGETS } = require('./format/markup');
+const { STATUS_KEYS, BRICK_STYLE_NAMES } = require('./glyphs');
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/** Settings one gitRepos entry may set, validated like top-level keys */
+const REPO_FIELDS = {
+  git:       { type: 'boolean' },
+  untracked: { type: 'enum', values: ['normal', 'no'] },
+  fsmonitor: { type: 'boolean' },
+  timeout:   { type: 'integer', min: 100 },
+};
+
+/**
+ * Config keys. `env` is the overriding environment variable (optional),
+ * `type` one of boolean | integer | string | regex | enum | layout | symbols | list | repos.
+ */
+const SCHEMA = {
+  showDir:         { env: 'CONTEXTBRICKS_SHOW_DIR', type: 'boolean', default: true },
+  bricks:          { env: 'CONTEXTBRICKS_BRICKS', type: 'integer', default: 30, min: 1 },
+  brickCategories: { env: 'CONTEXTBRICKS_BRICK_CATEGORIES', type: 'boolean', default: true },
+  brickStyle:      { env: 'CONTEXTBRICKS_BRICK_STYLE', type: 'enum', values: BRICK_STYLE_NAMES, default: 'squares' },
+  brickPrecision:  { env: 'CONTEXTBRICKS_BRICK_PRECISION', type: 'boolean', default: false },
+  compactThreshold: { env: 'CONTEXTBRICKS_COMPACT_THRESHOLD', type: 'integer', default: 80, min: 0, max: 100 },
+  compactWarn:     { env: 'CONTEXTBRICKS_COMPACT_WARN', type: 'integer', default: 10, min: 0, max: 100 },
+  showLimits:      { env: 'CONTEXTBRICKS_SHOW_LIMITS', type: 'boolean', default: true },
+  showCacheFix:    { env: 'CONTEXTBRICKS_SHOW_CACHE_FIX', type: 'boolean', default: true },
+  user:            { env: 'CONTEXTBRICKS_USER', type: 'enum', values: ['username', 'email', 'name', 'off'], default: 'username' },
+  labels:          { env: 'CONTEXTBRICKS_LABELS', type: 'enum', values: ['auto', 'short'], default: 'auto' },
+  resetExact:      { env: 'CONTEXTBRICKS_RESET_EXACT', type: 'boolean', default: true },
+  rightPadding:    { env: 'CONTEXTBRICKS_RIGHT_PADDING', type: 'integer', default: 0, min: 0 },
+  width:           { env: 'CONTEXTBRICKS_WIDTH', type: 'integer', default: 0, min: 0 },
+  quotaProbeModel: { env: 'CONTEXTBRICKS_QUOTA_PROBE_MODEL', type: 'string', default: '' },
+  cachePath:       { env: 'CONTEXTBRICKS_CACHE_PATH', type: 'string', default: '' },
+  layout:          { env: 'CONTEXTBRICKS_LAYOUT', type: 'layout', default: DEFAULT_LAYOUT },
+  theme:           { env: 'CONTEXTBRICKS_THEME', type: 'enum', values: THEME_NAMES, default: 'dark' },
+  colors:          { env: 'CONTEXTBRICKS_COLORS', type: 'enum', values: ['auto', ...COLOR_DEPTHS], default: 'auto' },
+  ascii:           { env: 'CONTEXTBRICKS_ASCII', type: 'enum', values: ['auto', 'on', 'off'], default: 'auto' },
+  output:          { env: 'CONTEXTBRICKS_OUTPUT', type: 'enum', values: ['ansi', 'json', ...MARKUP_TARGETS], default: 'ansi' },
+  snapshotPath:    { env: 'CONTEXTBRICKS_SNAPSHOT_PATH', type: 'string', default: '' },
+  hyperlinks:      { env: 'CONTEXTBRICKS_HYPERLINKS', type: 'enum', values: ['auto', 'on', 'off'], default: 'auto' },
+  repoUrl:         { env: 'CONTEXTBRICKS_REPO_URL', type: 'string', default: '' },
+  branchUrl:       { env: 'CONTEXTBRICKS_BRANCH_URL', type: 'string', default: '' },
+  commitUrl:       { env: 'CONTEXTBRICKS_COMMIT_URL', type: 'string', default: '' },
+  gitCacheMaxAge:  { env: 'CONTEXTBRICKS_GIT_CACHE_MAX_AGE', type: 'integer', default: 10, min: 0 },
+  gitCachePath:    { env: 'CONTEXTBRICKS_GIT_CACHE_PATH', type: 'string', default: '' },
+  gitTimeout:      { env: 'CONTEXTBRICKS_GIT_TIMEOUT', type: 'integer', default: 5000, min: 100 },
+  gitRepos:        { env: 'CONTEXTBRICKS_GIT_REPOS', type: 'repos', fields: REPO_FIELDS, default: Object.freeze({}) },
+  statusSymbols:   { env: 'CONTEXTBRICKS_STATUS_SYMBOLS', type: 'symbols', keys: STATUS_KEYS, default: Object.freeze({}) },
+  showTag:         { env: 'CONTEXTBRICKS_SHOW_TAG', type: 'boolean', default: false },
+  showCommitAge:   { env: 'CONTEXTBRICKS_SHOW_COMMIT_AGE', type: 'boolean', default: true },
+  showAuthor:      { env: 'CONTEXTBRICKS_SHOW_AUTHOR', type: 'boolean', default: false },
+  conventionalCommits: { env: 'CONTEXTBRICKS_CONVENTIONAL_COMMITS', type: 'boolean', default: true },
+  showDivergence:  { env: 'CONTEXTBRICKS_SHOW_DIVERGENCE', type: 'boolean', default: true },
+  divergenceDiffstat: { env: 'CONTEXTBRICKS_DIVERGENCE_DIFFSTAT', type: 'boolean', default: false },
+  defaultBranch:   { env: 'CONTEXTBRICKS_DEFAULT_BRANCH', type: 'string', default: '' },
+  repoLabel:       { env: 'CONTEXTBRICKS_REPO_LABEL', type: 'enum', values: ['dir', 'remote'], default: 'dir' },
+  protectedBranches: { env: 'CONTEXTBRICKS_PROTECTED_BRANCHES', type: 'list', default: Object.freeze(['main', 'master', 'release/*']) },
+  branchShorten:   { env: 'CONTEXTBRICKS_BRANCH_SHORTEN', type: 'list', values: ['prefix', 'ticket', 'ellipsis'], default: Object.freeze(['prefix', 'ticket', 'ellipsis']) },
+  branchTicketPattern: { env: 'CONTEXTBRICKS_BRANCH_TICKET_PATTERN', type: 'regex', default: '[A-Z][A-Z0-9]+-\\d+' },
+  branchMaxWidth:  { env: 'CONTEXTBRICKS_BRANCH_MAX_WIDTH', type: 'integer', default: 24, min: 4 },
+};
+
+/** Env-var spellings accepted for booleans (case-insensitive) */
+const TRUE_WORDS = ['1', 'true', 'on', 'yes'];
+const FALSE_WORDS = ['0', 'false', 'off', 'no'];
+
+/** Env-var aliases for enum values — v4.x accepted 0/false for CONTEXTBRICKS_USER=off */
+const ENUM_ALIASES = { '0': 'off', 'false': 'off', '1': 'on', 'true': 'on' };
+
+// ---------------------------------------------------------------------------
+// Value coercion
+// ---------------------------------------------------------------------------
+
+/**
+ * Coerce a raw value (from JSON or env string) to the spec's type.
+ * Returns { ok: true, value } or { ok: false, reason }.
+ *
+ * @param {object} spec
+ * @param {unknown} raw
+ * @param {boolean} fromEnv — env values are always strings and get looser parsing
+ * @returns {{ ok: boolean, value?: unknown, reason?: string }}
+ */
+function coerce(spec, raw, fromEnv) {
+  switch (spec.type) {
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { ok: true, value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (fromEnv && TRUE_WORDS.includes(s)) return { ok: true, value: true };
+      if (fromEnv && FALSE_WORDS.includes(s)) return { ok: true, value: false };
+      return { ok: false, reason: 'expected a boolean' };
+    }
+    case 'integer': {
+      const n = typeof raw === 'number' ? raw : (fromEnv ? Number(String(raw).trim()) : NaN);
+      if (!Number.isInteger(n)) return { ok: false, reason: 'expected an integer' };
+      if (spec.min != null && n < spec.min) return { ok: false, reason: `expected >= ${spec.min}` };
+      if (spec.max != null && n > spec.max) return { ok: false, reason: `expected <= ${spec.max}` };
+      return { ok: true, value: n };
+    }
+    case 'string':
+      if (typeof raw !== 'string') return { ok: false, reason: 'expected a string' };
+      return { ok: true, value: raw };
+    case 'regex':
+      if (typeof raw !== 'string' || raw === '') return { ok: false, reason: 'expected a regular expression' };
+      try { new RegExp(raw); } catch (err) { return { ok: false, reason: `invalid regular expression (${err.message})` }; }
+      return { ok: true, value: raw };
+    case 'enum': {
+      if (typeof raw !== 'string') return { ok: false, reason: `expected one of ${spec.values.join('|')}` };
+      let s = raw.trim().toLowerCase();
+      if (fromEnv && ENUM_ALIASES[s] && spec.values.includes(ENUM_ALIASES[s])) s = ENUM_ALIASES[s];
+      if (!spec.values.includes(s)) return { ok: false, reason: `expected one of ${spec.values.join('|')}` };
+      return { ok: true, value: s };
+    }
+    case 'layout': {
+      // File: [["model","repo"],["bricks"]] — env: "model,repo;bricks"
+      const lines = (fromEnv && typeof raw === 'string') ? parseLayout(raw) : raw;
+      if (!Array.isArray(lines) || lines.length === 0
+        || !lines.every((l) => Array.isArray(l) && l.every((n) => typeof n === 'string'))) {
+        return { ok: false, reason: 'expected an array of lines, each an array of segment names' };
+      }
+      const unknown = lines.flat().filter((n) => !SEGMENT_NAMES.includes(n));
+      if (unknown.length) return { ok: false, reason: `unknown segment "${unknown[0]}" (known: ${SEGMENT_NAMES.join(', ')})` };
+      return { ok: true, value: lines.map((l) => l.slice()) };
+    }
+    case 'symbols': {
+      // File: {"staged":"S","stash":"$"} — env: "staged=S,stash=$"
+      let map = raw;
+      if (fromEnv && typeof raw === 'string') {
+        map = {};
+        for (const pair of raw.split(',')) {
+          if (!pair.trim()) continue;
+          const eq = pair.indexOf('=');
+          if (eq < 1) return { ok: false, reason: 'expected key=symbol pairs separated by commas' };
+          map[pair.slice(0, eq).trim()] = pair.slice(eq + 1);
+        }
+      }
+      if (!map || typeof map !== 'object' || Array.isArray(map)) return { ok: false, reason: 'expected an object of name → symbol' };
+      const unknown = Object.keys(map).filter((k) => !spec.keys.includes(k));
+      if (unknown.length) return { ok: false, reason: `unknown symbol "${unknown[0]}" (known: ${spec.keys.join(', ')})` };
+      if (!Object.values(map).every((v) => typeof v === 'string' && v !== '')) return { ok: false, reason: 'symbols must be non-empty strings' };
+      return { ok: true, value: Object.freeze({ ...map }) };
+    }
+    case 'list': {
+      // File: ["main","release/*"] — env: "main,release/*"; empty = none
+      const items = (fromEnv && typeof raw === 'string') ? raw.split(',').map((s) => s.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(items) || !items.every((v) => typeof v === 'string' && v !== '')) {
+        return { ok: false, reason: 'expected an array of non-empty strings' };
+      }
+      const unknown = spec.values ? items.filter((v) => !spec.values.includes(v)) : [];
+      if (unknown.length) return { ok: false, reason: `unknown value "${unknown[0]}" (known: ${spec.values.join(', ')})` };
+      return { ok: true, value: Object.freeze(items.slice()) };
+    }
+    case 'repos': {
+      // File: {"~/src/mono":{"untracked":"no","timeout":1500}} — env: the same object as JSON
+      let map = raw;
+      if (fromEnv && typeof raw === 'string') {
+        try { map = JSON.parse(raw); } catch { return { ok: false, reason: 'expected a JSON object of path → settings' }; }
+      }
+      if (!map || typeof map !== 'object' || Array.isArray(map)) return { ok: false, reason: 'expected an object of path → settings' };
+      const repos = {};
+      for (const [dir, entry] of Object.entries(map)) {
+        if (!dir || !entry || typeof entry !== 'object' || Array.isArray(entry)) return { ok: false, reason: `"${dir}": expected an object of settings` };
+        const settings = {};
+        for (const [field, value] of Object.entries(entry)) {
+          if (!spec.fields[field]) return { ok: false, reason: `"${dir}": unknown setting "${field}" (known: ${Object.keys(spec.fields).join(', ')})` };
+          const r = coerce(spec.fields[field], value, false);
+          if (!r.ok) return { ok: false, reason: `"${dir}": "${field}" ${r.reason}` };
+          settings[field] = r.value;
+        }
+        repos[dir] = Object.freeze(settings);
+      }
+      return { ok: true, value: Object.freeze(repos) };
+    }
+    default:
+      return { ok: false, reason: `unsupported type ${spec.type}` };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// File loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Default config file path: ~/.claude/contextbricks.json
+ *
+ * @returns {string}
+ */
+function defaultConfigPath() {
+  return path.join(os.homedir(), '.claude', 'contextbricks.json');
+}
+
+/**
+ * Read and parse the config file. Missing file is not an error.
+ *
+ * @param {string} filePath
+ * @param {object} fsAccess — object with readFileSync
+ * @param {string[]} warnings — collector
+ * @returns {object|null}
+ */
+function readConfigFile(filePath, fsAccess, warnings) {
+  let raw;
+  try {
+    raw = fsAccess.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err && err.code !== 'ENOENT') warnings.push(`${filePath}: unreadable (${err.code || err.message})`);
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      warnings.push(`${filePath}: top level must be a JSON object`);
+      return null;
+    }
+    return parsed;
+  } catch (err) {
+    warnings.push(`${filePath}: invalid JSON (${err.message})`);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// loadConfig (exported)
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve the effective configuration: defaults ← file ← env.
+ *
+ * @param {object} [opts]
+ * @param {object} [opts.env]        — environment map (default: process.env)
+ * @param {object} [opts.fsAccess]   — object with readFileSync (default: fs)
+ * @param {string} [opts.configPath] — explicit file path (default: CONTEXTBRICKS_CONFIG or ~/.claude/contextbricks.json)
+ * @returns {{ config: object, warnings: string[], path: string }}
+ */
+function loadConfig(opts = {}) {
+  const env = opts.env || process.env;
+  const fsAccess = opts.fsAccess || fs;
+  const filePath = opts.configPath || (env.CONTEXTBRICKS_CONFIG && env.CONTEXTBRICKS_CONFIG.trim()) || defaultConfigPath();
+  const warnings = [];
+
+  const config = {};
+  for (const key of Object.keys(SCHEMA)) config[key] = SCHEMA[key].default;
+
+  const file = readConfigFile(filePath, fsAccess, warnings);
+  if (file) {
+    for (const key of Object.keys(file)) {
+      if (key === '$schema') continue;
+      const spec = SCHEMA[key];
+      if (!spec) {
+        warnings.push(`${filePath}: unknown key "${key}"`);
+        continue;
+      }
+      const r = coerce(spec, file[key], false);
+      if (r.ok) config[key] = r.value;
+      else warnings.push(`${filePath}: "${key}" ${r.reason} — using ${JSON.stringify(config[key])}`);
+    }
+  }
+
+  for (const key of Object.keys(SCHEMA)) {
+    const spec = SCHEMA[key];
+    const raw = spec.env ? env[spec.env] : undefined;
+    // Empty string = treat as unset (same convention as detectTopology)
+    if (raw == null || raw === '') continue;
+    const r = coerce(spec, raw, true);
+    if (r.ok) config[key] = r.value;
+    else warnings.push(`${spec.env}=${JSON.stringify(raw)}: ${r.reason} — using ${JSON.stringify(config[key])}`);
+  }
+
+  return { config: Object.freeze(config), warnings, path: filePath };
+}
+
+/**
+ * Defaults-only config — used by lib modules when called without a config
+ * (unit tests, third-party callers).
+ *
+ * @returns {object}
+ */
+function defaultConfig() {
+  const config = {};
+  for (const key of Object.keys(SCHEMA)) config[key] = SCHEMA[key].default;
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, defaultConfig, SCHEMA };
@@ -10,14 +10,17 @@
  * Per spec.md FR-7, NFR-3, plan.md §Component Map, tasks.md T5.
  */
 
+const { createTheme } = require('../ansi');
+
 /**
  * Build the extras tail segment.
  *
  * @param {{ ttl: string|null, hit: number|null, peak: boolean, overage: string }} extras
  * @param {{ includePeak?: boolean, includeOverage?: boolean }} flags
+ * @param {object} [t] — theme from ansi.createTheme (default dark/256)
  * @returns {string}
  */
-function buildExtrasTail(extras, flags) {
+function buildExtrasTail(extras, flags, t = createTheme()) {
   if (!extras) return '';
   const { includePeak = true, includeOverage = true } = flags || {};
   let tail = '';
@@ -25,7 +28,7 @@ function buildExtrasTail(extras, flags) {
     tail += ' | OVERAGE';
   }
   if (extras.peak && includePeak) {
-    tail += ` | \x1b[33mPEAK\x1b[0m`;
+    tail += ` | ${t.peak}PEAK${t.reset}`;
   }
   return tail;
 }
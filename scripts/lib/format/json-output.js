@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * json-output.js — buildJsonOutput(state, meta)
+ *
+ * Maps the computed statusline model (see segments.js) onto the public,
+ * versioned JSON document printed by `--json` / `output: "json"`.
+ *
+ * The document is an explicit mapping, not a dump of `state`: internal field
+ * names may change between releases, the keys below may not without bumping
+ * JSON_SCHEMA_VERSION. Additive changes (new keys) keep the version.
+ *
+ * Schema v1 (all keys always present; `null` when unknown / not applicable):
+ *   {
+ *     schema_version: 1,
+ *     generated_at:   ISO-8601 string,
+ *     model:          string,
+ *     dir:            string,                 // ~-relative cwd
+ *     user:           string | null,          // '@alice'
+ *     git:            null | { vcs, repo, branch, worktree,
+ *                              protected,                   // protected branch with pending work
+ *                              timed_out,                   // a git call hit gitTimeout; state incomplete
+ *                              remote: null | { slug, host, forge },  // origin, with repoLabel "remote"
+ *                              superproject, super_drift,  // submodule: superproject name, HEAD ≠ recorded
+ *                              subdir, dirty, ahead, behind, commit, commit_msg,
+ *                              conventional: null | { type, scope, breaking },  // commit_msg header
+ *                              commit_flag: null | 'fixup' | 'squash' | 'amend' | 'wip',
+ *                              commit_time, commit_author,  // ISO-8601, name
+ *                              tag, tag_distance,           // nearest tag (showTag), commits since
+ *                              status: { staged, modified, deleted, renamed, untracked, conflicted },
+ *                              stash,
+ *                              operation: null | { kind, step, total, onto },  // step/total/onto null when unknown
+ *                              base: null | { ref, ahead, behind, added, removed } },  // vs the default branch
+ *     session:        { lines_added, lines_removed, duration_ms, cost_usd },
+ *     context:        { total_tokens, used_tokens, free_tokens, used_pct,
+ *                       breakdown: null | { input_tokens, cache_write_tokens, cache_read_tokens, output_tokens },
+ *                       compact_at_tokens },        // auto-compact threshold (compactThreshold), null = off
+ *     rate:           null | {
+ *       freshness, source_id, age_ms, hint_kind,
+ *       session, week, sonnet, opus, design,  // null | { utilization, resets_at, burn, pacing }
+ *       extras:      { ttl, hit, peak, overage },
+ *       extra_usage: null | { used_credits, monthly_limit, enabled },
+ *     },
+ *   }
+ *
+ * `rate` is null when the rate-limit line is disabled (showLimits=false).
+ * `age_ms` is null when there is no quota data at all (Infinity in MergedView).
+ */
+
+const { parseCommitMessage } = require('../commit-msg');
+
+const JSON_SCHEMA_VERSION = 1;
+
+/** Empty string / undefined → null; everything else unchanged */
+function orNull(v) {
+  return v === undefined || v === '' ? null : v;
+}
+
+/** Percent to 2 decimals — strips 0..1 → 0..100 float noise (0.28 * 100 = 28.000000000000004) */
+function pct(v) {
+  return typeof v === 'number' ? Math.round(v * 100) / 100 : null;
+}
+
+/**
+ * @param {object|null} w — MergedView quota window
+ * @returns {object|null}
+ */
+function mapWindow(w) {
+  if (!w) return null;
+  return {
+    utilization: pct(w.utilization),
+    resets_at: orNull(w.resets_at),
+    burn: orNull(w.burn),
+    pacing: w.pacing == null ? null : w.pacing,
+  };
+}
+
+/**
+ * @param {object|null} rate — MergedView from buildRateView
+ * @returns {object|null}
+ */
+function mapRate(rate) {
+  if (!rate) return null;
+  const ex = rate.extras || {};
+  const eu = rate.extra_usage;
+  return {
+    freshness: rate.freshness,
+    source_id: rate.source_id,
+    age_ms: Number.isFinite(rate.age_ms) ? rate.age_ms : null,
+    hint_kind: orNull(rate.hint_kind),
+    session: mapWindow(rate.session),
+    week: mapWindow(rate.week),
+    sonnet: mapWindow(rate.sonnet),
+    opus: mapWindow(rate.opus),
+    design: mapWindow(rate.design),
+    extras: {
+      ttl: orNull(ex.ttl),
+      hit: orNull(ex.hit),
+      peak: Boolean(ex.peak),
+      overage: orNull(ex.overage),
+    },
+    extra_usage: eu
+      ? { used_credits: eu.usedCredits, monthly_limit: eu.monthlyLimit, enabled: eu.enabled }
+      : null,
+  };
+}
+
+/**
+ * Build the JSON output document.
+ *
+ * @param {object} state — computed statusline model (segments.js)
+ * @param {{ nowMs: number }} meta
+ * @returns {object} — plain object; caller serializes
+ */
+function buildJsonOutput(state, meta) {
+  const g = state.git;
+  const counts = g.counts || {};
+  const cc = parseCommitMessage(g.commitMsg);
+  return {
+    schema_version: JSON_SCHEMA_VERSION,
+    generated_at: new Date(meta.nowMs).toISOString(),
+    model: state.model,
+    dir: state.dirLabel,
+    user: orNull(state.user),
+    git: g.repoName
+      ? {
+        vcs: g.vcs,
+        repo: g.repoName,
+        branch: g.branch,
+        worktree: orNull(g.worktreeName),
+        protected: Boolean(g.protectedBranch),
+        timed_out: Boolean(g.timedOut),
+        remote: g.remote ? { slug: g.remote.slug, host: g.remote.host, forge: g.remote.forge } : null,
+        superproject: orNull(g.superName),
+        super_drift: Boolean(g.superDrift),
+        subdir: orNull(g.subDir),
+        dirty: g.dirty,
+        ahead: g.ahead,
+        behind: g.behind,
+        commit: orNull(g.commitShort),
+        commit_msg: orNull(g.commitMsg),
+        conventional: cc.type ? { type: cc.type, scope: orNull(cc.scope), breaking: cc.breaking } : null,
+        commit_flag: orNull(cc.flag),
+        commit_time: g.commitTime ? new Date(g.commitTime * 1000).toISOString() : null,
+        commit_author: orNull(g.commitAuthor),
+        tag: orNull(g.tag),
+        tag_distance: g.tag ? g.tagDistance : null,
+        status: {
+          staged: counts.staged || 0,
+          modified: counts.modified || 0,
+          deleted: counts.deleted || 0,
+          renamed: counts.renamed || 0,
+          untracked: counts.untracked || 0,
+          conflicted: counts.conflicted || 0,
+        },
+        stash: g.stash || 0,
+        operation: g.operation
+          ? {
+            kind: g.operation.kind,
+            step: g.operation.total > 0 ? g.operation.step : null,
+            total: g.operation.total > 0 ? g.operation.total : null,
+            onto: orNull(g.operation.onto),
+          }
+          : null,
+        base: g.baseRef
+          ? { ref: g.baseRef, ahead: g.baseAhead, behind: g.baseBehind, added: g.baseAdded, removed: g.baseRemoved }
+          : null,
+      }
+      : null,
+    session: {
+      lines_added: state.session.linesAdded,
+      lines_removed: state.session.linesRemoved,
+      duration_ms: state.session.durationMs,
+      cost_usd: state.session.costUsd,
+    },
+    context: {
+      total_tokens: state.context.totalTokens,
+      used_tokens: state.context.usedTokens,
+      free_tokens: state.context.freeTokens,
+      used_pct: state.context.usedPct,
+      breakdown: state.context.breakdown
+        ? {
+          input_tokens: state.context.breakdown.input,
+          cache_write_tokens: state.context.breakdown.cacheWrite,
+          cache_read_tokens: state.context.breakdown.cacheRead,
+          output_tokens: state.context.breakdown.output,
+        }
+        : null,
+      compact_at_tokens: state.context.compactAt || null,
+    },
+    rate: mapRate(state.rate),
+  };
+}
+
+module.exports = { buildJsonOutput, JSON_SCHEMA_VERSION };
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * markup.js — formatTarget(lines, target, state)
+ *
+ * Re-encodes rendered statusline lines (ANSI SGR, from the theme) for status
+ * bars that do not speak ANSI:
+ *
+ *   tmux     #[fg=colour46,bold]text#[default]        (status-left/right)
+ *   polybar  %{F#00ff00}text%{F-}                      (custom/script module)
+ *   pango    <span foreground="#00ff00">text</span>    (Waybar text, i3bar markup=pango)
+ *   waybar   {"text": <pango>, "tooltip": <escaped plain>, "class": [...], "percentage": N,
+ *             "full_text": <pango>, "markup": "pango"}  (Waybar return-type=json; i3blocks format=json)
+ *
+ * All targets produce ONE line: the rendered lines are joined with ` | `.
+ * Working from the SGR stream keeps every segment, theme and width rule in one
+ * place — segments never need to know which target they are drawn for.
+ *
+ * Understood SGR parameters: 0, 1, 2, 22, 30–37, 39, 90–97, 38;5;N, 38;2;R;G;B.
+ * Anything else is ignored.
+ */
+
+/** Targets handled here (`ansi` and `json` are handled by statusline.js) */
+const MARKUP_TARGETS = ['tmux', 'waybar', 'polybar', 'pango'];
+
+/** Joiner between rendered lines in single-line targets */
+const LINE_JOIN = ' | ';
+
+/** xterm default palette for the 16 base colors (polybar/pango need hex) */
+const BASE16_HEX = [
+  '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+  '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff',
+];
+
+/** Dim text without an explicit color (polybar has no faint attribute) */
+const DIM_HEX = '#808080';
+
+/** Opacity used for dim text in Pango */
+const DIM_ALPHA = '60%';
+
+// ---------------------------------------------------------------------------
+// SGR parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Split an SGR-colored string into styled runs. Adjacent runs with the same
+ * style are merged (a brick bar becomes two runs, not thirty).
+ *
+ * @param {string} str
+ * @returns {Array<{ text: string, bold: boolean, dim: boolean, fg: number|string|null }>}
+ *   fg: null (default), 0..255 (palette index) or '#rrggbb'
+ */
+function parseSgr(str) {
+  const runs = [];
+  let style = { bold: false, dim: false, fg: null };
+  // eslint-disable-next-line no-control-regex
+  const re = /\x1b\[([0-9;]*)m/g;
+  // OSC sequences (hyperlinks) carry no style and have no markup equivalent
+  // eslint-disable-next-line no-control-regex
+  const plain = String(str).replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '');
+  const push = (text) => {
+    const prev = runs[runs.length - 1];
+    if (prev && prev.bold === style.bold && prev.dim === style.dim && prev.fg === style.fg) prev.text += text;
+    else runs.push({ text, ...style });
+  };
+  let last = 0;
+  let m;
+  while ((m = re.exec(plain)) !== null) {
+    if (m.index > last) push(plain.slice(last, m.index));
+    last = re.lastIndex;
+    style = applySgr(style, m[1]);
+  }
+  if (last < plain.length) push(plain.slice(last));
+  return runs;
+}
+
+/**
+ * @param {{ bold: boolean, dim: boolean, fg: number|string|null }} style
+ * @param {string} params — e.g. '1;38;5;46'
+ * @returns {{ bold: boolean, dim: boolean, fg: number|string|null }}
+ */
+function applySgr(style, params) {
+  const s = { ...style };
+  const p = params === '' ? [0] : params.split(';').map(Number);
+  for (let i = 0; i < p.length; i++) {
+    const n = p[i];
+    if (n === 0) { s.bold = false; s.dim = false; s.fg = null; }
+    else if (n === 1) s.bold = true;
+    else if (n === 2) s.dim = true;
+    else if (n === 22) { s.bold = false; s.dim = false; }
+    else if (n >= 30 && n <= 37) s.fg = n - 30;
+    else if (n >= 90 && n <= 97) s.fg = n - 90 + 8;
+    else if (n === 39) s.fg = null;
+    else if (n === 38 && p[i + 1] === 5) { s.fg = p[i + 2]; i += 2; }
+    else if (n === 38 && p[i + 1] === 2) { s.fg = rgbHex(p[i + 2], p[i + 3], p[i + 4]); i += 4; }
+  }
+  return s;
+}
+
+// ---------------------------------------------------------------------------
+// Color conversion
+// ---------------------------------------------------------------------------
+
+function rgbHex(r, g, b) {
+  return '#' + [r, g, b].map((v) => (Number(v) || 0).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 256-color palette index → '#rrggbb' (xterm cube and grey ramp).
+ *
+ * @param {number} idx
+ * @returns {string}
+ */
+function paletteHex(idx) {
+  if (idx < 16) return BASE16_HEX[idx];
+  if (idx >= 232) {
+    const v = 8 + (idx - 232) * 10;
+    return rgbHex(v, v, v);
+  }
+  const levels = [0, 95, 135, 175, 215, 255];
+  const i = idx - 16;
+  return rgbHex(levels[Math.floor(i / 36)], levels[Math.floor(i / 6) % 6], levels[i % 6]);
+}
+
+function fgHex(fg) {
+  return typeof fg === 'number' ? paletteHex(fg) : fg;
+}
+
+// ---------------------------------------------------------------------------
+// Per-target encoders
+// ---------------------------------------------------------------------------
+
+/** tmux: palette indices stay indices so the terminal's own palette applies */
+function toTmux(runs) {
+  return runs.map((r) => {
+    const text = r.text.replace(/#/g, '##');
+    const attrs = [];
+    if (r.fg != null) attrs.push(typeof r.fg === 'number' ? `fg=colour${r.fg}` : `fg=${r.fg}`);
+    if (r.bold) attrs.push('bold');
+    if (r.dim) attrs.push('dim');
+    return attrs.length ? `#[${attrs.join(',')}]${text}#[default]` : text;
+  }).join('');
+}
+
+/** polybar: color only — bold needs a second font and is dropped */
+function toPolybar(runs) {
+  return runs.map((r) => {
+    const text = r.text.replace(/%/g, '%%');
+    const hex = r.fg != null ? fgHex(r.fg) : (r.dim ? DIM_HEX : null);
+    return hex ? `%{F${hex}}${text}%{F-}` : text;
+  }).join('');
+}
+
+function escapePango(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toPango(runs) {
+  return runs.map((r) => {
+    const text = escapePango(r.text);
+    const attrs = [];
+    if (r.fg != null) attrs.push(`foreground="${fgHex(r.fg)}"`);
+    if (r.bold) attrs.push('weight="bold"');
+    if (r.dim) attrs.push(`fgalpha="${DIM_ALPHA}"`);
+    return attrs.length ? `<span ${attrs.join(' ')}>${text}</span>` : text;
+  }).join('');
+}
+
+/**
+ * Context-usage class for Waybar CSS, plus the quota freshness when it is not FRESH.
+ *
+ * @param {object} state
+ * @returns {string[]}
+ */
+function waybarClasses(state) {
+  const pct = state.context.usedPct;
+  const classes = [pct >= 80 ? 'critical' : pct >= 50 ? 'warning' : 'normal'];
+  if (state.rate && state.rate.freshness && state.rate.freshness !== 'FRESH') {
+    classes.push(state.rate.freshness.toLowerCase());
+  }
+  return classes;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Encode rendered lines for a status-bar target.
+ *
+ * @param {string[]} lines — output of renderLayout (ANSI SGR)
+ * @param {'tmux'|'waybar'|'polybar'|'pango'} target
+ * @param {object} state — computed statusline model (waybar class/percentage)
+ * @returns {string} — one line, no trailing newline
+ */
+function formatTarget(lines, target, state) {
+  const runs = parseSgr(lines.join(LINE_JOIN));
+  if (target === 'tmux') return toTmux(runs);
+  if (target === 'polybar') return toPolybar(runs);
+  const pango = toPango(runs);
+  if (target === 'pango') return pango;
+  return JSON.stringify({
+    text: pango,
+    tooltip: escapePango(parseSgr(lines.join('\n')).map((r) => r.text).join('')),
+    class: waybarClasses(state),
+    percentage: state.context.usedPct,
+    full_text: pango,
+    markup: 'pango',
+  });
+}
+
+module.exports = { formatTarget, parseSgr, MARKUP_TARGETS };
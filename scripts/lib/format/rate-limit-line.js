@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * rate-limit-line.js — formatRateLimitLine(merged, termWidth)
+ * rate-limit-line.js — formatRateLimitLine(merged, termWidth) / rateLimitVariants(merged)
  *
  * Assembles the unified rate-limit Line 4 with 9-step graceful degradation.
  * Extracted from scripts/statusline.js v4.7.0 lines 643-703, then extended:
@@ -31,7 +31,10 @@
 // Dependencies
 // ---------------------------------------------------------------------------
 
-const { c } = require('../ansi');
+const { createTheme } = require('../ansi');
+const { getGlyphs } = require('../glyphs');
+const { displayWidth } = require('../width');
+const { defaultConfig } = require('../config');
 const { buildTTLPrefix } = require('./ttl-prefix');
 const { buildExtrasTail } = require('./extras-tail');
 
@@ -58,31 +61,6 @@ const HINT_FALLBACK = '[quota unavailable]';
 // Private utilities
 // ---------------------------------------------------------------------------
 
-/**
- * Strip ANSI escape sequences and return visible character length.
- *
- * @param {string} str
- * @returns {number}
- */
-function visibleLen(str) {
-  // eslint-disable-next-line no-control-regex
-  return str.replace(/\x1b\[[0-9;]*m/g, '').length;
-}
-
-/**
- * Return 256-color ANSI code for a smooth green → yellow → red gradient.
- * 11 stops at ~10% intervals: green(46) → yellow(226) → red(196).
- *
- * @param {number} pct  — 0..100 (or 0..1 ratio × 100 from header)
- * @returns {string}
- */
-function getColorForUtilization(pct) {
-  const gradient = [46, 82, 118, 154, 190, 226, 220, 214, 208, 202, 196];
-  const clamped = Math.max(0, Math.min(100, pct));
-  const idx = Math.min(Math.round(clamped / 10), gradient.length - 1);
-  return `\x1b[38;5;${gradient[idx]}m`;
-}
-
 /**
  * Format ISO reset time string to human-readable relative time.
  * exact=true: "1h30m", "2d5h"  |  exact=false: "1h", "2d"
@@ -135,9 +113,10 @@ function formatResetTime(isoStr, exact) {
  * @param {string} labelFull
  * @param {string} labelShort
  * @param {object} opts
+ * @param {object} t — theme
  * @returns {string|null}
  */
-function buildLimitSegment(entry, labelFull, labelShort, opts) {
+function buildLimitSegment(entry, labelFull, labelShort, opts, t) {
   if (!entry || entry.utilization == null) return null;
   const {
     useShort = false,
@@ -149,24 +128,24 @@ function buildLimitSegment(entry, labelFull, labelShort, opts) {
   const label = useShort ? labelShort : labelFull;
   const pct = Number(entry.utilization);
   const rounded = Math.round(pct);
-  const color = getColorForUtilization(pct);
+  const color = t.util(pct);
 
-  let segment = `${c.dimWhite}${label}:${c.reset}${color}${rounded}%${c.reset}`;
+  let segment = `${t.label}${label}:${t.reset}${color}${rounded}%${t.reset}`;
 
   if (includePacing && entry.pacing != null) {
     // Color pacing comparison: red if over-pace (>+5%), green if under (<-5%), dim otherwise.
     const diff = rounded - entry.pacing;
-    let pColor = c.dim;
-    if (diff > 5) pColor = c.redNorm;
-    else if (diff < -5) pColor = c.greenNorm;
-    segment += `${pColor}/${entry.pacing}%${c.reset}`;
+    let pColor = t.dim;
+    if (diff > 5) pColor = t.paceOver;
+    else if (diff < -5) pColor = t.paceUnder;
+    segment += `${pColor}/${entry.pacing}%${t.reset}`;
   }
   if (includeBurn && entry.burn) {
-    segment += ` ${c.dim}${entry.burn}${c.reset}`;
+    segment += ` ${t.dim}${entry.burn}${t.reset}`;
   }
   if (includeReset) {
     const resetStr = formatResetTime(entry.resets_at, exact);
-    if (resetStr) segment += ` ${c.dim}~${resetStr}${c.reset}`;
+    if (resetStr) segment += ` ${t.dim}~${resetStr}${t.reset}`;
   }
   return segment;
 }
@@ -198,33 +177,39 @@ function formatStaleSuffix(age_ms) {
 // ---------------------------------------------------------------------------
 
 /**
- * Assemble the unified rate-limit Line 4 with 9-step graceful degradation.
+ * Build every candidate rendering of the rate-limit line, widest first.
  *
- * When merged.freshness is absent or 'FRESH': v4.7.0 byte-identical behavior.
- * When merged.freshness === 'STALE': degradation chain + dim `(stale Xh Ym)` suffix.
- * When merged.freshness === 'UNAVAILABLE': skip quota segments, show dim hint message.
+ * FRESH / absent freshness: the L0..L8 table (9 entries, v4.7.0 byte-identical).
+ * STALE: the same table, each with the dim `(stale Xh Ym)` suffix.
+ * UNAVAILABLE: one entry — the dim hint message (with TTL prefix when fresh).
+ * An empty string means there is nothing to show.
+ *
+ * The `quotas` segment hands this list to the layout engine as its variants;
+ * formatRateLimitLine picks from it for a given width.
  *
  * @param {object} merged   — MergedView from buildRateView
- * @param {number} termWidth
- * @returns {string}
+ * @param {object} [config] — resolved config from loadConfig (resetExact, labels); defaults when omitted
+ * @param {object} [theme]  — from ansi.createTheme; dark/256-color when omitted
+ * @param {object} [glyphs] — from glyphs.getGlyphs; Unicode when omitted
+ * @returns {string[]}
  */
-function formatRateLimitLine(merged, termWidth) {
-  if (!merged) return '';
+function rateLimitVariants(merged, config = defaultConfig(), theme = createTheme(), glyphs = getGlyphs(false)) {
+  const t = theme;
+  if (!merged) return [''];
 
-  const exact = process.env.CONTEXTBRICKS_RESET_EXACT !== '0';
-  const maxWidth = Math.max(20, termWidth || 80);
-  const forceShort = (process.env.CONTEXTBRICKS_LABELS || '').toLowerCase() === 'short';
+  const exact = config.resetExact;
+  const forceShort = config.labels === 'short';
 
   // -------------------------------------------------------------------------
   // UNAVAILABLE path — skip all quota segments, show hint message (FR-8)
   // -------------------------------------------------------------------------
   if (merged.freshness === 'UNAVAILABLE') {
-    const hintMsg = HINT_MESSAGES[merged.hint_kind] || HINT_FALLBACK;
-    const ttl = buildTTLPrefix(merged.extras);
+    const hintMsg = (HINT_MESSAGES[merged.hint_kind] || HINT_FALLBACK).replace(/—/g, glyphs.dash);
+    const ttl = buildTTLPrefix(merged.extras, t);
     if (ttl) {
-      return `${ttl} | ${c.dim}${hintMsg}${c.reset}`;
+      return [`${ttl} | ${t.dim}${hintMsg}${t.reset}`];
     }
-    return `${c.dim}${hintMsg}${c.reset}`;
+    return [`${t.dim}${hintMsg}${t.reset}`];
   }
 
   // -------------------------------------------------------------------------
@@ -248,21 +233,21 @@ function formatRateLimitLine(merged, termWidth) {
     const segOpts = { useShort, includePacing, includeBurn, includeReset, exact };
 
     const segs = [
-      buildLimitSegment(merged.session, 'session', 's', segOpts),
-      buildLimitSegment(merged.week, 'week', 'w', segOpts),
+      buildLimitSegment(merged.session, 'session', 's', segOpts, t),
+      buildLimitSegment(merged.week, 'week', 'w', segOpts, t),
     ];
     if (includeSonnet) {
-      segs.push(buildLimitSegment(merged.sonnet, 'sonnet', 'son', { ...segOpts, includeBurn: false, includeReset: true }));
+      segs.push(buildLimitSegment(merged.sonnet, 'sonnet', 'son', { ...segOpts, includeBurn: false, includeReset: true }, t));
     }
-    segs.push(buildLimitSegment(merged.opus, 'opus', 'opus', { ...segOpts, includeBurn: false, includeReset: true }));
+    segs.push(buildLimitSegment(merged.opus, 'opus', 'opus', { ...segOpts, includeBurn: false, includeReset: true }, t));
     if (includeDesign) {
-      segs.push(buildLimitSegment(merged.design, 'design', 'des', { ...segOpts, includeBurn: false, includeReset: false }));
+      segs.push(buildLimitSegment(merged.design, 'design', 'des', { ...segOpts, includeBurn: false, includeReset: false }, t));
     }
     const quotas = segs.filter(Boolean).join(' | ');
     if (!quotas) return '';
 
-    const ttl = includeTTL ? buildTTLPrefix(merged.extras) : '';
-    const tail = buildExtrasTail(merged.extras, { includePeak, includeOverage });
+    const ttl = includeTTL ? buildTTLPrefix(merged.extras, t) : '';
+    const tail = buildExtrasTail(merged.extras, { includePeak, includeOverage }, t);
     return (ttl ? ttl + ' | ' : '') + quotas + tail;
   }
 
@@ -283,40 +268,49 @@ function formatRateLimitLine(merged, termWidth) {
     { useShort: true, includePeak: false, includeOverage: false, includeDesign: false, includeSonnet: false, includePacing: false, includeBurn: false, includeReset: false, includeTTL: false }, // L8 minimum
   ];
 
+  const lines = fallbacks.map(build);
+
   // -------------------------------------------------------------------------
-  // STALE path — run degradation chain then append staleness suffix (FR-6)
+  // STALE path — same chain, staleness suffix on every entry (FR-6)
   // -------------------------------------------------------------------------
   if (merged.freshness === 'STALE') {
     const ageLabel = formatStaleSuffix(merged.age_ms);
     const staleSuffix = ageLabel
-      ? ` ${c.dim}(stale ${ageLabel})${c.reset}`
-      : ` ${c.dim}(stale)${c.reset}`;
-
-    let line = '';
-    for (const opts of fallbacks) {
-      line = build(opts);
-      // Suffix is fixed-width display; account for its visible length in width check
-      const suffixVisible = visibleLen(staleSuffix);
-      if (line && visibleLen(line) + suffixVisible <= maxWidth) return line + staleSuffix;
-      // If line is empty at this degradation level, keep trying (no quotas = nothing to suffix)
-    }
-    // Last resort: return whatever the minimum produces + suffix, regardless of width
-    return line ? line + staleSuffix : '';
+      ? ` ${t.dim}(stale ${ageLabel})${t.reset}`
+      : ` ${t.dim}(stale)${t.reset}`;
+    // No quotas = nothing to suffix
+    return lines.map((line) => (line ? line + staleSuffix : ''));
   }
 
-  // -------------------------------------------------------------------------
-  // FRESH (or absent freshness) path — v4.7.0 byte-identical degradation
-  // -------------------------------------------------------------------------
-  let line = '';
-  for (const opts of fallbacks) {
-    line = build(opts);
-    if (visibleLen(line) <= maxWidth) return line;
+  return lines;
+}
+
+/**
+ * Assemble the unified rate-limit Line 4 with 9-step graceful degradation:
+ * the first rateLimitVariants() entry that fits, else the narrowest.
+ *
+ * When merged.freshness is absent or 'FRESH': v4.7.0 byte-identical behavior.
+ * When merged.freshness === 'STALE': degradation chain + dim `(stale Xh Ym)` suffix.
+ * When merged.freshness === 'UNAVAILABLE': skip quota segments, show dim hint message.
+ *
+ * @param {object} merged   — MergedView from buildRateView
+ * @param {number} termWidth
+ * @param {object} [config] — resolved config from loadConfig (resetExact, labels); defaults when omitted
+ * @param {object} [theme]  — from ansi.createTheme; dark/256-color when omitted
+ * @param {object} [glyphs] — from glyphs.getGlyphs; Unicode when omitted
+ * @returns {string}
+ */
+function formatRateLimitLine(merged, termWidth, config, theme, glyphs) {
+  const variants = rateLimitVariants(merged, config, theme, glyphs);
+  const maxWidth = Math.max(20, termWidth || 80);
+  for (const line of variants) {
+    if (displayWidth(line) <= maxWidth) return line;
   }
-  return line;
+  return variants[variants.length - 1];
 }
 
 // ---------------------------------------------------------------------------
 // Exports
 // ---------------------------------------------------------------------------
 
-module.exports = { formatRateLimitLine };
+module.exports = { formatRateLimitLine, rateLimitVariants };
@@ -10,21 +10,22 @@
  * Per spec.md FR-7, NFR-3, plan.md §Component Map, tasks.md T5.
  */
 
-const { c } = require('../ansi');
+const { createTheme } = require('../ansi');
 
 /**
  * Build TTL+hit% prefix segment for Line 4.
  *
  * @param {{ ttl: string|null, hit: number|null, peak: boolean, overage: string }} extras
+ * @param {object} [t] — theme from ansi.createTheme (default dark/256)
  * @returns {string}  — ANSI-formatted prefix string, empty when no TTL
  */
-function buildTTLPrefix(extras) {
+function buildTTLPrefix(extras, t = createTheme()) {
   if (!extras || !extras.ttl) return '';
-  const hitSuffix = (extras.hit != null) ? `${c.dim}/${extras.hit}%${c.reset}` : '';
+  const hitSuffix = (extras.hit != null) ? `${t.dim}/${extras.hit}%${t.reset}` : '';
   if (extras.ttl === '5m') {
-    return `\x1b[31mTTL:5m${hitSuffix}\x1b[0m`;
+    return `${t.ttlCold}TTL:5m${hitSuffix}${t.reset}`;
   }
-  return `${c.dimWhite}TTL:${c.reset}${extras.ttl}${hitSuffix}`;
+  return `${t.label}TTL:${t.reset}${extras.ttl}${hitSuffix}`;
 }
 
 module.exports = { buildTTLPrefix };
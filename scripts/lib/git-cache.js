@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * git-cache.js — skip the git spawns when the repository has not changed.
+ *
+ * cachedGitInfo(cwd, opts)        → GitInfo | null — collectGitInfo, cached
+ * findRepo(cwd, fsAccess)         → { toplevel, gitDir, commonDir } | null
+ * refStamps(repo, info, fsAccess) → number[] — mtimes of the watched files
+ * resolveGitCachePath(config)     → string
+ *
+ * Claude Code re-runs the status line after every message; git state rarely
+ * changes in between. Entries are keyed by the repository top level, found by
+ * walking up from cwd without spawning git, and are reused while
+ *   - every watched file has the mtime it had when the entry was stored:
+ *       <gitDir>/HEAD, <gitDir>/index, refs/heads/<branch>,
+ *       refs/remotes/<upstream> (or refs/heads/<upstream>), packed-refs,
+ *       reftable/tables.list, refs/stash, config (remote URL), and the
+ *       operation state in <gitDir>: rebase-merge/, rebase-apply/ (and their
+ *       step counters), MERGE_HEAD, CHERRY_PICK_HEAD, REVERT_HEAD, BISECT_LOG;
+ *       in a submodule also the superproject's index (the recorded commit);
+ *       refs/tags (nearest tag); refs/remotes/<baseRef> (or refs/heads/<baseRef>)
+ *   - the entry is younger than `maxAgeMs` — edits to tracked and untracked
+ *     files touch none of the above, so the file counts can lag by this much
+ *
+ * An entry stored without the remote URL, the nearest tag or the diffstat
+ * does not serve a render that needs it, nor one compared against a different
+ * default branch or counting untracked files differently. State collected after
+ * a git call timed out is not stored, so the next render tries again.
+ *
+ * Cache file: { version, repos: { [toplevel]: { savedAt, stamps, remote, describe, base, diffstat, untracked, info } } },
+ * at most MAX_ENTRIES repositories, written tmp + rename. Best-effort: read
+ * and write errors fall back to collecting from git.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectGitInfo, relativeSubDir } = require('./git-info');
+
+const CACHE_VERSION = 2;
+
+/** Repositories kept in the cache file; the least recently stored go first */
+const MAX_ENTRIES = 20;
+
+/**
+ * @param {object} config — resolved config (gitCachePath)
+ * @returns {string}
+ */
+function resolveGitCachePath(config) {
+  return config.gitCachePath || path.join(os.homedir(), '.claude', '.contextbricks-git-cache.json');
+}
+
+/**
+ * Locate the repository containing cwd from the `.git` entry alone.
+ * A `.git` file (linked worktree, submodule) points at the real git dir;
+ * a `commondir` file there points at the shared one.
+ *
+ * @param {string} cwd
+ * @param {object} [fsAccess] — { statSync, readFileSync }
+ * @returns {{ toplevel: string, gitDir: string, commonDir: string }|null}
+ */
+function findRepo(cwd, fsAccess = fs) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const dotGit = path.join(dir, '.git');
+    let st = null;
+    try { st = fsAccess.statSync(dotGit); } catch { /* keep walking */ }
+    if (st) {
+      let gitDir = dotGit;
+      if (!st.isDirectory()) {
+        try {
+          const m = /^gitdir:\s*(.+)$/m.exec(fsAccess.readFileSync(dotGit, 'utf8'));
+          if (!m) return null;
+          gitDir = path.resolve(dir, m[1].trim());
+        } catch { return null; }
+      }
+      let commonDir = gitDir;
+      try { commonDir = path.resolve(gitDir, fsAccess.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim()); } catch { /* not a linked worktree */ }
+      return { toplevel: dir, gitDir, commonDir };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * mtimes of the files whose change invalidates `info`; 0 for missing files.
+ *
+ * @param {{ gitDir: string, commonDir: string }} repo
+ * @param {{ branch: string, upstream: string, superproject?: string, baseRef?: string }} info
+ * @param {object} [fsAccess] — { statSync }
+ * @returns {number[]}
+ */
+function refStamps(repo, info, fsAccess = fs) {
+  const files = [
+    path.join(repo.gitDir, 'HEAD'),
+    path.join(repo.gitDir, 'index'),
+    path.join(repo.commonDir, 'packed-refs'),
+    path.join(repo.commonDir, 'reftable', 'tables.list'),
+    path.join(repo.commonDir, 'refs', 'stash'),
+    path.join(repo.commonDir, 'config'),
+    path.join(repo.gitDir, 'rebase-merge'),
+    path.join(repo.gitDir, 'rebase-merge', 'msgnum'),
+    path.join(repo.gitDir, 'rebase-apply'),
+    path.join(repo.gitDir, 'rebase-apply', 'next'),
+    path.join(repo.gitDir, 'MERGE_HEAD'),
+    path.join(repo.gitDir, 'CHERRY_PICK_HEAD'),
+    path.join(repo.gitDir, 'REVERT_HEAD'),
+    path.join(repo.gitDir, 'BISECT_LOG'),
+    path.join(repo.commonDir, 'refs', 'tags'),
+  ];
+  if (info.branch && info.branch !== 'detached') files.push(path.join(repo.commonDir, 'refs', 'heads', info.branch));
+  if (info.upstream) {
+    files.push(path.join(repo.commonDir, 'refs', 'remotes', info.upstream));
+    files.push(path.join(repo.commonDir, 'refs', 'heads', info.upstream));
+  }
+  if (info.baseRef) {
+    files.push(path.join(repo.commonDir, 'refs', 'remotes', info.baseRef));
+    files.push(path.join(repo.commonDir, 'refs', 'heads', info.baseRef));
+  }
+  const superRepo = info.superproject ? findRepo(info.superproject, fsAccess) : null;
+  if (superRepo) files.push(path.join(superRepo.gitDir, 'index'));
+  return files.map((f) => {
+    try { return fsAccess.statSync(f).mtimeMs; } catch { return 0; }
+  });
+}
+
+/**
+ * @param {string} cachePath
+ * @param {object} fsAccess — { readFileSync }
+ * @returns {{ version: number, repos: object }}
+ */
+function readGitCache(cachePath, fsAccess) {
+  try {
+    const record = JSON.parse(fsAccess.readFileSync(cachePath, 'utf8'));
+    if (record && record.version === CACHE_VERSION && record.repos && typeof record.repos === 'object') return record;
+  } catch { /* missing or corrupt → empty */ }
+  return { version: CACHE_VERSION, repos: {} };
+}
+
+/**
+ * @param {string} cachePath
+ * @param {object} record
+ * @param {object} fsAccess — { writeFileSync, renameSync }
+ */
+function writeGitCache(cachePath, record, fsAccess) {
+  const keys = Object.keys(record.repos).sort((a, b) => record.repos[b].savedAt - record.repos[a].savedAt);
+  for (const key of keys.slice(MAX_ENTRIES)) delete record.repos[key];
+  const tmpPath = `${cachePath}.tmp`;
+  try {
+    fsAccess.writeFileSync(tmpPath, JSON.stringify(record), { mode: 0o600 });
+    fsAccess.renameSync(tmpPath, cachePath);
+  } catch { /* best-effort */ }
+}
+
+/**
+ * collectGitInfo with an on-disk cache in front of it.
+ *
+ * @param {string} cwd
+ * @param {object} opts
+ * @param {number} opts.maxAgeMs     — 0 disables the cache
+ * @param {string} opts.cachePath
+ * @param {number} opts.nowMs
+ * @param {boolean} [opts.showDir]
+ * @param {boolean} [opts.remote]    — include remoteUrl
+ * @param {boolean} [opts.describe]  — include tag / tagDistance
+ * @param {string} [opts.base]       — default-branch ref, passed to collectGitInfo
+ * @param {boolean} [opts.diffstat]  — include baseAdded / baseRemoved
+ * @param {string} [opts.untracked]  — 'normal' | 'no', passed to collectGitInfo
+ * @param {boolean} [opts.fsmonitor] — passed to collectGitInfo
+ * @param {number} [opts.timeout]    — ms per git call, passed to collectGitInfo
+ * @param {function} [opts.run]      — git runner, passed to collectGitInfo
+ * @param {object} [opts.fsAccess]   — { statSync, readFileSync, writeFileSync, renameSync }
+ * @returns {object|null}
+ */
+function cachedGitInfo(cwd, opts) {
+  const {
+    maxAgeMs, cachePath, nowMs, showDir = true, remote = false, describe = false, base = '', diffstat = false,
+    untracked = 'normal', fsmonitor = false, timeout, run, fsAccess = fs,
+  } = opts;
+  const collect = () => collectGitInfo(cwd, { run, showDir, remote, describe, base, diffstat, untracked, fsmonitor, timeout, fsAccess });
+  if (!(maxAgeMs > 0) || !cachePath) return collect();
+
+  const repo = findRepo(cwd, fsAccess);
+  if (!repo) return collect();
+
+  const cache = readGitCache(cachePath, fsAccess);
+  const entry = cache.repos[repo.toplevel];
+  if (entry && entry.info && (entry.remote || !remote) && (entry.describe || !describe) && (entry.base || '') === base
+    && (entry.diffstat || !diffstat)
+    && (entry.untracked || 'normal') === untracked) {
+    const age = nowMs - entry.savedAt;
+    const stamps = refStamps(repo, entry.info, fsAccess);
+    if (age >= 0 && age < maxAgeMs && JSON.stringify(stamps) === JSON.stringify(entry.stamps)) {
+      return { ...entry.info, subDir: showDir ? relativeSubDir(entry.info.toplevel, cwd) : '' };
+    }
+  }
+
+  const info = collect();
+  if (!info) return null;
+  if (info.timedOut) return info;
+  // A change landing while git runs is missed until the entry ages out
+  const stamps = refStamps(repo, info, fsAccess);
+  cache.repos[repo.toplevel] = { savedAt: nowMs, stamps, remote, describe, base, diffstat, untracked, info: { ...info, subDir: '' } };
+  writeGitCache(cachePath, cache, fsAccess);
+  return info;
+}
+
+module.exports = { cachedGitInfo, findRepo, refStamps, resolveGitCachePath };
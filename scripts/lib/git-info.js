@@ -0,0 +1,437 @@
+'use strict';
+
+/**
+ * git-info.js — repository state for the status line.
+ *
+ * collectGitInfo(cwd, { run, showDir, remote, describe, base, diffstat, untracked, fsmonitor, timeout, fsAccess })
+ *                                      → GitInfo | null (not a repository)
+ * parseStatusV2(text)                  → { oid, head, upstream, ahead, behind, dirty, counts, stash }
+ * readOperation(gitDir, fsAccess)      → Operation | null — rebase/merge/… in progress
+ * runGit(args, cwd, timeout)           → trimmed stdout, null on any failure, TIMED_OUT
+ * relativeSubDir(toplevel, cwd)        → 'scripts/lib', or '' at the top level
+ * isProtectedBranch(branch, patterns)  → boolean — branch matches a `*` / `?` glob
+ * hasPendingWork(info, { run })        → boolean — uncommitted work or commits no remote has
+ * repoGitSettings(cwd, repos, home)    → { git, untracked, fsmonitor, timeout } — per-repo overrides
+ *
+ * Calls per uncached render — three always (1–3); with the default config
+ * (showDivergence) two more off the default branch (8, 9), so five in all; the
+ * rest only in the situations noted. v5.0 made up to nine.
+ *   1. git rev-parse --show-toplevel --git-dir --git-common-dir --show-superproject-working-tree
+ *   2. git status --porcelain=v2 --branch --show-stash
+ *                                          — branch, upstream, ahead/behind, file counts,
+ *                                            stash count (retried without --show-stash
+ *                                            on git < 2.35); `untracked: 'no'` adds
+ *                                            --untracked-files=no, `fsmonitor` runs it with
+ *                                            core.fsmonitor and core.untrackedCache on
+ *                                            where the repository leaves them unset (14)
+ *   3. git log -1 --format=%h%n%s%n%ct%n%an — skipped on an unborn branch
+ *   4. git remote get-url origin            — only with `remote: true`
+ *   5. git describe --tags --long           — only with `describe: true`; skipped on an unborn branch
+ *   6. git for-each-ref --points-at=<onto>  — only mid-rebase, names the onto commit
+ *   7. git ls-files --stage -- <sub>        — only in a submodule, run in the superproject
+ *   8. git rev-parse --abbrev-ref --verify -q <base> — only with `base`; names the default branch
+ *   9. git rev-list --left-right --count <base>...HEAD — skipped on the default branch itself
+ *  10. git diff --shortstat <base>...HEAD   — as 9, and only with `diffstat: true`: it walks
+ *                                            every changed file since the merge-base
+ *  11. git remote                           — hasPendingWork, only for a branch without
+ *  12. git rev-list -1 HEAD --not --remotes    upstream; 12 only when 11 lists a remote
+ *  13. git symbolic-ref --short -q HEAD    — only when the status call timed out
+ *  14. git config --get-regexp <core.fsmonitor|core.untrackedCache> — only with
+ *                                            `fsmonitor`, before 2; a configured hook
+ *                                            (Watchman) or `false` is kept
+ *
+ * GitInfo:
+ *   { toplevel, repoName, worktreeName, subDir, branch, upstream,
+ *     dirty, counts, stash, ahead, behind, commitShort, commitMsg, commitTime, commitAuthor,
+ *     tag, tagDistance, remoteUrl, operation, superproject, superName, superDrift,
+ *     baseRef, baseAhead, baseBehind, baseAdded, baseRemoved, timedOut }
+ * commitTime is the committer date in epoch seconds (0 when unknown); tag the
+ * nearest tag reachable from HEAD ('' without `describe` or without tags),
+ * tagDistance the commits since it.
+ * counts: { staged, modified, deleted, renamed, untracked, conflicted } —
+ * file counts; one file can be both staged and modified.
+ * `branch` is 'detached' for a detached HEAD — except mid-rebase, where it is
+ * the branch being rebased; `repoName` is the main checkout's name inside a
+ * linked worktree, `worktreeName` the worktree's.
+ *
+ * Inside a submodule `superproject` is the superproject's top level ('' otherwise),
+ * `superName` its name, and `superDrift` is true when the submodule HEAD is not
+ * the commit the superproject's index records for it (`+` in `git submodule status`).
+ *
+ * `baseRef` is the default branch as git abbreviates it ('origin/main'), '' without
+ * `base`, when the ref does not resolve, or when HEAD is that branch. Against
+ * it: commits ahead/behind, and with `diffstat` lines added/removed since the
+ * merge-base (0 without) — committed work only, the session's own edits are in
+ * the session diff.
+ *
+ * Operation: { kind, step, total, onto } — kind is one of OPERATION_KINDS;
+ * step/total are 0 when git keeps no progress (everything but rebase and am),
+ * onto is '' outside a rebase. Read from the state files git leaves in the
+ * per-worktree git dir, so a rebase in one worktree does not show in another.
+ *
+ * `timedOut` is true when a call was stopped by `timeout` (ms, default 5000).
+ * The calls after it that can be slow in a large repository — describe and
+ * the default-branch comparison — are skipped. When it was the status call,
+ * dirty, counts and ahead/behind are unknown (left empty), the branch comes
+ * from symbolic-ref and the commit from `git log` alone.
+ *
+ * `run` is injectable so tests can replay recorded git output; it receives
+ * (args, cwd) and returns stdout, null, or TIMED_OUT. Requires git 2.13+
+ * (porcelain v2, --show-superproject-working-tree).
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** Runner result for a git call stopped by the timeout */
+const TIMED_OUT = Symbol('git timed out');
+
+/** Milliseconds a git call may take unless the caller says otherwise */
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Run git and return its trimmed stdout; null on non-zero exit or spawn
+ * failure, TIMED_OUT when git was stopped after `timeout` ms.
+ *
+ * @param {string[]} args
+ * @param {string} cwd
+ * @param {number} [timeout] — ms (default: DEFAULT_TIMEOUT)
+ * @returns {string|null|symbol}
+ */
+function runGit(args, cwd, timeout = DEFAULT_TIMEOUT) {
+  try {
+    const r = spawnSync('git', args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'], timeout, windowsHide: true, cwd });
+    if (r.error && r.error.code === 'ETIMEDOUT') return TIMED_OUT;
+    return r.status === 0 && typeof r.stdout === 'string' ? r.stdout.trim() : null;
+  } catch { return null; }
+}
+
+/**
+ * cwd relative to the repository top level, with forward slashes.
+ *
+ * @param {string} toplevel
+ * @param {string} cwd
+ * @returns {string}
+ */
+function relativeSubDir(toplevel, cwd) {
+  const rel = path.relative(toplevel, cwd).replace(/\\/g, '/');
+  return rel && rel !== '.' ? rel : '';
+}
+
+/**
+ * Match a branch name against glob patterns: `*` is any run of characters
+ * (including `/`, so `release/*` covers `release/1.x/hotfix`), `?` one
+ * character, everything else literal.
+ *
+ * @param {string} branch
+ * @param {string[]} patterns — e.g. ['main', 'master', 'release/*']
+ * @returns {boolean}
+ */
+function isProtectedBranch(branch, patterns) {
+  if (!branch || branch === 'detached') return false;
+  return (patterns || []).some((p) => {
+    const body = p.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${body}$`).test(branch);
+  });
+}
+
+/**
+ * Work on the current branch that is not on a remote yet: uncommitted changes,
+ * commits ahead of the upstream or — on a git branch without an upstream —
+ * commits no remote-tracking ref contains. A repository without remotes has
+ * nowhere to push, so its commits do not count; neither does a status that
+ * timed out, which leaves the upstream unknown.
+ *
+ * Called for protected branches only, so the two git calls of the no-upstream
+ * case are not part of collectGitInfo and not cached.
+ *
+ * @param {object|null} info — GitInfo / VcsInfo
+ * @param {object} [opts]
+ * @param {function(string[], string): (string|null)} [opts.run] — git runner (default: runGit)
+ * @returns {boolean}
+ */
+function hasPendingWork(info, opts = {}) {
+  if (!info) return false;
+  if (info.dirty || info.ahead > 0) return true;
+  if ((info.vcs || 'git') !== 'git' || info.timedOut || info.upstream || !info.commitShort) return false;
+  const run = opts.run || runGit;
+  // TIMED_OUT is truthy but lists nothing
+  const lists = (args) => { const out = run(args, info.toplevel); return typeof out === 'string' && out !== ''; };
+  return lists(['remote']) && lists(['rev-list', '-1', 'HEAD', '--not', '--remotes']);
+}
+
+/**
+ * Settings for the repository containing cwd from config.gitRepos. Every
+ * key that is cwd or one of its parents applies, the longest last, so
+ * `~/src` can turn fsmonitor on and `~/src/monorepo` add `untracked: "no"`.
+ *
+ * @param {string} cwd
+ * @param {object} repos — path ('~/' allowed) → { git, untracked, fsmonitor, timeout }
+ * @param {string} [home] — expands a leading `~` (default: os.homedir())
+ * @returns {{ git: boolean, untracked: string, fsmonitor: boolean, timeout: number }}
+ *   timeout 0 = not set
+ */
+function repoGitSettings(cwd, repos, home = os.homedir()) {
+  const settings = { git: true, untracked: 'normal', fsmonitor: false, timeout: 0 };
+  const dir = path.resolve(cwd);
+  const matches = Object.keys(repos || {})
+    .map((key) => [path.resolve(key === '~' || key.startsWith('~/') ? home + key.slice(1) : key), repos[key]])
+    .filter(([root]) => dir === root || dir.startsWith(root.endsWith(path.sep) ? root : root + path.sep))
+    .sort(([a], [b]) => a.length - b.length);
+  for (const [, entry] of matches) Object.assign(settings, entry);
+  return settings;
+}
+
+/** Operation kinds, in detection order — a conflicted rebase step also leaves CHERRY_PICK_HEAD */
+const OPERATION_KINDS = ['rebase', 'am', 'merge', 'cherry-pick', 'revert', 'bisect'];
+
+/** Marker file (relative to the git dir) of each single-file operation */
+const OPERATION_MARKERS = { merge: 'MERGE_HEAD', 'cherry-pick': 'CHERRY_PICK_HEAD', revert: 'REVERT_HEAD', bisect: 'BISECT_LOG' };
+
+/**
+ * Detect an interrupted rebase, am, merge, cherry-pick, revert or bisect.
+ *
+ * rebase-merge/ (merge backend, interactive) keeps msgnum/end; rebase-apply/
+ * (apply backend, git am) keeps next/last and an `applying` file for am.
+ *
+ * @param {string} gitDir — absolute per-worktree git dir
+ * @param {object} [fsAccess] — { statSync, readFileSync }
+ * @returns {{ kind: string, step: number, total: number, onto: string, headName: string }|null}
+ *   onto is the onto commit id as git stored it; headName the rebased ref ('' if detached)
+ */
+function readOperation(gitDir, fsAccess = fs) {
+  const read = (...parts) => {
+    try { return fsAccess.readFileSync(path.join(gitDir, ...parts), 'utf8').trim(); } catch { return ''; }
+  };
+  const exists = (...parts) => {
+    try { fsAccess.statSync(path.join(gitDir, ...parts)); return true; } catch { return false; }
+  };
+
+  for (const [dir, stepFile, totalFile] of [['rebase-merge', 'msgnum', 'end'], ['rebase-apply', 'next', 'last']]) {
+    if (!exists(dir)) continue;
+    const kind = dir === 'rebase-apply' && exists(dir, 'applying') ? 'am' : 'rebase';
+    const headName = read(dir, 'head-name');
+    return {
+      kind,
+      step: parseInt(read(dir, stepFile), 10) || 0,
+      total: parseInt(read(dir, totalFile), 10) || 0,
+      onto: kind === 'rebase' ? read(dir, 'onto') : '',
+      headName: headName === 'detached HEAD' ? '' : headName,
+    };
+  }
+  for (const kind of OPERATION_KINDS) {
+    const marker = OPERATION_MARKERS[kind];
+    if (marker && exists(marker)) return { kind, step: 0, total: 0, onto: '', headName: '' };
+  }
+  return null;
+}
+
+/**
+ * Count one porcelain v2 entry line into `counts`.
+ *
+ * @param {string} line
+ * @param {object} counts
+ */
+function countEntry(line, counts) {
+  switch (line[0]) {
+    case '?': counts.untracked++; return;
+    case 'u': counts.conflicted++; return;
+    case '2': counts.renamed++; break; // XY follow, as for '1'
+    case '1': break;
+    default: return; // '!' ignored files
+  }
+  const x = line[2];
+  const y = line[3];
+  if (x !== '.' && x !== 'R' && x !== 'C') counts.staged++;
+  if (y === 'M' || y === 'T' || y === 'A') counts.modified++;
+  if (x === 'D' || y === 'D') counts.deleted++;
+}
+
+/**
+ * Parse `git status --porcelain=v2 --branch [--show-stash]` output.
+ *
+ * @param {string} text
+ * @returns {{ oid: string, head: string, upstream: string, ahead: number, behind: number,
+ *   dirty: boolean, counts: object, stash: number }}
+ *   oid '' on an unborn branch; head 'detached' for a detached HEAD
+ */
+function parseStatusV2(text) {
+  const out = {
+    oid: '', head: '', upstream: '', ahead: 0, behind: 0, dirty: false,
+    counts: { staged: 0, modified: 0, deleted: 0, renamed: 0, untracked: 0, conflicted: 0 },
+    stash: 0,
+  };
+  for (const line of String(text || '').split('\n')) {
+    if (!line) continue;
+    if (!line.startsWith('# ')) { out.dirty = true; countEntry(line, out.counts); continue; }
+    const [key, ...rest] = line.slice(2).split(' ');
+    const value = rest.join(' ');
+    if (key === 'branch.oid') out.oid = value === '(initial)' ? '' : value;
+    else if (key === 'branch.head') out.head = value === '(detached)' ? 'detached' : value;
+    else if (key === 'branch.upstream') out.upstream = value;
+    else if (key === 'branch.ab') {
+      const m = /^\+(\d+) -(\d+)$/.exec(value);
+      if (m) { out.ahead = Number(m[1]); out.behind = Number(m[2]); }
+    } else if (key === 'stash') out.stash = Number(value) || 0;
+  }
+  return out;
+}
+
+/**
+ * Collect everything the git segments render.
+ *
+ * @param {string} cwd
+ * @param {object} [opts]
+ * @param {function(string[], string): (string|null)} [opts.run] — git runner (default: runGit)
+ * @param {boolean} [opts.showDir] — compute subDir (default: true)
+ * @param {boolean} [opts.remote]  — look up remoteUrl (default: false → '')
+ * @param {boolean} [opts.describe] — look up the nearest tag (default: false → '')
+ * @param {string} [opts.base]     — default-branch ref to compare with, e.g. 'origin/HEAD' (default: '' → none)
+ * @param {boolean} [opts.diffstat] — lines added/removed against base (default: false → 0)
+ * @param {string} [opts.untracked] — 'no' skips untracked files in the status call (default: 'normal')
+ * @param {boolean} [opts.fsmonitor] — status with core.fsmonitor and core.untrackedCache where unset (default: false)
+ * @param {number} [opts.timeout]  — ms per call for the default runner (default: DEFAULT_TIMEOUT)
+ * @param {object} [opts.fsAccess] — { statSync, readFileSync } for readOperation
+ * @returns {object|null}
+ */
+function collectGitInfo(cwd, opts = {}) {
+  const runner = opts.run || ((args, dir) => runGit(args, dir, opts.timeout || DEFAULT_TIMEOUT));
+  const showDir = opts.showDir !== false;
+  let timedOut = false;
+  // A timed-out call reads as failed; timedOut remembers it
+  const run = (args, dir) => {
+    const out = runner(args, dir);
+    if (out !== TIMED_OUT) return out;
+    timedOut = true;
+    return null;
+  };
+
+  const revParse = run(['rev-parse', '--show-toplevel', '--git-dir', '--git-common-dir', '--show-superproject-working-tree'], cwd);
+  if (!revParse) return null;
+  // The superproject line is only printed inside a submodule
+  const [toplevel = '', gitDir = '', commonDir = '', superproject = ''] = revParse.split('\n').map((l) => l.trim());
+  if (!toplevel) return null;
+
+  let repoName = path.basename(toplevel);
+  let worktreeName = '';
+  if (gitDir && commonDir && path.resolve(cwd, gitDir) !== path.resolve(cwd, commonDir)) {
+    worktreeName = repoName;
+    repoName = path.basename(path.dirname(path.resolve(cwd, commonDir)));
+  }
+
+  // Turn on only what the repository leaves unset: `-c` would replace a configured hook
+  const monitorArgs = [];
+  if (opts.fsmonitor) {
+    const configured = run(['config', '--get-regexp', '^core\\.(fsmonitor|untrackedcache)$'], cwd) || '';
+    const keys = configured.split('\n').map((l) => l.split(' ')[0].toLowerCase());
+    if (!keys.includes('core.fsmonitor')) monitorArgs.push('-c', 'core.fsmonitor=true');
+    if (!keys.includes('core.untrackedcache')) monitorArgs.push('-c', 'core.untrackedCache=true');
+  }
+  const statusArgs = [
+    ...monitorArgs,
+    'status', '--porcelain=v2', '--branch', ...(opts.untracked === 'no' ? ['--untracked-files=no'] : []),
+  ];
+  let statusText = run([...statusArgs, '--show-stash'], cwd);
+  // Retrying after a timeout would only wait a second time
+  if (statusText == null && !timedOut) statusText = run(statusArgs, cwd);
+  const status = parseStatusV2(statusText);
+  const statusTimedOut = statusText == null && timedOut;
+  if (statusTimedOut) status.head = run(['symbolic-ref', '--short', '-q', 'HEAD'], cwd) || '';
+
+  const op = gitDir ? readOperation(path.resolve(cwd, gitDir), opts.fsAccess) : null;
+  let branch = status.head || 'detached';
+  let operation = null;
+  if (op) {
+    if (branch === 'detached' && op.headName) branch = op.headName.replace(/^refs\/heads\//, '');
+    let onto = '';
+    if (op.onto) {
+      const refs = run(['for-each-ref', `--points-at=${op.onto}`, '--format=%(refname:short)', 'refs/heads', 'refs/remotes'], cwd);
+      onto = (refs && refs.split('\n')[0].trim()) || op.onto.slice(0, 7);
+    }
+    operation = { kind: op.kind, step: op.step, total: op.total, onto };
+  }
+
+  let superDrift = false;
+  if (superproject && status.oid) {
+    const entry = run(['ls-files', '--stage', '--', `:(literal)${relativeSubDir(superproject, toplevel)}`], superproject) || '';
+    const recorded = entry.split(/\s+/)[1] || '';
+    superDrift = Boolean(recorded) && recorded !== status.oid;
+  }
+
+  let commitShort = '';
+  let commitMsg = '';
+  let commitTime = 0;
+  let commitAuthor = '';
+  let tag = '';
+  let tagDistance = 0;
+  // Without status the commit is unknown, not unborn: `git log` tells
+  if (status.oid || statusTimedOut) {
+    const log = run(['log', '-1', '--format=%h%n%s%n%ct%n%an'], cwd) || '';
+    const [sha = '', subject = '', time = '', author = ''] = log.split('\n');
+    commitShort = sha.trim();
+    commitMsg = subject.trim();
+    commitTime = Number(time) || 0;
+    commitAuthor = author.trim();
+    if (opts.describe && !timedOut) {
+      // v5.0.0-12-g4c9ed48 — the tag itself may contain dashes
+      const m = /^(.+)-(\d+)-g[0-9a-f]+$/.exec(run(['describe', '--tags', '--long'], cwd) || '');
+      if (m) { tag = m[1]; tagDistance = Number(m[2]); }
+    }
+  }
+
+  let baseRef = '';
+  let baseAhead = 0;
+  let baseBehind = 0;
+  let baseAdded = 0;
+  let baseRemoved = 0;
+  if (opts.base && status.oid && !timedOut) {
+    baseRef = run(['rev-parse', '--abbrev-ref', '--verify', '-q', opts.base], cwd) || '';
+    // origin/main is the same branch as a local main
+    if (baseRef === branch || baseRef.endsWith(`/${branch}`)) baseRef = '';
+  }
+  if (baseRef && !timedOut) {
+    const m = /^(\d+)\s+(\d+)$/.exec(run(['rev-list', '--left-right', '--count', `${baseRef}...HEAD`], cwd) || '');
+    if (m) { baseBehind = Number(m[1]); baseAhead = Number(m[2]); }
+    const stat = (opts.diffstat && !timedOut && run(['diff', '--shortstat', `${baseRef}...HEAD`], cwd)) || '';
+    baseAdded = Number((/(\d+) insertion/.exec(stat) || [])[1]) || 0;
+    baseRemoved = Number((/(\d+) deletion/.exec(stat) || [])[1]) || 0;
+  }
+
+  return {
+    toplevel,
+    repoName,
+    worktreeName,
+    subDir: showDir ? relativeSubDir(toplevel, cwd) : '',
+    branch,
+    upstream: status.upstream,
+    dirty: status.dirty,
+    counts: status.counts,
+    stash: status.stash,
+    ahead: status.ahead,
+    behind: status.behind,
+    commitShort,
+    commitMsg,
+    commitTime,
+    commitAuthor,
+    tag,
+    tagDistance,
+    remoteUrl: opts.remote ? (run(['remote', 'get-url', 'origin'], cwd) || '') : '',
+    operation,
+    superproject,
+    superName: superproject ? path.basename(superproject) : '',
+    superDrift,
+    baseRef,
+    baseAhead,
+    baseBehind,
+    baseAdded,
+    baseRemoved,
+    timedOut,
+  };
+}
+
+module.exports = {
+  collectGitInfo, parseStatusV2, readOperation, runGit, relativeSubDir, isProtectedBranch, hasPendingWork, repoGitSettings,
+  TIMED_OUT, DEFAULT_TIMEOUT,
+};
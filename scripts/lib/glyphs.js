@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * glyphs.js — non-ASCII glyphs used by the renderer, with ASCII fallbacks.
+ *
+ * getGlyphs(ascii, brickStyle)          → glyph set
+ * getStatusSymbols(ascii, overrides)    → working-tree status symbols
+ * getBrickEighths(ascii)                → partial-brick glyphs, null in ASCII mode
+ * detectAscii(env)                      → boolean   (used when config.ascii === 'auto')
+ * STATUS_KEYS                           — keys of the status symbol map
+ * BRICK_STYLE_NAMES                     — names accepted by getGlyphs (config.brickStyle)
+ *
+ * Segment and format modules take every non-ASCII character from a glyph
+ * set, never from a literal, so that ASCII mode (logs, tmux without UTF-8,
+ * legacy consoles) never emits a multi-byte sequence. All glyphs in both
+ * sets are exactly one terminal column wide.
+ */
+
+const UNICODE = Object.freeze({
+  brickUsed: '■',
+  brickFree: '□',
+  compactMarker: '│',
+  ahead: '↑',
+  behind: '↓',
+  dash: '—',
+  superDrift: '≠',
+  warning: '⚠',
+  ellipsis: '…',
+});
+
+const ASCII = Object.freeze({
+  brickUsed: '#',
+  brickFree: '.',
+  compactMarker: '|',
+  ahead: '+',
+  behind: '-',
+  dash: '-',
+  superDrift: '#',
+  warning: '!',
+  ellipsis: '~',
+});
+
+/**
+ * Used / free brick pairs selectable by name. ASCII mode ignores the style:
+ * none of them has a 7-bit form.
+ */
+const BRICK_STYLES = Object.freeze({
+  squares: ['■', '□'],
+  blocks: ['█', '░'],
+  braille: ['⣿', '⣀'],
+  dots: ['●', '○'],
+  bars: ['▮', '▯'],
+});
+
+const BRICK_STYLE_NAMES = Object.keys(BRICK_STYLES);
+
+/** Left-aligned eighth blocks: index = eighths of a brick filled (0 = none) */
+const BRICK_EIGHTHS = Object.freeze(['', '▏', '▎', '▍', '▌', '▋', '▊', '▉']);
+
+/** Working-tree status: `*` (short form), file counts, stash count, `?` when git timed out */
+const STATUS_KEYS = ['dirty', 'staged', 'modified', 'deleted', 'renamed', 'untracked', 'conflicted', 'stash', 'unknown'];
+
+const STATUS_UNICODE = Object.freeze({
+  dirty: '*', staged: '+', modified: '~', deleted: '✘', renamed: '»', untracked: '?', conflicted: '!', stash: '≡', unknown: '?',
+});
+
+/** Staged is `S`, not `+`: ASCII ahead is already `+N` */
+const STATUS_ASCII = Object.freeze({
+  dirty: '*', staged: 'S', modified: '~', deleted: 'x', renamed: '>', untracked: '?', conflicted: '!', stash: '=', unknown: '?',
+});
+
+/**
+ * Status symbols for the requested mode, with user overrides applied
+ * (config `statusSymbols`). Overrides are used verbatim in both modes.
+ *
+ * @param {boolean} ascii
+ * @param {object} [overrides] — subset of STATUS_KEYS → string
+ * @returns {object}
+ */
+function getStatusSymbols(ascii, overrides = {}) {
+  return Object.freeze({ ...(ascii ? STATUS_ASCII : STATUS_UNICODE), ...overrides });
+}
+
+/**
+ * Return the glyph set for the requested mode.
+ *
+ * @param {boolean} ascii
+ * @param {string} [brickStyle] — one of BRICK_STYLE_NAMES (default: squares)
+ * @returns {object}
+ */
+function getGlyphs(ascii, brickStyle = 'squares') {
+  if (ascii) return ASCII;
+  const pair = BRICK_STYLES[brickStyle];
+  if (!pair || brickStyle === 'squares') return UNICODE;
+  return Object.freeze({ ...UNICODE, brickUsed: pair[0], brickFree: pair[1] });
+}
+
+/**
+ * Glyphs for a partially filled brick (config.brickPrecision).
+ *
+ * @param {boolean} ascii
+ * @returns {string[]|null} — 8 entries, [n] = n eighths; null in ASCII mode
+ */
+function getBrickEighths(ascii) {
+  return ascii ? null : BRICK_EIGHTHS;
+}
+
+/**
+ * Decide whether the terminal can be trusted with UTF-8 output.
+ * ASCII when TERM=dumb or the effective locale explicitly names a charset
+ * other than UTF-8 (`en_US.ISO-8859-1`). An unset locale (the norm on
+ * Windows) and bare `C` / `POSIX` keep Unicode — those say nothing about
+ * what the terminal itself renders.
+ *
+ * @param {object} env — environment map (e.g. process.env)
+ * @returns {boolean}
+ */
+function detectAscii(env) {
+  if ((env.TERM || '').toLowerCase() === 'dumb') return true;
+  // POSIX precedence: LC_ALL > LC_CTYPE > LANG
+  const locale = env.LC_ALL || env.LC_CTYPE || env.LANG || '';
+  const dot = locale.indexOf('.');
+  if (dot < 0) return false;
+  const charset = locale.slice(dot + 1).split('@')[0];
+  return !/^utf-?8$/i.test(charset);
+}
+
+module.exports = { getGlyphs, getStatusSymbols, getBrickEighths, detectAscii, STATUS_KEYS, BRICK_STYLE_NAMES };
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * layout.js — declarative line/segment layout engine.
+ *
+ * A layout is an array of lines; each line is an ordered array of segment
+ * names. Segment providers (see segments.js) are looked up by name:
+ *
+ *   {
+ *     sep:       string,               // joiner placed before the segment when it is not first
+ *     priority?: number,               // degrade order — lowest is shortened/dropped first;
+ *                                      //   omitted = always shown at full length
+ *     drop?:     false,                // with priority: shorten only, never drop
+ *     variants:  [(avail) => string],  // long → short; '' = segment absent
+ *     render?:   (avail) => string,    // shorthand for a single variant
+ *   }
+ *
+ * `avail` is the number of columns the segment may use. Every line is fitted
+ * to its width by the same rules (see fitLine): shorten by priority, then
+ * drop by priority. Lines that render empty are omitted. The first line
+ * reserves `rightPadding` columns (Claude Code's footer notifications sit there).
+ *
+ * Widths are display columns (width.js). Pure module — no config, env or fs access.
+ */
+
+const { displayWidth } = require('./width');
+
+/** Every segment name a layout may reference */
+const SEGMENT_NAMES = [
+  'model', 'repo', 'worktree', 'branch', 'subdir', 'git_op', 'git_status', 'diff', 'divergence', 'user',
+  'commit', 'commit_msg', 'tag', 'commit_age', 'commit_author',
+  'bricks', 'percent', 'free', 'compact', 'duration', 'cost', 'extra_usage', 'brick_legend',
+  'quotas',
+];
+
+/** v5.0 four-line layout — output is byte-identical to the pre-layout renderer */
+const DEFAULT_LAYOUT = [
+  ['model', 'repo', 'worktree', 'branch', 'subdir', 'git_op', 'git_status', 'diff', 'divergence', 'user'],
+  ['commit', 'commit_msg', 'tag', 'commit_age', 'commit_author'],
+  ['bricks', 'percent', 'free', 'compact', 'duration', 'cost', 'extra_usage', 'brick_legend'],
+  ['quotas'],
+];
+
+/**
+ * Parse the compact env-var layout form: lines separated by `;`,
+ * segments by `,`. Whitespace is ignored; empty lines are kept out.
+ *
+ *   "model,repo,branch;bricks,percent,cost;quotas"
+ *
+ * @param {string} str
+ * @returns {string[][]}
+ */
+function parseLayout(str) {
+  return String(str)
+    .split(';')
+    .map((line) => line.split(',').map((s) => s.trim()).filter(Boolean))
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Per-line render state for one provider.
+ *
+ * @param {object} seg
+ * @returns {{ seg: object, variants: Function[], level: number, text: string, dropped: boolean }}
+ */
+function slot(seg) {
+  return { seg, variants: seg.variants || [seg.render], level: 0, text: '', dropped: false };
+}
+
+/** Join the rendered slots with their separators (leading separator suppressed) */
+function joinSlots(slots) {
+  let out = '';
+  for (const s of slots) {
+    if (s.dropped || !s.text) continue;
+    out += (out ? (s.seg.sep || '') : '') + s.text;
+  }
+  return out;
+}
+
+/**
+ * Render every live slot at variant 0, left to right; each is told how many
+ * columns remain after the text before it.
+ *
+ * @param {object[]} slots
+ * @param {number} width
+ */
+function renderFull(slots, width) {
+  let out = '';
+  for (const s of slots) {
+    if (s.dropped) continue;
+    s.level = 0;
+    const sep = out ? (s.seg.sep || '') : '';
+    s.text = s.variants[0](width - displayWidth(out) - displayWidth(sep));
+    if (s.text) out += sep + s.text;
+  }
+}
+
+/**
+ * Fit one line to `width`.
+ *
+ * Phase 1 walks the prioritized segments (lowest priority first) and steps
+ * each through its shorter variants until the line fits. A variant is called
+ * with its budget: its current width minus the overflow, so flexible
+ * segments (bricks, commit message) shrink to exactly what is left.
+ * Phase 2 drops the next droppable segment, re-renders everything at full
+ * length and repeats phase 1 — a drop frees room that shortened segments
+ * get back. Overflow that survives both phases is returned as-is.
+ *
+ * @param {object[]} segs — providers in display order
+ * @param {number} width
+ * @returns {string}
+ */
+function fitLine(segs, width) {
+  const slots = segs.map(slot);
+  const byPriority = slots
+    .filter((s) => typeof s.seg.priority === 'number')
+    .sort((a, b) => a.seg.priority - b.seg.priority);
+  const droppable = byPriority.filter((s) => s.seg.drop !== false);
+
+  renderFull(slots, width);
+  let line = joinSlots(slots);
+  for (let next = 0; displayWidth(line) > width; next++) {
+    for (const s of byPriority) {
+      while (!s.dropped && s.text && s.level < s.variants.length - 1 && displayWidth(line) > width) {
+        const budget = displayWidth(s.text) - (displayWidth(line) - width);
+        s.level += 1;
+        s.text = s.variants[s.level](budget);
+        line = joinSlots(slots);
+      }
+    }
+    if (displayWidth(line) <= width || next >= droppable.length) break;
+    droppable[next].dropped = true;
+    renderFull(slots, width);
+    line = joinSlots(slots);
+  }
+  return line;
+}
+
+/**
+ * Render a layout into output lines.
+ *
+ * @param {string[][]} layout — lines of segment names
+ * @param {Object<string, object>} segments — name → provider
+ * @param {{ termWidth: number, rightPadding?: number }} opts
+ * @returns {string[]} non-empty rendered lines
+ */
+function renderLayout(layout, segments, opts) {
+  const { termWidth, rightPadding = 0 } = opts;
+  const lines = [];
+
+  layout.forEach((names, idx) => {
+    const width = idx === 0 ? termWidth - rightPadding : termWidth;
+    const line = fitLine(names.map((n) => segments[n]).filter(Boolean), width);
+    if (line) lines.push(line);
+  });
+
+  return lines;
+}
+
+module.exports = { renderLayout, parseLayout, SEGMENT_NAMES, DEFAULT_LAYOUT };
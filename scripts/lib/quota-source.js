@@ -302,10 +302,12 @@ function isModelNotFound(status, body) {
  *   nowMs        {number}   — current time in ms (for testability; defaults to Date.now())
  *   mockProbeFn  {Function|null} — when non-null, replaces real spawnSync HTTP probe with mock
  *   fsAccess     {object|null}   — when non-null, replaces real fs module with mock
+ *   probeModel   {string}   — user-pinned probe model (config.quotaProbeModel); tried first
  */
 class HeaderProbeQuotaSource {
-  constructor({ topology, cachePath, nowMs, mockProbeFn = null, fsAccess = null }) {
+  constructor({ topology, cachePath, nowMs, mockProbeFn = null, fsAccess = null, probeModel = '' }) {
     this.topology = topology;
+    this.probeModel = probeModel;
     this.cachePath = cachePath || path.join(os.homedir(), '.claude', '.contextbricks-quota-cache.json');
     this.nowMs = typeof nowMs === 'number' ? nowMs : Date.now();
     this.mockProbeFn = mockProbeFn;
@@ -376,12 +378,12 @@ class HeaderProbeQuotaSource {
     const { target, authToken } = this.topology;
 
     // Build the effective chain. Priority order:
-    //   1. CONTEXTBRICKS_QUOTA_PROBE_MODEL env override (user-explicit) — first
+    //   1. probeModel (config.quotaProbeModel / CONTEXTBRICKS_QUOTA_PROBE_MODEL) — first
     //   2. Cached working model (last successful probe) — second
     //   3. Default fallback chain (haiku tiers + safety net) — rest
     // This handles proxies whose model dispatcher uses non-Anthropic-native
     // names: the user pins a model that round-trips successfully via env.
-    const userPinnedModel = process.env.CONTEXTBRICKS_QUOTA_PROBE_MODEL;
+    const userPinnedModel = this.probeModel;
     const cachedModel = cache && cache.probe_model;
     const seen = new Set();
     const modelChain = [];
@@ -28,15 +28,6 @@
  * Per spec.md FR-6, FR-7, NFR-3, plan.md §Component Map, tasks.md T5.
  */
 
-// ---------------------------------------------------------------------------
-// Dependencies
-// ---------------------------------------------------------------------------
-
-// ANSI constants imported for potential future formatting use (AC12).
-// rate-view.js itself produces a plain data shape consumed by the format layer.
-// eslint-disable-next-line no-unused-vars
-const { c } = require('./ansi');
-
 // Utility functions (private — not exported)
 // These are extracted copies of the helpers from statusline.js v4.7.0.
 
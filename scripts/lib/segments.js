@@ -0,0 +1,500 @@
+'use strict';
+
+/**
+ * segments.js — named segment providers for the layout engine.
+ *
+ * buildSegments(state, { config, theme, glyphs, symbols, eighths, termWidth, nowMs }) → { [name]: provider }
+ *
+ * `state` is the computed statusline model assembled by statusline.js main():
+ *
+ *   {
+ *     model:   string,                       // compact model label
+ *     dirLabel: string,                      // ~-relative cwd (shown when not in a repo)
+ *     git:     { vcs,                                 // 'git' | 'jj' | 'hg' (vcs.js)
+ *                repoName, branch, worktreeName, subDir, dirty, ahead, behind, commitShort, commitMsg,
+ *                commitTime, commitAuthor,           // epoch seconds (0 = unknown), author name
+ *                tag, tagDistance,                    // nearest tag, commits since ('' = none)
+ *                counts: { staged, modified, deleted, renamed, untracked, conflicted },
+ *                stash,                               // stash entries
+ *                operation: { kind, step, total, onto } | null,  // git-info.js readOperation
+ *                superName, superDrift,               // submodule: superproject name, HEAD ≠ recorded
+ *                protectedBranch,                     // protected branch with uncommitted or unpushed work
+ *                timedOut,                            // a git call hit gitTimeout; state incomplete
+ *                remote: { slug, badge, … } | null,   // remote-url.js remoteIdentity (repoLabel remote)
+ *                baseRef, baseAhead, baseBehind,      // default branch ('' = none or on it), commits vs it
+ *                baseAdded, baseRemoved,              // lines since the merge-base with it
+ *                links: { repo, branch, commit } },  // OSC 8 targets, '' = no link
+ *     session: { linesAdded, linesRemoved, durationMs, costUsd },
+ *     context: { totalTokens, usedTokens, freeTokens, usedPct,
+ *                breakdown: { input, cacheWrite, cacheRead, output } | null,  // current_usage tokens
+ *                compactAt },                        // auto-compact threshold in tokens, 0 = none
+ *     user:    string,                       // '@alice' or ''
+ *     rate:    MergedView | null,            // from buildRateView
+ *   }
+ *
+ * Provider shape and fitting rules: see layout.js. Separators and priorities
+ * reproduce the v5.0 four lines under DEFAULT_LAYOUT whenever they fit, plus
+ * the newer git detail (status breakdown, operation, divergence, tag, commit
+ * age). When they do not:
+ *   Line 1  shortens the status breakdown to `*`, the divergence to `vs main ↑N`,
+ *           then the branch name (branchForms); drops divergence → user → diff →
+ *           subdir → worktree
+ *   Line 2  hides commit_author, then truncates the subject (a conventional
+ *           `type(scope)!: ` prefix stays whole while it can); drops
+ *           commit_age → tag once the subject is down to 13 columns
+ *   Line 3  shortens, then hides the brick legend; hides duration, then the
+ *           compact label; shrinks bricks (down to MIN_BRICKS), then shortens
+ *           extra:$N/$M and `Nk free`; drops extra_usage → free
+ *   Line 4  steps through the L0..L8 table of rate-limit-line.js
+ */
+
+const { rateLimitVariants } = require('./format/rate-limit-line');
+const { truncate, truncateMiddle, displayWidth } = require('./width');
+const { hyperlink } = require('./ansi');
+const { getStatusSymbols, getBrickEighths } = require('./glyphs');
+const { parseCommitMessage } = require('./commit-msg');
+
+/** Fewest bricks the bar shrinks to on narrow terminals */
+const MIN_BRICKS = 5;
+
+/**
+ * Token categories of the split brick bar, in bar order:
+ * [breakdown key, theme role, legend label, short legend label]
+ */
+const BRICK_CATEGORIES = [
+  ['input', 'brickInput', 'input', 'in'],
+  ['cacheWrite', 'brickCacheWrite', 'cache write', 'cw'],
+  ['cacheRead', 'brickCacheRead', 'cache read', 'cr'],
+  ['output', 'brickOutput', 'output', 'out'],
+];
+
+/** Status breakdown order; each count is drawn in the theme role of the same name */
+const STATUS_ORDER = ['staged', 'modified', 'deleted', 'renamed', 'untracked', 'conflicted'];
+
+/**
+ * Relative age: `45s ago`, `12m ago`, `3h ago`, `5d ago`, `2w ago`, `4mo ago`, `2y ago`.
+ *
+ * @param {number} sec — age in seconds
+ * @returns {string} '' for a negative age (committer clock ahead of ours)
+ */
+function formatAge(sec) {
+  if (!(sec >= 0)) return '';
+  const steps = [[60, 1, 's'], [3600, 60, 'm'], [86400, 3600, 'h'], [14 * 86400, 86400, 'd'], [60 * 86400, 7 * 86400, 'w'], [365 * 86400, 30 * 86400, 'mo']];
+  for (const [below, unit, suffix] of steps) {
+    if (sec < below) return `${Math.floor(sec / unit)}${suffix} ago`;
+  }
+  return `${Math.floor(sec / (365 * 86400))}y ago`;
+}
+
+/**
+ * Share `count` bricks among `weights` by largest remainder, so the runs
+ * always add up to `count`; ties go to the earlier category.
+ *
+ * @param {number} count
+ * @param {number[]} weights — non-negative, at least one positive
+ * @returns {number[]}
+ */
+function splitBricks(count, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const exact = weights.map((w) => (count * w) / sum);
+  const runs = exact.map(Math.floor);
+  const order = exact.map((x, i) => [x - runs[i], i]).sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  let left = count - runs.reduce((a, b) => a + b, 0);
+  for (let k = 0; left > 0; k++, left--) runs[order[k][1]]++;
+  return runs;
+}
+
+/** 12k, or the plain count below a thousand */
+function formatTokens(n) {
+  return n >= 1000 ? `${Math.floor(n / 1000)}k` : String(n);
+}
+
+/**
+ * Progressively shorter forms of a branch name, one per configured step
+ * (config.branchShorten), each applied to the previous form — except
+ * `ticket`, which searches the full name:
+ *   prefix   feature/PROJ-1234-oauth-refresh → f/PROJ-1234-oauth-refresh
+ *   ticket   → PROJ-1234 (branchTicketPattern; its first group when it has one)
+ *   ellipsis → f/PROJ-12…th-refresh (middle cut to branchMaxWidth)
+ * A step that does not make the name narrower adds no form.
+ *
+ * @param {string} name
+ * @param {object} config
+ * @param {string} ellipsis — glyph for the cut
+ * @returns {string[]} full name first
+ */
+function branchForms(name, config, ellipsis) {
+  const forms = [name];
+  let current = name;
+  for (const step of config.branchShorten || []) {
+    let next = current;
+    if (step === 'prefix') next = current.replace(/[^/]+\//g, (dir) => `${[...dir][0]}/`);
+    else if (step === 'ticket') {
+      const m = new RegExp(config.branchTicketPattern).exec(name);
+      if (m) next = m[1] || m[0];
+    } else if (step === 'ellipsis') next = truncateMiddle(current, config.branchMaxWidth, ellipsis);
+    if (next && displayWidth(next) < displayWidth(current)) {
+      forms.push(next);
+      current = next;
+    }
+  }
+  return forms;
+}
+
+/** Conventional-commit types with a role of their own; the others use commitType */
+const COMMIT_TYPE_ROLES = { feat: 'commitFeat', fix: 'commitFix' };
+
+/** git_op label per operation kind — the names git's own prompt (git-prompt.sh) uses */
+const OPERATION_LABELS = {
+  rebase: 'REBASE', am: 'AM', merge: 'MERGING', 'cherry-pick': 'CHERRY-PICKING', revert: 'REVERTING', bisect: 'BISECTING',
+};
+
+/**
+ * Build the segment provider map for one render.
+ *
+ * @param {object} state
+ * @param {{ config: object, theme: object, glyphs: object, symbols?: object, eighths?: string[]|null,
+ *   termWidth: number, nowMs?: number }} opts
+ *   theme from ansi.createTheme, glyphs from glyphs.getGlyphs, symbols from
+ *   glyphs.getStatusSymbols (default: Unicode set with config.statusSymbols),
+ *   eighths from glyphs.getBrickEighths (default: Unicode; null = no partial bricks),
+ *   nowMs the render clock for commit_age (default: Date.now())
+ * @returns {Object<string, object>} — providers, see layout.js
+ */
+function buildSegments(state, opts) {
+  const { config, theme: t, glyphs: g, termWidth, nowMs = Date.now() } = opts;
+  const sym = opts.symbols || getStatusSymbols(false, config.statusSymbols);
+  const eighths = config.brickPrecision ? (opts.eighths === undefined ? getBrickEighths(false) : opts.eighths) : null;
+  const git = state.git;
+  const inRepo = Boolean(git.repoName);
+  const links = git.links || {};
+
+  const totalBricks = Math.max(1, Math.min(config.bricks, Math.max(MIN_BRICKS, termWidth - 35)));
+  const ctx = state.context;
+  const eu = state.rate && state.rate.extra_usage;
+  const euUsed = eu ? (eu.usedCredits / 100).toFixed(2) : '';
+
+  // Categories present in current_usage; none → the used part is one run
+  const categories = (config.brickCategories && ctx.breakdown)
+    ? BRICK_CATEGORIES.filter(([key]) => ctx.breakdown[key] > 0)
+    : [];
+
+  // Auto-compaction: tokens left before it, and the warning role once within compactWarn points
+  const compactAt = ctx.compactAt || 0;
+  const compactLeft = compactAt - ctx.usedTokens;
+  let brickAlert = '';
+  if (compactAt > 0 && compactLeft <= 0) brickAlert = 'brickCritical';
+  else if (compactAt > 0 && compactLeft * 100 <= config.compactWarn * ctx.totalTokens) brickAlert = 'brickWarn';
+
+  /**
+   * Brick bar n cells wide, used share proportional to context usage, split
+   * by category. The compact marker takes one of the n cells, so the bricks
+   * share the other n - 1 and the marker sits between the two bricks that
+   * straddle the threshold. With brickPrecision the brick after the full
+   * ones shows the used remainder in eighths, in the color of the last run.
+   */
+  const brickBar = (n) => {
+    const cells = compactAt > 0 ? n - 1 : n;
+    const exact = ctx.totalTokens > 0 ? (ctx.usedTokens * cells) / ctx.totalTokens : 0;
+    const usedBricks = Math.floor(exact);
+    const partial = (eighths && usedBricks < cells) ? Math.floor((exact - usedBricks) * 8) : 0;
+    const bricks = [];
+    let lastRole = brickAlert || 'brickUsed';
+    if (brickAlert) {
+      for (let i = 0; i < usedBricks; i++) bricks.push(`${t[brickAlert]}${g.brickUsed}${t.reset}`);
+    } else if (categories.length) {
+      const runs = splitBricks(usedBricks, categories.map(([key]) => ctx.breakdown[key]));
+      categories.forEach(([, role], i) => {
+        for (let j = 0; j < runs[i]; j++) bricks.push(`${t[role]}${g.brickUsed}${t.reset}`);
+      });
+      lastRole = categories[categories.length - 1][1];
+    } else {
+      for (let i = 0; i < usedBricks; i++) bricks.push(`${t.brickUsed}${g.brickUsed}${t.reset}`);
+    }
+    if (partial > 0) bricks.push(`${t[lastRole]}${eighths[partial]}${t.reset}`);
+    for (let i = bricks.length; i < cells; i++) bricks.push(`${t.brickFree}${g.brickFree}${t.reset}`);
+    if (compactAt > 0) {
+      const at = Math.min(cells, Math.round((compactAt * cells) / ctx.totalTokens));
+      bricks.splice(at, 0, `${t.compactMarker}${g.compactMarker}${t.reset}`);
+    }
+    return `[${bricks.join('')}]`;
+  };
+
+  /**
+   * Commit subject cut to `avail` columns (at least 13). A conventional
+   * `fixup! feat(parser)!: ` prefix keeps its colored pieces whole while the
+   * subject is cut.
+   */
+  const commitSubject = (avail) => {
+    const msg = git.commitMsg;
+    if (!msg) return '';
+    const width = Math.max(13, avail);
+    if (!config.conventionalCommits) return truncate(msg, width);
+    const cc = parseCommitMessage(msg);
+    const parts = [];
+    if (cc.marker) parts.push([cc.marker, t.commitFlag]);
+    if (cc.marker && (cc.type || cc.subject)) parts.push([' ', '']);
+    if (cc.type) {
+      parts.push([cc.type, COMMIT_TYPE_ROLES[cc.type] ? t[COMMIT_TYPE_ROLES[cc.type]] : t.commitType]);
+      if (cc.scope) parts.push([`(${cc.scope})`, t.dim]);
+      if (cc.breaking) parts.push(['!', t.breaking]);
+      parts.push([': ', '']);
+    }
+    const head = parts.map(([text]) => text).join('');
+    const room = width - displayWidth(head);
+    // Too narrow to keep the prefix and a few characters of subject: plain cut
+    if (displayWidth(cc.subject) > room && room < 4) return truncate(head + cc.subject, width);
+    return parts.map(([text, role]) => (role ? `${role}${text}${t.reset}` : text)).join('') + truncate(cc.subject, room);
+  };
+
+  /** ↑N↓M, '' when in sync or without upstream */
+  const aheadBehind = () => (git.ahead > 0 ? `${g.ahead}${git.ahead}` : '') + (git.behind > 0 ? `${g.behind}${git.behind}` : '');
+
+  // vs main ↑5↓3 — origin/ is implied; other remotes keep their prefix
+  const divergence = () => {
+    if (!config.showDivergence || !git.baseRef) return '';
+    const ab = (git.baseAhead > 0 ? `${g.ahead}${git.baseAhead}` : '') + (git.baseBehind > 0 ? `${g.behind}${git.baseBehind}` : '');
+    const name = `${t.dim}vs${t.reset} ${t.branch}${git.baseRef.replace(/^origin\//, '')}${t.reset}`;
+    return ab ? `${name} ${t.dirty}${ab}${t.reset}` : name;
+  };
+
+  return {
+    // -- Line 1 -------------------------------------------------------------
+    model: {
+      sep: '',
+      render: () => `${t.model}[${state.model}]${t.reset}`,
+    },
+    repo: {
+      sep: ' ',
+      render: () => {
+        if (inRepo) {
+          // super/sub≠ inside a submodule; `gh acme/widget` with repoLabel remote
+          const remote = git.remote || {};
+          const badge = remote.badge ? `${t.dim}${remote.badge}${t.reset} ` : '';
+          const sup = git.superName ? `${t.dim}${git.superName}/${t.reset}` : '';
+          const drift = git.superDrift ? `${t.dirty}${g.superDrift}${t.reset}` : '';
+          return badge + sup + hyperlink(links.repo, `${t.repo}${remote.slug || git.repoName}${t.reset}`) + drift;
+        }
+        if (config.showDir && state.dirLabel) return `${t.dim}${state.dirLabel}${t.reset}`;
+        return '';
+      },
+    },
+    worktree: {
+      sep: '',
+      priority: 4,
+      render: () => (git.worktreeName ? `${t.dim}(wt:${git.worktreeName})${t.reset}` : ''),
+    },
+    branch: {
+      sep: ':',
+      priority: 2,
+      drop: false,
+      // Shortened (branchForms), never dropped; main ⚠ protected keeps its marker
+      variants: ((inRepo && git.branch) ? branchForms(git.branch, config, g.ellipsis) : ['']).map((name) => () => {
+        if (!name) return '';
+        if (git.protectedBranch) {
+          return hyperlink(links.branch, `${t.protected}${name}${t.reset}`) + ` ${t.protected}${g.warning} protected${t.reset}`;
+        }
+        return hyperlink(links.branch, `${t.branch}${name}${t.reset}`);
+      }),
+    },
+    subdir: {
+      sep: ' ',
+      priority: 3,
+      render: () => ((inRepo && git.subDir) ? `${t.dim}${git.subDir}${t.reset}` : ''),
+    },
+    git_op: {
+      sep: ' ',
+      // REBASE 3/7 onto main — never shortened or dropped
+      render: () => {
+        const op = git.operation;
+        if (!inRepo || !op) return '';
+        const progress = op.total > 0 ? ` ${op.step}/${op.total}` : '';
+        const onto = op.onto ? ` ${t.dim}onto${t.reset} ${t.branch}${op.onto}${t.reset}` : '';
+        return `${t.operation}${OPERATION_LABELS[op.kind] || op.kind.toUpperCase()}${progress}${t.reset}${onto}`;
+      },
+    },
+    git_status: {
+      sep: ' ',
+      priority: 1,
+      drop: false,
+      variants: [
+        // +3 ~5 ?2 !1 ≡2 ↑1 — a lone `?` when git timed out
+        () => {
+          const counts = git.counts || {};
+          const parts = STATUS_ORDER
+            .filter((k) => counts[k] > 0)
+            .map((k) => `${t[k]}${sym[k]}${counts[k]}${t.reset}`);
+          if (git.dirty && parts.length === 0) parts.push(`${t.dirty}${sym.dirty}${t.reset}`);
+          if (git.timedOut) parts.unshift(`${t.dirty}${sym.unknown}${t.reset}`);
+          if (git.stash > 0) parts.push(`${t.stash}${sym.stash}${git.stash}${t.reset}`);
+          const ab = aheadBehind();
+          if (ab) parts.push(`${t.dirty}${ab}${t.reset}`);
+          return parts.join(' ');
+        },
+        // *↑1
+        () => {
+          const s = (git.timedOut ? sym.unknown : '') + (git.dirty ? sym.dirty : '') + aheadBehind();
+          return s ? `${t.dirty}${s}${t.reset}` : '';
+        },
+      ],
+    },
+    diff: {
+      sep: ' | ',
+      priority: 2,
+      render: () => {
+        const { linesAdded, linesRemoved } = state.session;
+        if (!(linesAdded > 0 || linesRemoved > 0)) return '';
+        return `${t.added}+${linesAdded}${t.reset}/${t.removed}-${linesRemoved}${t.reset}`;
+      },
+    },
+    divergence: {
+      sep: ' | ',
+      priority: 1,
+      variants: [
+        // +1200/-300 vs main ↑5↓3
+        () => {
+          const short = divergence();
+          if (!short || !(git.baseAdded > 0 || git.baseRemoved > 0)) return short;
+          return `${t.added}+${git.baseAdded}${t.reset}/${t.removed}-${git.baseRemoved}${t.reset} ${short}`;
+        },
+        // vs main ↑5↓3
+        () => divergence(),
+      ],
+    },
+    user: {
+      sep: ' ',
+      priority: 1,
+      render: () => (state.user ? `${t.dim}${state.user}${t.reset}` : ''),
+    },
+
+    // -- Line 2 -------------------------------------------------------------
+    commit: {
+      sep: ' ',
+      render: () => (git.commitShort ? hyperlink(links.commit, `${t.commit}[${git.commitShort}]${t.reset}`) : ''),
+    },
+    commit_msg: {
+      sep: ' ',
+      priority: 2,
+      drop: false,
+      // Cut to the budget once the author is hidden; age and tag are dropped only after that
+      variants: [
+        () => commitSubject(Infinity),
+        (avail) => commitSubject(avail),
+      ],
+    },
+    tag: {
+      sep: ' | ',
+      priority: 4,
+      // v5.0.0+12 — commits since the tag, none when HEAD is tagged
+      render: () => {
+        if (!config.showTag || !git.tag) return '';
+        return `${t.commit}${git.tag}${git.tagDistance > 0 ? `+${git.tagDistance}` : ''}${t.reset}`;
+      },
+    },
+    commit_age: {
+      sep: ' | ',
+      priority: 3,
+      render: () => {
+        if (!config.showCommitAge || !git.commitTime) return '';
+        const age = formatAge(Math.floor(nowMs / 1000) - git.commitTime);
+        return age ? `${t.dim}${age}${t.reset}` : '';
+      },
+    },
+    commit_author: {
+      sep: ' | ',
+      priority: 1,
+      // Hidden before the subject is cut
+      variants: [
+        () => ((config.showAuthor && git.commitAuthor) ? `${t.dim}${git.commitAuthor}${t.reset}` : ''),
+        () => '',
+      ],
+    },
+
+    // -- Line 3 -------------------------------------------------------------
+    bricks: {
+      sep: ' ',
+      priority: 3,
+      drop: false,
+      variants: [
+        () => brickBar(totalBricks),
+        // Flexible: as many bricks as the budget allows, brackets included
+        (avail) => brickBar(Math.max(Math.min(MIN_BRICKS, totalBricks), Math.min(totalBricks, avail - 2))),
+      ],
+    },
+    percent: {
+      sep: ' ',
+      render: () => `${t.bold}${ctx.usedPct}%${t.reset}`,
+    },
+    free: {
+      sep: ' | ',
+      priority: 5,
+      variants: [
+        () => `${t.free}${Math.floor(ctx.freeTokens / 1000)}k free${t.reset}`,
+        () => `${t.free}${Math.floor(ctx.freeTokens / 1000)}k${t.reset}`,
+      ],
+    },
+    compact: {
+      sep: ' | ',
+      priority: 2,
+      // Hidden once past the threshold: Claude Code compacts on the next turn, or auto-compact is off
+      variants: [
+        () => {
+          if (compactAt <= 0 || compactLeft <= 0) return '';
+          return `${brickAlert ? t[brickAlert] : t.dim}compact in ~${formatTokens(compactLeft)}${t.reset}`;
+        },
+        // Narrow terminal: hidden after duration, before the bricks shrink; the marker stays in the bar
+        () => '',
+      ],
+    },
+    duration: {
+      sep: ' | ',
+      priority: 1,
+      // Hidden before the bricks shrink: the bar is what line 3 is for
+      variants: [
+        () => {
+          const ms = state.session.durationMs;
+          return `${Math.floor(ms / 3600000)}h${Math.floor((ms % 3600000) / 60000)}m`;
+        },
+        () => '',
+      ],
+    },
+    cost: {
+      sep: ' | ',
+      render: () => (state.session.costUsd > 0 ? `${t.cost}$${state.session.costUsd.toFixed(2)}${t.reset}` : ''),
+    },
+    extra_usage: {
+      sep: ' | ',
+      priority: 4,
+      variants: [
+        () => {
+          if (!eu || !eu.enabled) return '';
+          const lim = (eu.monthlyLimit / 100).toFixed(2);
+          return `${t.dim}extra:${t.reset}${t.cost}$${euUsed}/$${lim}${t.reset}`;
+        },
+        () => ((eu && eu.enabled) ? `${t.dim}extra:${t.reset}${t.cost}$${euUsed}${t.reset}` : ''),
+      ],
+    },
+    brick_legend: {
+      sep: ' | ',
+      priority: 0,
+      // ■ input 12k ■ cache write 3k … → ■in 12k ■cw 3k … → hidden, before the bricks shrink
+      variants: [
+        () => categories.map(([key, role, label]) => `${t[role]}${g.brickUsed}${t.reset} ${label} ${formatTokens(ctx.breakdown[key])}`).join(' '),
+        () => categories.map(([key, role, , short]) => `${t[role]}${g.brickUsed}${t.reset}${short} ${formatTokens(ctx.breakdown[key])}`).join(' '),
+        () => '',
+      ],
+    },
+
+    // -- Line 4 -------------------------------------------------------------
+    quotas: {
+      sep: ' | ',
+      priority: 1,
+      drop: false,
+      variants: state.rate
+        ? rateLimitVariants(state.rate, config, t, g).map((line) => () => line)
+        : [() => ''],
+    },
+  };
+}
+
+module.exports = { buildSegments };
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * snapshot.js — last-stdin snapshot for rendering outside Claude Code.
+ *
+ * writeSnapshot(raw, input, snapshotPath, fsAccess) → boolean
+ * readSnapshot(snapshotPath, fsAccess)            → string | null
+ * resolveSnapshotPath(config)                     → string
+ *
+ * Every regular (ansi) statusline run stores the stdin JSON Claude Code sent.
+ * `contextbricks render --target tmux` replays it through statusline.js, so
+ * tmux / Waybar / Polybar can show the session's context and quota state on
+ * their own refresh schedule; quota and profile data come from the existing
+ * on-disk caches.
+ *
+ * Inputs carrying `_mock_*` keys (tests, `contextbricks test`) are never
+ * stored — they would overwrite the real session with sample data.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @param {object} config — resolved config (snapshotPath)
+ * @returns {string}
+ */
+function resolveSnapshotPath(config) {
+  return config.snapshotPath || path.join(os.homedir(), '.claude', '.contextbricks-last-input.json');
+}
+
+/**
+ * Store the raw stdin atomically (tmp + rename). Best-effort: never throws.
+ *
+ * @param {string} raw           — stdin text as received
+ * @param {object} input         — parsed stdin (checked for _mock_* keys)
+ * @param {string} snapshotPath
+ * @param {object} [fsAccess]    — { writeFileSync, renameSync }; real fs when omitted
+ * @returns {boolean} — true when written
+ */
+function writeSnapshot(raw, input, snapshotPath, fsAccess = fs) {
+  if (!input || typeof input !== 'object') return false;
+  if (Object.keys(input).some((k) => k.startsWith('_mock_'))) return false;
+  const tmpPath = `${snapshotPath}.tmp`;
+  try {
+    fsAccess.writeFileSync(tmpPath, raw, { mode: 0o600 });
+    fsAccess.renameSync(tmpPath, snapshotPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} snapshotPath
+ * @param {object} [fsAccess] — { readFileSync }; real fs when omitted
+ * @returns {string|null} — raw JSON text, or null when missing/unreadable
+ */
+function readSnapshot(snapshotPath, fsAccess = fs) {
+  try {
+    return fsAccess.readFileSync(snapshotPath, 'utf8') || null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { writeSnapshot, readSnapshot, resolveSnapshotPath };
@@ -0,0 +1,289 @@
+'use strict';
+
+/**
+ * vcs.js — version-control providers behind one repository-state shape.
+ *
+ * collectVcsInfo(cwd, opts)          → VcsInfo | null — detect, then dispatch
+ * detectVcs(cwd, fsAccess)           → { kind: 'git'|'jj'|'hg', root } | null
+ * collectJjInfo(cwd, root, opts)     → VcsInfo | null
+ * collectHgInfo(cwd, root, opts)     → VcsInfo | null
+ * runTool(cmd, args, cwd, env, timeout) → trimmed stdout, null on any failure, TIMED_OUT
+ *
+ * VcsInfo is GitInfo (git-info.js) plus `vcs`. The jj and hg providers fill
+ * the fields the segments render and leave the git-only ones empty:
+ *
+ *   field        git              jj                        hg
+ *   branch       branch           bookmark on @ (else @-)   active bookmark, else branch
+ *   commitShort  short hash       change id (8)             short node
+ *   commitMsg    subject          description, first line   description, first line
+ *   commitTime   committer date   committer date            commit date
+ *   commitAuthor author name      author name               author name
+ *   tag          describe --tags  —                         latesttag (`describe` only)
+ *   dirty        status entries   @ is not empty            `hg status` entries
+ *   counts       status entries   —                         M/A/R/!/? entries
+ *   baseRef      default branch   —                         —
+ *
+ * Detection walks up from cwd; the nearest `.jj`, `.hg` or `.git` wins. A
+ * directory with both `.jj` and `.git` is a colocated jj repository and goes
+ * to git, which reports more. Nothing found → git, so GIT_DIR and other
+ * setups git resolves on its own keep working.
+ *
+ * jj and hg state is not cached: `jj log` snapshots the working copy (the
+ * dirty flag is current), hg needs two calls. Only the git provider uses
+ * git-cache.js.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { cachedGitInfo } = require('./git-cache');
+const { relativeSubDir, TIMED_OUT } = require('./git-info');
+
+/** Marker directories, checked in this order at every level */
+const VCS_MARKERS = [['jj', '.jj'], ['hg', '.hg'], ['git', '.git']];
+
+/**
+ * One line per field; the description goes last because only its first
+ * line is kept. Bookmarks of @- cover the usual `jj new` on top of a bookmark.
+ */
+const JJ_TEMPLATE = [
+  'change_id.short(8)',
+  'if(empty, "clean", "dirty")',
+  'local_bookmarks.map(|b| b.name()).join(" ")',
+  'parents.map(|c| c.local_bookmarks().map(|b| b.name()).join(" ")).join(" ")',
+  'committer.timestamp().utc().format("%s")',
+  'author.name()',
+  'description.first_line()',
+].join(' ++ "\\n" ++ ');
+
+const HG_TEMPLATE = '{node|short}\\n{branch}\\n{activebookmark}\\n{date|hgdate}\\n{author|person}\\n'
+  + '{latesttag}\\n{latesttagdistance}\\n{desc|firstline}';
+
+/** ms before a jj / hg call is stopped, as for git (git-info.js) */
+const DEFAULT_TIMEOUT = 5000;
+
+/** hg status letter → counts key; 'C' and 'I' are not requested */
+const HG_STATUS_KEYS = { M: 'modified', A: 'staged', R: 'deleted', '!': 'deleted', '?': 'untracked' };
+
+/**
+ * Run a VCS binary and return its trimmed stdout; null on non-zero exit or
+ * spawn failure (binary not installed), TIMED_OUT (git-info.js) when it was
+ * stopped after `timeout` ms.
+ *
+ * @param {string} cmd
+ * @param {string[]} args
+ * @param {string} cwd
+ * @param {object} [env] — added to process.env
+ * @param {number} [timeout] — ms (default: DEFAULT_TIMEOUT)
+ * @returns {string|null|symbol}
+ */
+function runTool(cmd, args, cwd, env, timeout = DEFAULT_TIMEOUT) {
+  try {
+    const r = spawnSync(cmd, args, {
+      encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'], timeout, windowsHide: true, cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+    });
+    if (r.error && r.error.code === 'ETIMEDOUT') return TIMED_OUT;
+    return r.status === 0 && typeof r.stdout === 'string' ? r.stdout.trim() : null;
+  } catch { return null; }
+}
+
+/**
+ * Find the nearest repository marker above cwd.
+ *
+ * @param {string} cwd
+ * @param {object} [fsAccess] — { statSync }
+ * @returns {{ kind: string, root: string }|null}
+ */
+function detectVcs(cwd, fsAccess = fs) {
+  const has = (dir, name) => {
+    try { fsAccess.statSync(path.join(dir, name)); return true; } catch { return false; }
+  };
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const found = VCS_MARKERS.filter(([, marker]) => has(dir, marker)).map(([kind]) => kind);
+    if (found.length) return { kind: found.includes('git') ? 'git' : found[0], root: dir };
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Main checkout of a secondary jj workspace or a shared hg repository:
+ * `pointer` (.jj/repo or .hg/sharedpath) is a file naming the main store.
+ *
+ * @param {string} pointer — path of the pointer file
+ * @param {number} up      — directory levels from the store to the checkout
+ * @param {object} fsAccess — { statSync, readFileSync }
+ * @returns {string} — main checkout directory, '' when pointer is not a file
+ */
+function mainCheckout(pointer, up, fsAccess) {
+  try {
+    if (fsAccess.statSync(pointer).isDirectory()) return '';
+    let store = path.resolve(path.dirname(pointer), fsAccess.readFileSync(pointer, 'utf8').trim());
+    for (let i = 0; i < up; i++) store = path.dirname(store);
+    return store;
+  } catch { return ''; }
+}
+
+/**
+ * Repository fields shared by the jj and hg providers.
+ *
+ * @param {string} cwd
+ * @param {string} root
+ * @param {string} main — main checkout ('' unless root is a secondary workspace)
+ * @param {boolean} showDir
+ * @returns {object}
+ */
+function baseInfo(cwd, root, main, showDir) {
+  return {
+    toplevel: root,
+    repoName: path.basename(main || root),
+    worktreeName: main ? path.basename(root) : '',
+    subDir: showDir ? relativeSubDir(root, cwd) : '',
+    upstream: '',
+    stash: 0,
+    ahead: 0,
+    behind: 0,
+    tag: '',
+    tagDistance: 0,
+    remoteUrl: '',
+    operation: null,
+    superproject: '',
+    superName: '',
+    superDrift: false,
+    baseRef: '',
+    baseAhead: 0,
+    baseBehind: 0,
+    baseAdded: 0,
+    baseRemoved: 0,
+    timedOut: false,
+  };
+}
+
+/**
+ * Wrap a runner so a TIMED_OUT result reads as failed and is remembered,
+ * as collectGitInfo does for git.
+ *
+ * @param {function(string[], string): (string|null|symbol)} runner
+ * @returns {{ run: function(string[], string): (string|null), timedOut: function(): boolean }}
+ */
+function watchTimeout(runner) {
+  let stopped = false;
+  const run = (args, dir) => {
+    const out = runner(args, dir);
+    if (out !== TIMED_OUT) return out;
+    stopped = true;
+    return null;
+  };
+  return { run, timedOut: () => stopped };
+}
+
+/**
+ * Jujutsu working-copy state in one `jj log` call. When the call is
+ * stopped by the timeout, the state is empty and `timedOut` is true.
+ *
+ * @param {string} cwd
+ * @param {string} root — directory containing .jj
+ * @param {object} [opts]
+ * @param {function(string[], string): (string|null|symbol)} [opts.run] — jj runner (default: runTool('jj', …))
+ * @param {number} [opts.timeout] — ms per call for the default runner
+ * @param {boolean} [opts.showDir]
+ * @param {object} [opts.fsAccess]
+ * @returns {object|null}
+ */
+function collectJjInfo(cwd, root, opts = {}) {
+  const { run, timedOut } = watchTimeout(opts.run || ((args, dir) => runTool('jj', args, dir, null, opts.timeout)));
+  const out = run(['log', '--no-graph', '--color=never', '-r', '@', '-T', JJ_TEMPLATE], cwd);
+  if (out == null && !timedOut()) return null;
+  const [changeId = '', state = '', own = '', parents = '', time = '', author = '', description = ''] = (out || '').split('\n');
+  const bookmark = own.split(' ').filter(Boolean)[0] || parents.split(' ').filter(Boolean)[0] || '';
+  const main = mainCheckout(path.join(root, '.jj', 'repo'), 2, opts.fsAccess || fs);
+  return {
+    vcs: 'jj',
+    ...baseInfo(cwd, root, main, opts.showDir !== false),
+    branch: bookmark,
+    dirty: state === 'dirty',
+    counts: { staged: 0, modified: 0, deleted: 0, renamed: 0, untracked: 0, conflicted: 0 },
+    commitShort: changeId.trim(),
+    commitMsg: description.trim(),
+    commitTime: Number(time) || 0,
+    commitAuthor: author.trim(),
+    timedOut: timedOut(),
+  };
+}
+
+/**
+ * Mercurial working-directory state: `hg log -r .` and `hg status`.
+ * HGPLAIN keeps user aliases and output settings out of the parse. A call
+ * stopped by the timeout sets `timedOut`; after a stopped log, status is
+ * not run.
+ *
+ * @param {string} cwd
+ * @param {string} root — directory containing .hg
+ * @param {object} [opts]
+ * @param {function(string[], string): (string|null|symbol)} [opts.run] — hg runner (default: runTool('hg', …))
+ * @param {number} [opts.timeout] — ms per call for the default runner
+ * @param {boolean} [opts.showDir]
+ * @param {boolean} [opts.describe] — fill tag / tagDistance from latesttag
+ * @param {object} [opts.fsAccess]
+ * @returns {object|null}
+ */
+function collectHgInfo(cwd, root, opts = {}) {
+  const { run, timedOut } = watchTimeout(opts.run || ((args, dir) => runTool('hg', args, dir, { HGPLAIN: '1' }, opts.timeout)));
+  const log = run(['log', '-r', '.', '-T', HG_TEMPLATE], cwd);
+  if (log == null && !timedOut()) return null;
+  const [node = '', branch = '', bookmark = '', date = '', author = '', latest = '', distance = '', description = ''] = (log || '').split('\n');
+  // latesttag is 'null' in a repository without tags
+  const tag = opts.describe && latest.trim() !== 'null' ? latest.trim() : '';
+
+  const counts = { staged: 0, modified: 0, deleted: 0, renamed: 0, untracked: 0, conflicted: 0 };
+  const status = (!timedOut() && run(['status', '--modified', '--added', '--removed', '--deleted', '--unknown'], cwd)) || '';
+  let dirty = false;
+  for (const line of status.split('\n')) {
+    const key = HG_STATUS_KEYS[line[0]];
+    if (!key) continue;
+    counts[key]++;
+    dirty = true;
+  }
+
+  const main = mainCheckout(path.join(root, '.hg', 'sharedpath'), 1, opts.fsAccess || fs);
+  return {
+    vcs: 'hg',
+    ...baseInfo(cwd, root, main, opts.showDir !== false),
+    branch: bookmark.trim() || branch.trim(),
+    dirty,
+    counts,
+    // An empty repository sits on the null revision
+    commitShort: /^0+$/.test(node.trim()) ? '' : node.trim(),
+    commitMsg: description.trim(),
+    commitTime: parseInt(date, 10) || 0,
+    commitAuthor: author.trim(),
+    tag,
+    tagDistance: tag ? Number(distance) || 0 : 0,
+    timedOut: timedOut(),
+  };
+}
+
+/**
+ * Repository state for cwd from whichever VCS owns it.
+ *
+ * @param {string} cwd
+ * @param {object} opts — cachedGitInfo options (maxAgeMs, cachePath, nowMs, showDir, remote, describe, base,
+ *   diffstat, untracked, fsmonitor, timeout),
+ *   plus { runJj, runHg } runners and fsAccess; `timeout` applies to jj and hg as well
+ * @returns {object|null}
+ */
+function collectVcsInfo(cwd, opts) {
+  const fsAccess = opts.fsAccess || fs;
+  const found = detectVcs(cwd, fsAccess);
+  if (found && found.kind === 'jj') return collectJjInfo(cwd, found.root, { run: opts.runJj, timeout: opts.timeout, showDir: opts.showDir, fsAccess });
+  if (found && found.kind === 'hg') {
+    return collectHgInfo(cwd, found.root, { run: opts.runHg, timeout: opts.timeout, showDir: opts.showDir, describe: opts.describe, fsAccess });
+  }
+  const info = cachedGitInfo(cwd, opts);
+  return info && { vcs: 'git', ...info };
+}
+
+module.exports = { collectVcsInfo, detectVcs, collectJjInfo, collectHgInfo, runTool };
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * width.js — terminal display width of rendered text.
+ *
+ * stripAnsi(str)                        → str without SGR / CSI / OSC sequences
+ * displayWidth(str)                     → columns the string occupies
+ * sliceToWidth(str, width)              → longest grapheme prefix that fits
+ * truncate(str, width, ellipsis = '...') → str, or a prefix + ellipsis, within width
+ * truncateMiddle(str, width, ellipsis = '...') → str, or head + ellipsis + tail, within width
+ *
+ * Width is counted per grapheme cluster, not per UTF-16 code unit:
+ *   - East Asian Wide / Fullwidth characters (CJK, Hangul, kana, fullwidth
+ *     forms) and emoji with default emoji presentation count 2
+ *   - combining marks, ZWJ, variation selectors, emoji modifiers and other
+ *     zero-width characters count 0 and stay attached to their base
+ *   - a text-style pictograph followed by VS16 (U+FE0F) and a regional
+ *     indicator pair (flag) count 2
+ *   - East Asian Ambiguous characters (■ □ ↑ ↓ …) count 1, as in every
+ *     Western-locale terminal
+ *
+ * Clusters are built here rather than with Intl.Segmenter, which is missing
+ * from Node 14 and from small-icu builds. Zero npm dependencies (NFR-4).
+ */
+
+// eslint-disable-next-line no-control-regex
+const ESCAPE_RE = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+
+const MARK_RE = /^\p{M}$/u;
+const PICTO_RE = /^\p{Extended_Pictographic}$/u;
+const EMOJI_PRESENTATION_RE = /^\p{Emoji_Presentation}$/u;
+
+const ZWJ = 0x200d;
+const VS16 = 0xfe0f;
+
+/** East Asian Wide (W) and Fullwidth (F) ranges, excluding emoji (handled by property) */
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2329, 0x232a], [0x2e80, 0x303e], [0x3041, 0x33ff],
+  [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xa960, 0xa97f],
+  [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x16fe0, 0x16fe4], [0x17000, 0x18cff],
+  [0x1b000, 0x1b2ff], [0x1f200, 0x1f2ff], [0x20000, 0x2fffd], [0x30000, 0x3fffd],
+];
+
+/**
+ * @param {number} cp
+ * @returns {boolean}
+ */
+function isWide(cp) {
+  for (const [lo, hi] of WIDE_RANGES) {
+    if (cp < lo) return false;
+    if (cp <= hi) return true;
+  }
+  return false;
+}
+
+/** Zero-width code points that never start a cluster of their own */
+function isExtender(cp, ch) {
+  return cp === ZWJ
+    || (cp >= 0xfe00 && cp <= 0xfe0f)        // variation selectors
+    || (cp >= 0xe0100 && cp <= 0xe01ef)      // variation selectors supplement
+    || (cp >= 0x1f3fb && cp <= 0x1f3ff)      // emoji skin-tone modifiers
+    || (cp >= 0xe0020 && cp <= 0xe007f)      // emoji tag sequences
+    || MARK_RE.test(ch);
+}
+
+/** Zero-width on their own: controls, format characters, BOM */
+function isZeroWidth(cp) {
+  return cp < 0x20
+    || (cp >= 0x7f && cp < 0xa0)
+    || cp === 0xad
+    || (cp >= 0x200b && cp <= 0x200f)
+    || (cp >= 0x2028 && cp <= 0x202e)
+    || (cp >= 0x2060 && cp <= 0x2064)
+    || cp === 0xfeff;
+}
+
+function isRegional(cp) {
+  return cp >= 0x1f1e6 && cp <= 0x1f1ff;
+}
+
+/**
+ * Split a plain (escape-free) string into grapheme clusters.
+ *
+ * @param {string} str
+ * @returns {string[]}
+ */
+function graphemes(str) {
+  const out = [];
+  let prevCp = -1;
+  let riRun = 0;
+  for (const ch of str) {
+    const cp = ch.codePointAt(0);
+    const joinsPrev = out.length > 0 && (
+      isExtender(cp, ch)
+      || prevCp === ZWJ
+      || (isRegional(cp) && riRun % 2 === 1)
+    );
+    if (joinsPrev) out[out.length - 1] += ch;
+    else out.push(ch);
+    riRun = isRegional(cp) ? riRun + 1 : 0;
+    prevCp = cp;
+  }
+  return out;
+}
+
+/**
+ * Width of one grapheme cluster.
+ *
+ * @param {string} g
+ * @returns {number} 0, 1 or 2
+ */
+function clusterWidth(g) {
+  const cp = g.codePointAt(0);
+  if (isZeroWidth(cp) || isExtender(cp, String.fromCodePoint(cp))) return 0;
+  if (isRegional(cp)) return g.length > 2 ? 2 : 1;
+  if (isWide(cp) || EMOJI_PRESENTATION_RE.test(String.fromCodePoint(cp))) return 2;
+  if (PICTO_RE.test(String.fromCodePoint(cp)) && g.includes(String.fromCharCode(VS16))) return 2;
+  return 1;
+}
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function stripAnsi(str) {
+  return String(str).replace(ESCAPE_RE, '');
+}
+
+/**
+ * Columns `str` occupies on a terminal; escape sequences count 0.
+ *
+ * @param {string} str
+ * @returns {number}
+ */
+function displayWidth(str) {
+  const plain = stripAnsi(str);
+  // ASCII fast path — the overwhelmingly common case
+  // eslint-disable-next-line no-control-regex
+  if (/^[\x20-\x7e]*$/.test(plain)) return plain.length;
+  let w = 0;
+  for (const g of graphemes(plain)) w += clusterWidth(g);
+  return w;
+}
+
+/**
+ * Longest prefix of a plain string, in whole grapheme clusters, whose width
+ * is at most `width`. Never splits a surrogate pair or a cluster.
+ *
+ * @param {string} str — plain text (no escape sequences)
+ * @param {number} width
+ * @returns {string}
+ */
+function sliceToWidth(str, width) {
+  let out = '';
+  let w = 0;
+  for (const g of graphemes(str)) {
+    const gw = clusterWidth(g);
+    if (w + gw > width) break;
+    out += g;
+    w += gw;
+  }
+  return out;
+}
+
+/**
+ * `str` when it fits `width`, else the longest prefix that leaves room for
+ * `ellipsis`, followed by it.
+ *
+ * @param {string} str — plain text (no escape sequences)
+ * @param {number} width
+ * @param {string} [ellipsis]
+ * @returns {string}
+ */
+function truncate(str, width, ellipsis = '...') {
+  if (displayWidth(str) <= width) return str;
+  return sliceToWidth(str, Math.max(0, width - displayWidth(ellipsis))) + ellipsis;
+}
+
+/**
+ * `str` when it fits `width`, else its start and end around `ellipsis` —
+ * the head gets the odd column. Keeps both ends of names such as
+ * `feature/…-for-proxy` recognizable.
+ *
+ * @param {string} str — plain text (no escape sequences)
+ * @param {number} width
+ * @param {string} [ellipsis]
+ * @returns {string}
+ */
+function truncateMiddle(str, width, ellipsis = '...') {
+  if (displayWidth(str) <= width) return str;
+  const room = Math.max(0, width - displayWidth(ellipsis));
+  const head = sliceToWidth(str, Math.ceil(room / 2));
+  let tail = '';
+  let w = displayWidth(head);
+  const clusters = graphemes(str);
+  for (let i = clusters.length - 1; i >= 0; i--) {
+    const cw = clusterWidth(clusters[i]);
+    if (w + cw > room) break;
+    tail = clusters[i] + tail;
+    w += cw;
+  }
+  return head + ellipsis + tail;
+}
+
+module.exports = { stripAnsi, displayWidth, sliceToWidth, truncate, truncateMiddle, graphemes };
@@ -2,16 +2,23 @@
 
 // Claude Code Custom Status Line (Node.js / Cross-Platform)
 // v5.0.0 — topology-aware orchestrator (rewritten from 1142 LOC inline to ~380 LOC + lib/*)
-// Line 1: Model | Repo:Branch [subdir] | git status | lines changed | @user
-// Line 2: [commit] commit message
+// Default layout (lib/layout.js DEFAULT_LAYOUT; override with the `layout` config key):
+// Line 1: Model | Repo:Branch [subdir] | REBASE 3/7 | git status | lines changed | @user
+// Line 2: [commit] commit message | v5.0.0+12 | 3h ago | author
 // Line 3: Context bricks | percentage | free | duration | cost | extra:$N/$M
 // Line 4: Unified rate-limit line — response-header probe (topology.target) is authoritative.
 //         TTL+hit% prefix leads when meter data is fresh (< 30 min). PEAK/OVERAGE trail.
 //
-// Configuration via environment variables:
+// Configuration: ~/.claude/contextbricks.json (path override: CONTEXTBRICKS_CONFIG),
+// overridden per key by environment variables (see lib/config.js for the schema):
 //   CONTEXTBRICKS_SHOW_DIR=1     Show current subdirectory (default: 1)
 //   CONTEXTBRICKS_SHOW_DIR=0     Hide subdirectory
 //   CONTEXTBRICKS_BRICKS=40      Number of bricks (default: 30)
+//   CONTEXTBRICKS_BRICK_CATEGORIES=0  One color for used bricks (no input/cache/output split, no legend)
+//   CONTEXTBRICKS_BRICK_STYLE=blocks  Brick glyphs: squares|blocks|braille|dots|bars (default: squares)
+//   CONTEXTBRICKS_BRICK_PRECISION=1  Eighth-block glyph for the last, partly used brick (default: 0)
+//   CONTEXTBRICKS_COMPACT_THRESHOLD=80  Auto-compact marker in the bar, % of the window (0 = off; default: 80)
+//   CONTEXTBRICKS_COMPACT_WARN=10  Warning colors this many points before the threshold (default: 10)
 //   CONTEXTBRICKS_SHOW_LIMITS=0  Hide rate-limit line (default: shown)
 //   CONTEXTBRICKS_SHOW_CACHE_FIX=0  Disable extras (TTL / hit rate / PEAK / OVERAGE)
 //   CONTEXTBRICKS_USER=username  OAuth account display: username|email|name|off (default: username)
@@ -20,6 +27,33 @@
 //   CONTEXTBRICKS_RIGHT_PADDING=28  Reserve N chars on right of Line 1
 //   CONTEXTBRICKS_QUOTA_PROBE_MODEL  Override probe model (skips fallback chain)
 //   CONTEXTBRICKS_CACHE_PATH         Override quota cache file path (used by integration tests)
+//   CONTEXTBRICKS_WIDTH=120          Force terminal width
+//   CONTEXTBRICKS_THEME=light        Palette: dark|light|solarized|high-contrast (default: dark)
+//   CONTEXTBRICKS_COLORS=256         Color depth: auto|none|16|256|truecolor (auto: NO_COLOR/COLORTERM/TERM)
+//   CONTEXTBRICKS_ASCII=on           ASCII glyphs (# . + -): auto|on|off (auto: TERM=dumb or non-UTF-8 locale)
+//   CONTEXTBRICKS_LAYOUT="model,repo,branch;bricks,percent,cost;quotas"  Lines (;) of segments (,)
+//   CONTEXTBRICKS_OUTPUT=json        Print one JSON document instead of the lines (same as --json)
+//   CONTEXTBRICKS_OUTPUT=tmux        Single line for a status bar: tmux|waybar|polybar|pango (same as --target X)
+//   CONTEXTBRICKS_SNAPSHOT_PATH      Where the last stdin is kept for `contextbricks render`
+//   CONTEXTBRICKS_HYPERLINKS=off     OSC 8 links on repo/branch/commit: auto|on|off (auto: known terminals)
+//   CONTEXTBRICKS_COMMIT_URL="{base}/commit/{sha}"  Link templates (also _REPO_URL, _BRANCH_URL)
+//   CONTEXTBRICKS_GIT_CACHE_MAX_AGE=10  Reuse unchanged git state for up to N seconds (0 = off)
+//   CONTEXTBRICKS_GIT_CACHE_PATH     Override git state cache file path
+//   CONTEXTBRICKS_GIT_TIMEOUT=5000   Milliseconds per git / jj / hg call before line 1 shows `?` instead of the status
+//   CONTEXTBRICKS_GIT_REPOS='{"~/src/mono":{"untracked":"no"}}'  Per-repo git settings (JSON, as in the file)
+//   CONTEXTBRICKS_STATUS_SYMBOLS="staged=S,stash=$"  Override working-tree status symbols
+//   CONTEXTBRICKS_SHOW_TAG=1         Show the nearest tag on Line 2 (runs `git describe`; default: 0)
+//   CONTEXTBRICKS_SHOW_COMMIT_AGE=0  Hide the commit age on Line 2
+//   CONTEXTBRICKS_SHOW_AUTHOR=1      Show the commit author on Line 2
+//   CONTEXTBRICKS_CONVENTIONAL_COMMITS=0  Plain commit subject (no type colors, fixup!/WIP flag)
+//   CONTEXTBRICKS_SHOW_DIVERGENCE=0  Hide ahead/behind and diffstat vs the default branch on Line 1
+//   CONTEXTBRICKS_DIVERGENCE_DIFFSTAT=1  Add +N/-M vs the default branch (one `git diff --shortstat` more; default: 0)
+//   CONTEXTBRICKS_DEFAULT_BRANCH=origin/develop  Branch to compare with (default: origin/HEAD)
+//   CONTEXTBRICKS_REPO_LABEL=remote  Repo as owner/name from origin, with a gh/gl/bb badge (default: dir)
+//   CONTEXTBRICKS_BRANCH_SHORTEN=prefix,ticket,ellipsis  Branch shortening steps on narrow terminals
+//   CONTEXTBRICKS_BRANCH_TICKET_PATTERN="[A-Z]+-\d+"  Ticket ID for the `ticket` step
+//   CONTEXTBRICKS_BRANCH_MAX_WIDTH=24  Width of the `ellipsis` step
+//   CONTEXTBRICKS_PROTECTED_BRANCHES="main,release/*"  Warn on these branches when work is pending
 //
 // See: https://code.claude.com/docs/en/statusline
 
@@ -30,17 +64,43 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 
-const { c } = require('./lib/ansi');
 const { detectTopology } = require('./lib/topology');
 const { HeaderProbeQuotaSource } = require('./lib/quota-source');
 const { readOAuthToken } = require('./lib/creds');
 const { detectTermWidth } = require('./lib/detect-term-width');
 const { buildRateView } = require('./lib/rate-view');
-const { formatRateLimitLine } = require('./lib/format/rate-limit-line');
 const { readMeterExtras } = require('./lib/meter-extras');
+const { loadConfig } = require('./lib/config');
+const { renderLayout } = require('./lib/layout');
+const { buildSegments } = require('./lib/segments');
+const { createTheme, detectColorDepth, detectHyperlinks } = require('./lib/ansi');
+const { getGlyphs, getStatusSymbols, getBrickEighths, detectAscii } = require('./lib/glyphs');
+const { buildJsonOutput, JSON_SCHEMA_VERSION } = require('./lib/format/json-output');
+const { formatTarget, MARKUP_TARGETS } = require('./lib/format/markup');
+const { writeSnapshot, resolveSnapshotPath } = require('./lib/snapshot');
+const { buildLinks, remoteIdentity } = require('./lib/remote-url');
+const { resolveGitCachePath } = require('./lib/git-cache');
+const { collectVcsInfo } = require('./lib/vcs');
+const { isProtectedBranch, hasPendingWork, repoGitSettings } = require('./lib/git-info');
 
 const MAX_STDIN_BYTES = 1024 * 1024;
 
+/** Layout width for status-bar targets when `width` is not set — the bar clips, not us */
+const TARGET_WIDTH = 1000;
+
+/**
+ * Output target from argv: `--json`, `--target X` or `--target=X`.
+ *
+ * @param {string[]} argv — process.argv.slice(2)
+ * @returns {string|null} — null when not given on the command line
+ */
+function parseTargetArg(argv) {
+  if (argv.includes('--json')) return 'json';
+  const i = argv.findIndex((a) => a === '--target' || a.startsWith('--target='));
+  if (i < 0) return null;
+  return argv[i] === '--target' ? (argv[i + 1] || '') : argv[i].slice('--target='.length);
+}
+
 function readStdin() {
   const chunks = [];
   const buf = Buffer.alloc(4096);
@@ -66,13 +126,6 @@ function resolveGitCwd(currentDir) {
   return process.cwd();
 }
 
-function git(args, cwd, fallback = '') {
-  try {
-    const r = spawnSync('git', args, { encoding: 'utf8', stdio: ['pipe','pipe','pipe'], timeout: 5000, windowsHide: true, cwd });
-    return (r.status === 0 && r.stdout) ? r.stdout.trim() : fallback;
-  } catch { return fallback; }
-}
-
 function getPath(obj, dotPath) {
   const parts = dotPath.split('.');
   let cur = obj;
@@ -83,8 +136,6 @@ function getPath(obj, dotPath) {
   return cur;
 }
 
-function visibleLen(s) { return s.replace(/\x1b\[[0-9;]*m/g, '').length; }
-
 // Profile fetch — uses topology.target for proxy compat (Open Q3 resolution, NFR-3)
 // 24h disk cache + 7d stale fallback. Token via env to subprocess (FR-9).
 function fetchUserProfile(token, input, topologyTarget) {
@@ -154,12 +205,32 @@ function formatUserLabel(profile, format) {
 }
 
 function main() {
+  const { config, warnings } = loadConfig();
+  for (const w of warnings) process.stderr.write(`ContextBricks: config: ${w}\n`);
+  let target = parseTargetArg(process.argv.slice(2));
+  const fromArgv = target !== null;
+  if (fromArgv && !['ansi', 'json', ...MARKUP_TARGETS].includes(target)) {
+    process.stderr.write(`ContextBricks: unknown --target "${target}" — using ${config.output}\n`);
+    target = config.output;
+  }
+  if (!fromArgv) target = config.output;
+  const jsonOutput = target === 'json';
+  const markup = MARKUP_TARGETS.includes(target);
+
+  // Input errors stay on stdout; in JSON mode they are a document with `error` set
+  const fail = (msg) => process.stdout.write(jsonOutput
+    ? JSON.stringify({ schema_version: JSON_SCHEMA_VERSION, error: msg }) + '\n'
+    : `ContextBricks: ${msg}\n`);
+
   const raw = readStdin();
-  if (!raw) { process.stdout.write('ContextBricks: no input\n'); return; }
+  if (!raw) { fail('no input'); return; }
 
   let input;
   try { input = JSON.parse(raw); }
-  catch { process.stdout.write('ContextBricks: invalid JSON\n'); return; }
+  catch { fail('invalid JSON'); return; }
+
+  // Replayed by `contextbricks render`, which always passes --target
+  if (!fromArgv && target === 'ansi') writeSnapshot(raw, input, resolveSnapshotPath(config));
 
   // NOTE: Claude Code footer layout bug (flexShrink=0 squeezes statusline on narrow terms).
   // Reported: https://github.com/anthropics/claude-code/issues/27864
@@ -177,107 +248,86 @@ function main() {
   const currentDir = getPath(input, 'workspace.current_dir') || process.cwd();
   const linesAdded = Number(getPath(input, 'cost.total_lines_added')) || 0;
   const linesRemoved = Number(getPath(input, 'cost.total_lines_removed')) || 0;
-  const showDir = process.env.CONTEXTBRICKS_SHOW_DIR !== '0';
+  const showDir = config.showDir;
 
-  const termWidth = Number(process.env.CONTEXTBRICKS_WIDTH)
+  const termWidth = config.width
+    || (markup ? TARGET_WIDTH : 0)
     || (process.stdout.columns > 0 ? process.stdout.columns : 0)
     || (process.stderr.columns > 0 ? process.stderr.columns : 0)
     || detectTermWidth()
     || Number(process.env.COLUMNS) || 80;
 
-  const rightPadding = (Number(process.env.CONTEXTBRICKS_RIGHT_PADDING) || 0)
+  // Padding only matters inside Claude Code's footer, not in a status bar
+  const rightPadding = markup ? 0 : config.rightPadding
     + (process.env.TERM_PROGRAM === 'vscode' ? 28 : 0);
-  const totalBricks = Math.max(1, Math.min(Number(process.env.CONTEXTBRICKS_BRICKS) || 30, Math.max(5, termWidth - 35)));
   const cwd = resolveGitCwd(currentDir);
 
-  let repoName = '', branch = '', commitShort = '', commitMsg = '';
-  let gitStatus = '', subDir = '', worktreeName = '';
-
-  const gitDir = git(['rev-parse', '--git-dir'], cwd);
-  if (gitDir) {
-    const toplevel = git(['rev-parse', '--show-toplevel'], cwd);
-    repoName = toplevel ? path.basename(toplevel) : '';
-    branch = git(['branch', '--show-current'], cwd) || 'detached';
-
-    const commonDir = git(['rev-parse', '--git-common-dir'], cwd);
-    if (commonDir) {
-      const rgd = path.resolve(cwd, gitDir), rcd = path.resolve(cwd, commonDir);
-      if (rgd !== rcd) { worktreeName = repoName; repoName = path.basename(path.dirname(rcd)); }
-    }
-
-    if (showDir && toplevel) {
-      const rel = path.relative(toplevel, cwd).replace(/\\/g, '/');
-      if (rel && rel !== '.') subDir = rel;
-    }
-
-    commitShort = git(['rev-parse', '--short', 'HEAD'], cwd);
-    commitMsg = git(['log', '-1', '--pretty=format:%s'], cwd);
-
-    if (git(['status', '--porcelain'], cwd)) gitStatus = '*';
-    const upstream = git(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'], cwd);
-    if (upstream) {
-      const ahead = Number(git(['rev-list', '--count', `${upstream}..HEAD`], cwd)) || 0;
-      const behind = Number(git(['rev-list', '--count', `HEAD..${upstream}`], cwd)) || 0;
-      if (ahead > 0) gitStatus += `↑${ahead}`;
-      if (behind > 0) gitStatus += `↓${behind}`;
-    }
-  }
-
-  // Line 1 assembly
-  let l1core = `${c.cyan}[${model}]${c.reset} `;
-  if (repoName) {
-    l1core += `${c.green}${repoName}${c.reset}`;
-  } else if (showDir) {
-    const home = os.homedir();
-    let dp = cwd.replace(/\\/g, '/');
-    const hn = home.replace(/\\/g, '/');
-    if (dp.startsWith(hn)) dp = '~' + dp.slice(hn.length);
-    l1core += `${c.dim}${dp}${c.reset}`;
-  }
-
-  const wtSeg = worktreeName ? `${c.dim}(wt:${worktreeName})${c.reset}` : '';
-  const brSeg = (repoName && branch) ? `:${c.blue}${branch}${c.reset}` : '';
-  const sdSeg = (repoName && subDir) ? ` ${c.dim}${subDir}${c.reset}` : '';
-  const gsSeg = gitStatus ? ` ${c.red}${gitStatus}${c.reset}` : '';
-  const dfSeg = (linesAdded > 0 || linesRemoved > 0)
-    ? ` | ${c.greenNorm}+${linesAdded}${c.reset}/${c.redNorm}-${linesRemoved}${c.reset}` : '';
+  // OSC 8 links — terminal output only; status bars and JSON have no use for them
+  const hyperlinks = !markup && !jsonOutput
+    && (config.hyperlinks === 'auto' ? detectHyperlinks(process.env) : config.hyperlinks === 'on');
+
+  // owner/name from origin instead of the directory name
+  const remoteLabel = config.repoLabel === 'remote';
+
+  // Per-repo overrides (gitRepos): untracked scanning, fsmonitor, timeout, or no VCS calls at all
+  const repoSettings = repoGitSettings(cwd, config.gitRepos);
+
+  // git, or jj / Mercurial when their marker is nearer (lib/vcs.js)
+  const info = !repoSettings.git ? null : collectVcsInfo(cwd, {
+    showDir,
+    remote: hyperlinks || remoteLabel,
+    describe: config.showTag,
+    base: config.showDivergence ? (config.defaultBranch || 'origin/HEAD') : '',
+    diffstat: config.divergenceDiffstat,
+    untracked: repoSettings.untracked,
+    fsmonitor: repoSettings.fsmonitor,
+    timeout: repoSettings.timeout || config.gitTimeout,
+    maxAgeMs: config.gitCacheMaxAge * 1000,
+    cachePath: resolveGitCachePath(config),
+    nowMs,
+  });
+  const { vcs, repoName, branch, worktreeName, subDir, dirty, counts, stash, ahead, behind, commitShort, commitMsg, commitTime, commitAuthor, tag, tagDistance,
+    operation, superName, superDrift, baseRef, baseAhead, baseBehind, baseAdded, baseRemoved, timedOut } = info || {
+    vcs: '', repoName: '', branch: '', worktreeName: '', subDir: '', dirty: false, counts: {}, stash: 0, ahead: 0, behind: 0,
+    commitShort: '', commitMsg: '', commitTime: 0, commitAuthor: '', tag: '', tagDistance: 0,
+    operation: null, superName: '', superDrift: false,
+    baseRef: '', baseAhead: 0, baseBehind: 0, baseAdded: 0, baseRemoved: 0, timedOut: false,
+  };
+
+  // Work about to land on a protected branch: uncommitted changes or unpushed commits
+  const protectedBranch = isProtectedBranch(branch, config.protectedBranches) && hasPendingWork(info);
+
+  // null without an origin remote — the repo segment keeps the directory name
+  const remote = (info && remoteLabel) ? remoteIdentity(info.remoteUrl) : null;
+
+  const links = (info && hyperlinks)
+    ? buildLinks(info.remoteUrl, { branch, sha: commitShort },
+      { repo: config.repoUrl, branch: config.branchUrl, commit: config.commitUrl })
+    : { repo: '', branch: '', commit: '' };
+
+  // ~-relative cwd, shown in place of the repo name outside a repository
+  const home = os.homedir().replace(/\\/g, '/');
+  let dirLabel = cwd.replace(/\\/g, '/');
+  if (dirLabel.startsWith(home)) dirLabel = '~' + dirLabel.slice(home.length);
 
   const oauthToken = readOAuthToken();
   const profile = fetchUserProfile(oauthToken, input, topology.target);
-  const userFormat = (process.env.CONTEXTBRICKS_USER || 'username').toLowerCase();
-  const userEnabled = userFormat !== '0' && userFormat !== 'off' && userFormat !== 'false';
-  const userSeg = (userEnabled && formatUserLabel(profile, userFormat))
-    ? ` ${c.dim}${formatUserLabel(profile, userFormat)}${c.reset}` : '';
-
-  function buildLine1(wt, sd, df, us) {
-    return l1core + (wt ? wtSeg : '') + brSeg + (sd ? sdSeg : '') + gsSeg + (df ? dfSeg : '') + (us ? userSeg : '');
-  }
+  const userLabel = config.user !== 'off' ? formatUserLabel(profile, config.user) : '';
 
-  let line1 = buildLine1(true, true, true, true);
-  const mw = termWidth - rightPadding;
-  if (visibleLen(line1) > mw) line1 = buildLine1(true, true, true, false);
-  if (visibleLen(line1) > mw) line1 = buildLine1(true, true, false, false);
-  if (visibleLen(line1) > mw) line1 = buildLine1(true, false, false, false);
-  if (visibleLen(line1) > mw) line1 = buildLine1(false, false, false, false);
-
-  // Line 2
-  let line2 = '';
-  if (commitShort) {
-    line2 = `${c.yellow}[${commitShort}]${c.reset}`;
-    if (commitMsg) {
-      const maxMsg = Math.max(10, termWidth - commitShort.length - 6);
-      line2 += ` ${commitMsg.length > maxMsg ? commitMsg.substring(0, maxMsg) + '...' : commitMsg}`;
-    }
-  }
-
-  // Line 3
-  const durMs = Number(getPath(input, 'cost.total_duration_ms')) || 0;
-  const durH = Math.floor(durMs / 3600000), durM = Math.floor((durMs % 3600000) / 60000);
-  const cost = Number(getPath(input, 'cost.total_cost_usd')) || 0;
+  // Context window usage
   const totalTok = Number(getPath(input, 'context_window.context_window_size')) || 200000;
   const usedPctRaw = getPath(input, 'context_window.used_percentage');
   const remPctRaw = getPath(input, 'context_window.remaining_percentage');
 
+  // Token categories of the last request, for the split brick bar (null without current_usage)
+  const cu = getPath(input, 'context_window.current_usage');
+  const breakdown = (cu && typeof cu === 'object') ? {
+    input: Number(cu.input_tokens) || 0,
+    cacheWrite: Number(cu.cache_creation_input_tokens) || 0,
+    cacheRead: Number(cu.cache_read_input_tokens) || 0,
+    output: Number(cu.output_tokens) || 0,
+  } : null;
+
   let usagePct, usedTok, freeTok;
   if (usedPctRaw != null && usedPctRaw !== '') {
     usagePct = Math.floor(Number(usedPctRaw));
@@ -285,29 +335,17 @@ function main() {
     usedTok = Math.floor((totalTok * usagePct) / 100);
     freeTok = Math.floor((totalTok * remPct) / 100);
   } else {
-    const cu = getPath(input, 'context_window.current_usage');
-    usedTok = (cu && typeof cu === 'object')
-      ? (Number(cu.input_tokens) || 0) + (Number(cu.cache_creation_input_tokens) || 0) + (Number(cu.cache_read_input_tokens) || 0)
-      : 0;
+    usedTok = breakdown ? breakdown.input + breakdown.cacheWrite + breakdown.cacheRead : 0;
     freeTok = totalTok - usedTok;
     usagePct = totalTok > 0 ? Math.floor((usedTok * 100) / totalTok) : 0;
   }
+  // Where Claude Code auto-compacts, in tokens (0 = no marker)
+  const compactAt = Math.floor((totalTok * config.compactThreshold) / 100);
 
-  const freeK = Math.floor(freeTok / 1000);
-  const usedBricks = totalTok > 0 ? Math.floor((usedTok * totalBricks) / totalTok) : 0;
-  const freeBricks = totalBricks - usedBricks;
-
-  let brickLine = '[';
-  for (let i = 0; i < usedBricks; i++) brickLine += `${c.cyanNorm}■${c.reset}`;
-  for (let i = 0; i < freeBricks; i++) brickLine += `${c.dimWhite}□${c.reset}`;
-  brickLine += `] ${c.bold}${usagePct}%${c.reset} | ${c.greenNorm}${freeK}k free${c.reset} | ${durH}h${durM}m`;
-  if (cost > 0) brickLine += ` | ${c.yellowNorm}$${cost.toFixed(2)}${c.reset}`;
-
-  // Line 4: topology-aware quota via header probe
-  const showLimits = process.env.CONTEXTBRICKS_SHOW_LIMITS !== '0';
+  // Rate limits: topology-aware quota via header probe
   let merged = null;
 
-  if (showLimits) {
+  if (config.showLimits) {
     const mockProbe = getPath(input, '_mock_probe_response');
     const mockLimits = getPath(input, '_mock_rate_limits');
 
@@ -333,30 +371,54 @@ function main() {
       quotaResult = new HeaderProbeQuotaSource({
         topology, nowMs,
         mockProbeFn: mockProbe ? () => mockProbe : null,
-        cachePath: process.env.CONTEXTBRICKS_CACHE_PATH || undefined,
+        cachePath: config.cachePath || undefined,
+        probeModel: config.quotaProbeModel,
       }).fetch();
     }
 
-    const cfData = process.env.CONTEXTBRICKS_SHOW_CACHE_FIX !== '0'
+    const cfData = config.showCacheFix
       ? readMeterExtras(input, nowMs) : null;
     merged = buildRateView(quotaResult, cfData, nowMs);
   }
 
-  // Extra usage appended to Line 3
-  if (merged && merged.extra_usage && merged.extra_usage.enabled) {
-    const used = (merged.extra_usage.usedCredits / 100).toFixed(2);
-    const lim = (merged.extra_usage.monthlyLimit / 100).toFixed(2);
-    brickLine += ` | ${c.dim}extra:${c.reset}${c.yellowNorm}$${used}/$${lim}${c.reset}`;
+  // Computed statusline model — segment providers render from this only
+  const state = {
+    model,
+    dirLabel,
+    git: { vcs, repoName, branch, worktreeName, subDir, dirty, counts, stash, ahead, behind, commitShort, commitMsg,
+      commitTime, commitAuthor, tag, tagDistance, operation, superName, superDrift, protectedBranch, remote, timedOut,
+      baseRef, baseAhead, baseBehind, baseAdded, baseRemoved, links },
+    session: {
+      linesAdded,
+      linesRemoved,
+      durationMs: Number(getPath(input, 'cost.total_duration_ms')) || 0,
+      costUsd: Number(getPath(input, 'cost.total_cost_usd')) || 0,
+    },
+    context: { totalTokens: totalTok, usedTokens: usedTok, freeTokens: freeTok, usedPct: usagePct, breakdown, compactAt },
+    user: userLabel,
+    rate: merged,
+  };
+
+  if (jsonOutput) {
+    process.stdout.write(JSON.stringify(buildJsonOutput(state, { nowMs })) + '\n');
+    return;
   }
 
-  process.stdout.write(line1 + '\n');
-  if (line2) process.stdout.write(line2 + '\n');
-  process.stdout.write(brickLine + '\n');
-
-  if (showLimits && merged) {
-    const line4 = formatRateLimitLine(merged, termWidth);
-    if (line4) process.stdout.write(line4 + '\n');
+  // Status bars all take 24-bit colors; only NO_COLOR applies to them
+  let depth = config.colors;
+  if (depth === 'auto') depth = markup ? (process.env.NO_COLOR ? 'none' : 'truecolor') : detectColorDepth(process.env);
+  const theme = createTheme(config.theme, depth);
+  const ascii = config.ascii === 'auto' ? detectAscii(process.env) : config.ascii === 'on';
+  const glyphs = getGlyphs(ascii, config.brickStyle);
+  const symbols = getStatusSymbols(ascii, config.statusSymbols);
+  const eighths = getBrickEighths(ascii);
+  const segments = buildSegments(state, { config, theme, glyphs, symbols, eighths, termWidth, nowMs });
+  const lines = renderLayout(config.layout, segments, { termWidth, rightPadding });
+  if (markup) {
+    process.stdout.write(formatTarget(lines, target, state) + '\n');
+    return;
   }
+  for (const line of lines) process.stdout.write(line + '\n');
 }
 
 main();
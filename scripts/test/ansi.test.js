@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * ansi.test.js — unit tests for createTheme / detectColorDepth / hyperlink
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/ansi.test.js
+ *
+ * Cases:
+ *  1. dark/256 reproduces the v5.0 fixed palette byte-for-byte
+ *  2. util() gradient stops at 256 / 16 / truecolor depth
+ *  3. Roles with rgb/x256 encode per depth; 16-color fallback always present
+ *  4. light theme never uses dim-white or yellow for bricks/labels
+ *  5. Every theme defines the same roles
+ *  6. Unknown theme name falls back to dark
+ *  7. detectColorDepth: COLORTERM, WT_SESSION, TERM
+ *  8. NO_COLOR / TERM=dumb → depth 'none', every role empty
+ *  9. hyperlink: OSC 8 wrapping, '' url passthrough, control chars removed
+ * 10. detectHyperlinks: FORCE_HYPERLINK, NO_COLOR, TERM_PROGRAM versions, VTE, TERM
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTheme, detectColorDepth, hyperlink, detectHyperlinks, THEME_NAMES } = require('../lib/ansi');
+
+test('TC-ANSI-1: dark/256 reproduces the v5.0 palette', () => {
+  const t = createTheme('dark', '256');
+  assert.equal(t.reset, '\x1b[0m');
+  assert.equal(t.bold, '\x1b[1m');
+  assert.equal(t.dim, '\x1b[2m');
+  assert.equal(t.model, '\x1b[1;36m');
+  assert.equal(t.repo, '\x1b[1;32m');
+  assert.equal(t.branch, '\x1b[1;34m');
+  assert.equal(t.dirty, '\x1b[1;31m');
+  assert.equal(t.commit, '\x1b[1;33m');
+  assert.equal(t.brickUsed, '\x1b[0;36m');
+  assert.equal(t.brickFree, '\x1b[2;37m');
+  assert.equal(t.label, '\x1b[2;37m');
+  assert.equal(t.peak, '\x1b[33m');
+  assert.equal(t.ttlCold, '\x1b[31m');
+});
+
+test('TC-ANSI-2: util() gradient per depth', () => {
+  assert.equal(createTheme('dark', '256').util(0), '\x1b[38;5;46m');
+  assert.equal(createTheme('dark', '256').util(100), '\x1b[38;5;196m');
+  assert.equal(createTheme('dark', '256').util(150), '\x1b[38;5;196m', 'clamped above 100');
+  assert.equal(createTheme('dark', '16').util(20), '\x1b[32m');
+  assert.equal(createTheme('dark', '16').util(60), '\x1b[33m');
+  assert.equal(createTheme('dark', '16').util(90), '\x1b[31m');
+  assert.equal(createTheme('dark', 'truecolor').util(50), '\x1b[38;2;255;255;0m');
+});
+
+test('TC-ANSI-3: role encoding per depth with fallback', () => {
+  assert.equal(createTheme('solarized', '16').branch, '\x1b[1;34m');
+  assert.equal(createTheme('solarized', '256').branch, '\x1b[1;38;5;33m');
+  assert.equal(createTheme('solarized', 'truecolor').branch, '\x1b[1;38;2;38;139;210m');
+  // dark declares no rgb — truecolor keeps the 16-color role
+  assert.equal(createTheme('dark', 'truecolor').branch, '\x1b[1;34m');
+});
+
+test('TC-ANSI-4: light theme — free bricks and labels stay visible on white', () => {
+  const t = createTheme('light', '16');
+  assert.notEqual(t.brickFree, '\x1b[2;37m');
+  assert.notEqual(t.label, '\x1b[2;37m');
+  assert.ok(!/;33m$/.test(t.commit), 'no yellow commit hash on light backgrounds');
+});
+
+test('TC-ANSI-5: every theme defines the same roles', () => {
+  const roles = Object.keys(createTheme('dark')).sort();
+  for (const name of THEME_NAMES) {
+    assert.deepEqual(Object.keys(createTheme(name)).sort(), roles, name);
+  }
+});
+
+test('TC-ANSI-6: unknown theme name → dark', () => {
+  assert.equal(createTheme('neon', '256').model, createTheme('dark', '256').model);
+});
+
+test('TC-ANSI-7: detectColorDepth', () => {
+  assert.equal(detectColorDepth({ COLORTERM: 'truecolor' }), 'truecolor');
+  assert.equal(detectColorDepth({ COLORTERM: '24bit', TERM: 'linux' }), 'truecolor');
+  assert.equal(detectColorDepth({ WT_SESSION: 'abc' }), 'truecolor');
+  assert.equal(detectColorDepth({ TERM: 'xterm-256color' }), '256');
+  assert.equal(detectColorDepth({ TERM: 'linux' }), '16');
+  assert.equal(detectColorDepth({ TERM: 'xterm' }), '256');
+  assert.equal(detectColorDepth({}), '256');
+});
+
+test('TC-ANSI-8: NO_COLOR and TERM=dumb → no escapes at all', () => {
+  assert.equal(detectColorDepth({ NO_COLOR: '1', COLORTERM: 'truecolor' }), 'none');
+  assert.equal(detectColorDepth({ NO_COLOR: '', TERM: 'xterm-256color' }), '256', 'empty NO_COLOR is unset');
+  assert.equal(detectColorDepth({ TERM: 'dumb' }), 'none');
+  for (const name of THEME_NAMES) {
+    const t = createTheme(name, 'none');
+    for (const [role, v] of Object.entries(t)) {
+      assert.equal(role === 'util' ? v(50) : v, '', `${name}.${role}`);
+    }
+  }
+});
+
+test('TC-ANSI-9: hyperlink wraps text in OSC 8', () => {
+  assert.equal(hyperlink('https://x.test/a', 'main'), '\x1b]8;;https://x.test/a\x1b\\main\x1b]8;;\x1b\\');
+  assert.equal(hyperlink('', 'main'), 'main');
+  assert.equal(hyperlink('https://x.test', ''), '');
+  assert.equal(hyperlink('https://x.test/\x1b[31m\x07', 'a'), '\x1b]8;;https://x.test/[31m\x1b\\a\x1b]8;;\x1b\\');
+});
+
+test('TC-ANSI-10: detectHyperlinks', () => {
+  assert.equal(detectHyperlinks({}), false);
+  assert.equal(detectHyperlinks({ TERM: 'xterm-256color' }), false);
+  assert.equal(detectHyperlinks({ TERM_PROGRAM: 'iTerm.app', TERM_PROGRAM_VERSION: '3.4.19' }), true);
+  assert.equal(detectHyperlinks({ TERM_PROGRAM: 'iTerm.app', TERM_PROGRAM_VERSION: '3.0.15' }), false);
+  assert.equal(detectHyperlinks({ TERM_PROGRAM: 'vscode', TERM_PROGRAM_VERSION: '1.95.0' }), true);
+  assert.equal(detectHyperlinks({ TERM_PROGRAM: 'Apple_Terminal' }), false);
+  assert.equal(detectHyperlinks({ VTE_VERSION: '7600' }), true);
+  assert.equal(detectHyperlinks({ TERM: 'xterm-kitty' }), true);
+  assert.equal(detectHyperlinks({ WT_SESSION: 'abc' }), true);
+  assert.equal(detectHyperlinks({ TERM: 'tmux-256color', VTE_VERSION: '7600' }), false, 'tmux hides the outer terminal');
+  assert.equal(detectHyperlinks({ NO_COLOR: '1', TERM: 'xterm-kitty' }), false);
+  assert.equal(detectHyperlinks({ FORCE_HYPERLINK: '1' }), true);
+  assert.equal(detectHyperlinks({ FORCE_HYPERLINK: '0', TERM: 'xterm-kitty' }), false);
+});
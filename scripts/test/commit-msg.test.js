@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * commit-msg.test.js — unit tests for parseCommitMessage
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/commit-msg.test.js
+ *
+ * Cases:
+ *  1. type, scope and breaking `!`; type lower-cased, scope as written
+ *  2. fixup! / squash! / amend! and WIP spellings, with and without a header
+ *  3. Not a header: unknown type, missing space, empty scope; `wipe`, `WIP-123` are no flags
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommitMessage } = require('../lib/commit-msg');
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-CMSG-1: conventional header', () => {
+  assert.deepEqual(parseCommitMessage('feat(parser)!: drop v1 syntax'), {
+    flag: '', marker: '', type: 'feat', scope: 'parser', breaking: true, header: 'feat(parser)!: ', subject: 'drop v1 syntax',
+  });
+  const fix = parseCommitMessage('Fix:  handle empty input');
+  assert.deepEqual([fix.type, fix.scope, fix.breaking, fix.header, fix.subject], ['fix', '', false, 'Fix:  ', 'handle empty input']);
+  assert.equal(parseCommitMessage('refactor(ui/Header): split').scope, 'ui/Header');
+  assert.equal(parseCommitMessage('chore!: drop node 16').breaking, true);
+});
+
+test('TC-CMSG-2: fixup, squash, amend and WIP flags', () => {
+  const fixup = parseCommitMessage('fixup! fix(cache): stale entry');
+  assert.deepEqual([fixup.flag, fixup.marker, fixup.type, fixup.scope, fixup.subject], ['fixup', 'fixup!', 'fix', 'cache', 'stale entry']);
+  assert.deepEqual([parseCommitMessage('squash! docs: typo').flag, parseCommitMessage('amend! docs: typo').flag], ['squash', 'amend']);
+  for (const [subject, marker, rest] of [['WIP', 'WIP', ''], ['wip: parser', 'wip:', 'parser'], ['WIP add cache', 'WIP', 'add cache'], ['[WIP] feat: parser', '[WIP]', 'parser']]) {
+    const cc = parseCommitMessage(subject);
+    assert.deepEqual([cc.flag, cc.marker, cc.subject], ['wip', marker, rest], subject);
+  }
+  assert.equal(parseCommitMessage('fixup! Update README').subject, 'Update README');
+});
+
+test('TC-CMSG-3: plain subjects', () => {
+  for (const subject of ['Note: not a type', 'feat:no space', 'feat(): empty scope', 'Merge branch main', '']) {
+    const cc = parseCommitMessage(subject);
+    assert.deepEqual([cc.type, cc.header, cc.subject], ['', '', subject], subject);
+  }
+  assert.equal(parseCommitMessage('wipe the cache').flag, '');
+  const ticket = parseCommitMessage('WIP-123 add cache');
+  assert.deepEqual([ticket.flag, ticket.subject], ['', 'WIP-123 add cache'], 'ticket ID, not a flag');
+  assert.deepEqual(parseCommitMessage(undefined).subject, '');
+});
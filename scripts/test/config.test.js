@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * config.test.js — unit tests for loadConfig({ env, fsAccess, configPath })
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/config.test.js
+ *
+ * Cases:
+ *  1. No file, no env → SCHEMA defaults, no warnings
+ *  2. File values applied
+ *  3. Env overrides file
+ *  4. Unknown file key → warning, ignored
+ *  5. Invalid file value → warning, default kept
+ *  6. Invalid env value → warning, file value kept
+ *  7. Corrupt JSON → warning, defaults
+ *  8. Legacy env spellings (USER=0, SHOW_DIR=0) preserved
+ *  9. Empty env string treated as unset
+ * 10. CONTEXTBRICKS_CONFIG selects the file path
+ * 11. Config object is frozen
+ * 12. layout: file array form, env compact form, unknown segment rejected
+ * 13. statusSymbols: file object, env key=symbol pairs, unknown key rejected
+ * 14. protectedBranches: defaults, file array, env comma list, non-strings rejected
+ * 15. branchShorten: unknown step rejected; branchTicketPattern: invalid regex rejected
+ * 16. gitRepos: file object, env JSON, unknown and invalid settings rejected; gitTimeout min
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, defaultConfig } = require('../lib/config');
+
+// ---- Helpers ---------------------------------------------------------------
+
+/**
+ * fsAccess mock serving a single in-memory file.
+ *
+ * @param {string|object|null} content — object is JSON-encoded; null = ENOENT
+ * @returns {{ readFileSync: Function, lastPath: () => string }}
+ */
+function makeFs(content) {
+  let last = '';
+  return {
+    readFileSync: (p) => {
+      last = p;
+      if (content === null) {
+        const err = new Error('ENOENT');
+        err.code = 'ENOENT';
+        throw err;
+      }
+      return typeof content === 'string' ? content : JSON.stringify(content);
+    },
+    lastPath: () => last,
+  };
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-CFG-1: no file, no env → defaults, no warnings', () => {
+  const { config, warnings } = loadConfig({ env: {}, fsAccess: makeFs(null) });
+  assert.deepEqual(config, defaultConfig());
+  assert.equal(config.bricks, 30);
+  assert.equal(config.showDir, true);
+  assert.deepEqual(warnings, []);
+});
+
+test('TC-CFG-2: file values applied', () => {
+  const { config, warnings } = loadConfig({
+    env: {},
+    fsAccess: makeFs({ bricks: 40, showDir: false, user: 'email', labels: 'short' }),
+  });
+  assert.equal(config.bricks, 40);
+  assert.equal(config.showDir, false);
+  assert.equal(config.user, 'email');
+  assert.equal(config.labels, 'short');
+  assert.deepEqual(warnings, []);
+});
+
+test('TC-CFG-3: env overrides file', () => {
+  const { config } = loadConfig({
+    env: { CONTEXTBRICKS_BRICKS: '20', CONTEXTBRICKS_RESET_EXACT: '0' },
+    fsAccess: makeFs({ bricks: 40, resetExact: true }),
+  });
+  assert.equal(config.bricks, 20);
+  assert.equal(config.resetExact, false);
+});
+
+test('TC-CFG-4: unknown file key → warning, ignored', () => {
+  const { config, warnings } = loadConfig({ env: {}, fsAccess: makeFs({ brikcs: 12 }) });
+  assert.equal(config.bricks, 30);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /unknown key "brikcs"/);
+});
+
+test('TC-CFG-5: invalid file value → warning, default kept', () => {
+  const { config, warnings } = loadConfig({ env: {}, fsAccess: makeFs({ bricks: 'many', user: 'nick' }) });
+  assert.equal(config.bricks, 30);
+  assert.equal(config.user, 'username');
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /"bricks" expected an integer/);
+  assert.match(warnings[1], /"user" expected one of username\|email\|name\|off/);
+});
+
+test('TC-CFG-6: invalid env value → warning, file value kept', () => {
+  const { config, warnings } = loadConfig({
+    env: { CONTEXTBRICKS_BRICKS: 'lots' },
+    fsAccess: makeFs({ bricks: 40 }),
+  });
+  assert.equal(config.bricks, 40);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^CONTEXTBRICKS_BRICKS="lots": expected an integer — using 40$/);
+});
+
+test('TC-CFG-7: corrupt JSON → warning, defaults', () => {
+  const { config, warnings } = loadConfig({ env: {}, fsAccess: makeFs('{ not json') });
+  assert.deepEqual(config, defaultConfig());
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /invalid JSON/);
+});
+
+test('TC-CFG-8: legacy env spellings preserved (USER=0 → off, SHOW_DIR=0 → false)', () => {
+  const { config, warnings } = loadConfig({
+    env: { CONTEXTBRICKS_USER: '0', CONTEXTBRICKS_SHOW_DIR: '0', CONTEXTBRICKS_LABELS: 'SHORT' },
+    fsAccess: makeFs(null),
+  });
+  assert.equal(config.user, 'off');
+  assert.equal(config.showDir, false);
+  assert.equal(config.labels, 'short');
+  assert.deepEqual(warnings, []);
+});
+
+test('TC-CFG-9: empty env string treated as unset', () => {
+  const { config, warnings } = loadConfig({
+    env: { CONTEXTBRICKS_BRICKS: '' },
+    fsAccess: makeFs({ bricks: 12 }),
+  });
+  assert.equal(config.bricks, 12);
+  assert.deepEqual(warnings, []);
+});
+
+test('TC-CFG-10: CONTEXTBRICKS_CONFIG selects the file path', () => {
+  const fsMock = makeFs({});
+  const { path: used } = loadConfig({ env: { CONTEXTBRICKS_CONFIG: '/tmp/cb.json' }, fsAccess: fsMock });
+  assert.equal(used, '/tmp/cb.json');
+  assert.equal(fsMock.lastPath(), '/tmp/cb.json');
+});
+
+test('TC-CFG-11: config object is frozen', () => {
+  const { config } = loadConfig({ env: {}, fsAccess: makeFs(null) });
+  assert.ok(Object.isFrozen(config));
+});
+
+test('TC-CFG-12: layout — file array, env compact form, unknown segment rejected', () => {
+  const fromFile = loadConfig({ env: {}, fsAccess: makeFs({ layout: [['model', 'cost'], ['quotas']] }) });
+  assert.deepEqual(fromFile.config.layout, [['model', 'cost'], ['quotas']]);
+  assert.deepEqual(fromFile.warnings, []);
+
+  const fromEnv = loadConfig({ env: { CONTEXTBRICKS_LAYOUT: 'quotas;model,repo' }, fsAccess: makeFs(null) });
+  assert.deepEqual(fromEnv.config.layout, [['quotas'], ['model', 'repo']]);
+
+  const bad = loadConfig({ env: {}, fsAccess: makeFs({ layout: [['model', 'weather']] }) });
+  assert.deepEqual(bad.config.layout, defaultConfig().layout);
+  assert.match(bad.warnings[0], /unknown segment "weather"/);
+});
+
+test('TC-CFG-13: statusSymbols — file object, env pairs, unknown key rejected', () => {
+  const fromFile = loadConfig({ env: {}, fsAccess: makeFs({ statusSymbols: { staged: 'S', stash: '$' } }) });
+  assert.deepEqual(fromFile.config.statusSymbols, { staged: 'S', stash: '$' });
+  assert.deepEqual(fromFile.warnings, []);
+
+  const fromEnv = loadConfig({ env: { CONTEXTBRICKS_STATUS_SYMBOLS: 'modified=M, untracked=U' }, fsAccess: makeFs(null) });
+  assert.deepEqual(fromEnv.config.statusSymbols, { modified: 'M', untracked: 'U' });
+
+  const bad = loadConfig({ env: { CONTEXTBRICKS_STATUS_SYMBOLS: 'shelved=S' }, fsAccess: makeFs(null) });
+  assert.deepEqual(bad.config.statusSymbols, {});
+  assert.match(bad.warnings[0], /unknown symbol "shelved"/);
+
+  const empty = loadConfig({ env: {}, fsAccess: makeFs({ statusSymbols: { staged: '' } }) });
+  assert.match(empty.warnings[0], /non-empty/);
+});
+
+test('TC-CFG-14: protectedBranches — file array, env list, invalid rejected', () => {
+  assert.deepEqual(defaultConfig().protectedBranches, ['main', 'master', 'release/*']);
+  const fromFile = loadConfig({ env: {}, fsAccess: makeFs({ protectedBranches: ['trunk', 'prod/*'] }) });
+  assert.deepEqual(fromFile.config.protectedBranches, ['trunk', 'prod/*']);
+  assert.ok(Object.isFrozen(fromFile.config.protectedBranches));
+  const fromEnv = loadConfig({ env: { CONTEXTBRICKS_PROTECTED_BRANCHES: ' main , release/* ,' }, fsAccess: makeFs(null) });
+  assert.deepEqual(fromEnv.config.protectedBranches, ['main', 'release/*']);
+  assert.deepEqual(loadConfig({ env: {}, fsAccess: makeFs({ protectedBranches: [] }) }).config.protectedBranches, [], 'empty list turns it off');
+
+  const bad = loadConfig({ env: {}, fsAccess: makeFs({ protectedBranches: ['main', 3] }) });
+  assert.deepEqual(bad.config.protectedBranches, ['main', 'master', 'release/*']);
+  assert.equal(bad.warnings.length, 1);
+  assert.match(bad.warnings[0], /protectedBranches/);
+});
+
+test('TC-CFG-15: branch shortening keys', () => {
+  const env = loadConfig({ env: { CONTEXTBRICKS_BRANCH_SHORTEN: 'ticket,ellipsis', CONTEXTBRICKS_BRANCH_TICKET_PATTERN: '#(\\d+)' }, fsAccess: makeFs(null) });
+  assert.deepEqual(env.config.branchShorten, ['ticket', 'ellipsis']);
+  assert.equal(env.config.branchTicketPattern, '#(\\d+)');
+  assert.deepEqual(env.warnings, []);
+
+  const bad = loadConfig({ env: {}, fsAccess: makeFs({ branchShorten: ['prefix', 'squash'], branchTicketPattern: '[A-Z+', branchMaxWidth: 2 }) });
+  assert.deepEqual(bad.config.branchShorten, ['prefix', 'ticket', 'ellipsis']);
+  assert.equal(bad.config.branchTicketPattern, defaultConfig().branchTicketPattern);
+  assert.equal(bad.config.branchMaxWidth, 24);
+  assert.equal(bad.warnings.length, 3);
+  assert.match(bad.warnings.join('\n'), /unknown value "squash"/);
+  assert.match(bad.warnings.join('\n'), /invalid regular expression/);
+});
+
+test('TC-CFG-16: gitRepos and gitTimeout', () => {
+  assert.deepEqual(defaultConfig().gitRepos, {});
+  assert.equal(defaultConfig().gitTimeout, 5000);
+  const repos = { '~/src/mono': { untracked: 'no', fsmonitor: true, timeout: 1500 }, '/srv/vendor': { git: false } };
+  const fromFile = loadConfig({ env: {}, fsAccess: makeFs({ gitRepos: repos }) });
+  assert.deepEqual(fromFile.config.gitRepos, repos);
+  assert.ok(Object.isFrozen(fromFile.config.gitRepos['~/src/mono']));
+  const fromEnv = loadConfig({ env: { CONTEXTBRICKS_GIT_REPOS: JSON.stringify(repos), CONTEXTBRICKS_GIT_TIMEOUT: '800' }, fsAccess: makeFs(null) });
+  assert.deepEqual(fromEnv.config.gitRepos, repos);
+  assert.equal(fromEnv.config.gitTimeout, 800);
+  assert.deepEqual(fromEnv.warnings, []);
+
+  const bad = [
+    [{ gitRepos: { '~/src': { untracked: 'all' } } }, /"~\/src": "untracked" expected one of normal\|no/],
+    [{ gitRepos: { '~/src': { watch: true } } }, /unknown setting "watch"/],
+    [{ gitRepos: { '~/src': { timeout: 10 } } }, /expected >= 100/],
+    [{ gitRepos: ['~/src'] }, /expected an object/],
+    [{ gitTimeout: 0 }, /gitTimeout/],
+  ];
+  for (const [file, message] of bad) {
+    const r = loadConfig({ env: {}, fsAccess: makeFs(file) });
+    assert.equal(r.warnings.length, 1, JSON.stringify(file));
+    assert.match(r.warnings[0], message);
+  }
+  const badEnv = loadConfig({ env: { CONTEXTBRICKS_GIT_REPOS: '~/src:untracked=no' }, fsAccess: makeFs(null) });
+  assert.match(badEnv.warnings[0], /expected a JSON object/);
+  assert.deepEqual(badEnv.config.gitRepos, {});
+});
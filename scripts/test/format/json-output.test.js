@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * json-output.test.js — unit tests for buildJsonOutput
+ *
+ * Test runner: node:test (built-in — NFR-4)
+ * Run: node --test scripts/test/format/json-output.test.js
+ *
+ * Cases:
+ *  1. Top-level keys and schema_version are stable
+ *  2. git/session/context mapped to snake_case; empty strings → null
+ *  3. Outside a repository git is null
+ *  4. Rate view mapped; age_ms Infinity → null; hint_kind undefined → null
+ *  5. showLimits off (rate null) → rate null
+ *  6. Document round-trips through JSON.stringify unchanged
+ *  7. git.operation: kind, progress and onto; null when unknown
+ *  8. git.superproject / super_drift inside a submodule
+ *  9. No tag / unknown commit time → null
+ * 10. git.base: divergence from the default branch; null without one
+ * 11. git.protected
+ * 12. git.remote: slug, host, forge
+ * 13. git.conventional / commit_flag from the subject
+ * 14. git.timed_out
+ * 15. context.breakdown: token categories of current_usage
+ * 16. context.compact_at_tokens
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildJsonOutput, JSON_SCHEMA_VERSION } = require('../../lib/format/json-output');
+const { buildRateView } = require('../../lib/rate-view');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const NOW = 1746619200000;
+
+/** Statusline state with optional overrides */
+function makeState(overrides = {}) {
+  return {
+    model: 'Opus 4.6 (1m)',
+    dirLabel: '~/src/app',
+    git: {
+      vcs: 'git', repoName: 'app', branch: 'main', worktreeName: '', subDir: 'lib',
+      dirty: true, ahead: 2, behind: 0, commitShort: 'abc1234', commitMsg: 'fix: things',
+      commitTime: 1746612000, commitAuthor: 'Alice Doe', tag: 'v5.0.0', tagDistance: 12,
+      counts: { staged: 1, modified: 3, deleted: 0, renamed: 0, untracked: 2, conflicted: 0 }, stash: 1,
+    },
+    session: { linesAdded: 5, linesRemoved: 1, durationMs: 60000, costUsd: 0.5 },
+    context: { totalTokens: 200000, usedTokens: 50000, freeTokens: 150000, usedPct: 25 },
+    user: '@alice',
+    rate: null,
+    ...overrides,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+test('TC-JSON-1: top-level keys and schema_version', () => {
+  const doc = buildJsonOutput(makeState(), { nowMs: NOW });
+  assert.equal(JSON_SCHEMA_VERSION, 1);
+  assert.equal(doc.schema_version, 1);
+  assert.equal(doc.generated_at, '2025-05-07T12:00:00.000Z');
+  assert.deepEqual(Object.keys(doc), [
+    'schema_version', 'generated_at', 'model', 'dir', 'user', 'git', 'session', 'context', 'rate',
+  ]);
+});
+
+test('TC-JSON-2: git/session/context mapping', () => {
+  const doc = buildJsonOutput(makeState(), { nowMs: NOW });
+  assert.deepEqual(doc.git, {
+    vcs: 'git', repo: 'app', branch: 'main', worktree: null, protected: false, timed_out: false, remote: null, superproject: null, super_drift: false, subdir: 'lib',
+    dirty: true, ahead: 2, behind: 0, commit: 'abc1234', commit_msg: 'fix: things',
+    conventional: { type: 'fix', scope: null, breaking: false }, commit_flag: null,
+    commit_time: '2025-05-07T10:00:00.000Z', commit_author: 'Alice Doe', tag: 'v5.0.0', tag_distance: 12,
+    status: { staged: 1, modified: 3, deleted: 0, renamed: 0, untracked: 2, conflicted: 0 },
+    stash: 1,
+    operation: null,
+    base: null,
+  });
+  assert.deepEqual(doc.session, { lines_added: 5, lines_removed: 1, duration_ms: 60000, cost_usd: 0.5 });
+  assert.deepEqual(doc.context, { total_tokens: 200000, used_tokens: 50000, free_tokens: 150000, used_pct: 25, breakdown: null, compact_at_tokens: null });
+  assert.equal(doc.user, '@alice');
+  assert.equal(buildJsonOutput(makeState({ user: '' }), { nowMs: NOW }).user, null);
+});
+
+test('TC-JSON-3: outside a repository → git null', () => {
+  const state = makeState();
+  state.git = { ...state.git, repoName: '' };
+  assert.equal(buildJsonOutput(state, { nowMs: NOW }).git, null);
+});
+
+test('TC-JSON-4: rate view mapping', () => {
+  const fresh = buildRateView({
+    data: {
+      five_hour: { utilization: 0.28, resets_at: new Date(NOW + 3 * 3600000).toISOString() },
+      extra_usage: { is_enabled: true, monthly_limit: 2000, used_credits: 150 },
+    },
+    freshness: 'FRESH', age_ms: 0, source_id: 'hdr-probe',
+  }, null, NOW);
+  const doc = buildJsonOutput(makeState({ rate: fresh }), { nowMs: NOW });
+  assert.equal(doc.rate.freshness, 'FRESH');
+  assert.equal(doc.rate.age_ms, 0);
+  assert.equal(doc.rate.hint_kind, null);
+  assert.equal(doc.rate.session.pacing, 40);
+  assert.equal(doc.rate.session.burn, '+0.2/m');
+  assert.equal(doc.rate.week, null);
+  assert.deepEqual(doc.rate.extras, { ttl: null, hit: null, peak: false, overage: null });
+  assert.deepEqual(doc.rate.extra_usage, { used_credits: 150, monthly_limit: 2000, enabled: true });
+
+  const down = buildRateView({ data: null, freshness: 'UNAVAILABLE', source_id: 'null', hint_kind: 'no-auth' }, null, NOW);
+  const docDown = buildJsonOutput(makeState({ rate: down }), { nowMs: NOW });
+  assert.equal(docDown.rate.age_ms, null, 'Infinity is not representable in JSON');
+  assert.equal(docDown.rate.hint_kind, 'no-auth');
+  assert.equal(docDown.rate.session, null);
+});
+
+test('TC-JSON-5: rate line disabled → rate null', () => {
+  assert.equal(buildJsonOutput(makeState({ rate: null }), { nowMs: NOW }).rate, null);
+});
+
+test('TC-JSON-6: JSON round-trip is lossless', () => {
+  const down = buildRateView({ data: null, freshness: 'UNAVAILABLE', source_id: 'null' }, null, NOW);
+  const doc = buildJsonOutput(makeState({ rate: down }), { nowMs: NOW });
+  assert.deepEqual(JSON.parse(JSON.stringify(doc)), doc);
+});
+
+test('TC-JSON-7: git.operation mapping', () => {
+  const withOp = (operation) => buildJsonOutput(makeState({ git: { ...makeState().git, operation } }), { nowMs: NOW }).git.operation;
+  assert.deepEqual(withOp({ kind: 'rebase', step: 3, total: 7, onto: 'main' }), { kind: 'rebase', step: 3, total: 7, onto: 'main' });
+  assert.deepEqual(withOp({ kind: 'merge', step: 0, total: 0, onto: '' }), { kind: 'merge', step: null, total: null, onto: null });
+});
+
+test('TC-JSON-8: submodule superproject and drift', () => {
+  const git = buildJsonOutput(makeState({ git: { ...makeState().git, superName: 'platform', superDrift: true } }), { nowMs: NOW }).git;
+  assert.equal(git.superproject, 'platform');
+  assert.equal(git.super_drift, true);
+});
+
+test('TC-JSON-9: missing tag and commit time → null', () => {
+  const git = buildJsonOutput(makeState({ git: { ...makeState().git, tag: '', commitTime: 0, commitAuthor: '' } }), { nowMs: NOW }).git;
+  assert.equal(git.tag, null);
+  assert.equal(git.tag_distance, null);
+  assert.equal(git.commit_time, null);
+  assert.equal(git.commit_author, null);
+});
+
+test('TC-JSON-10: divergence from the default branch', () => {
+  const base = { baseRef: 'origin/main', baseAhead: 5, baseBehind: 3, baseAdded: 1200, baseRemoved: 300 };
+  const git = buildJsonOutput(makeState({ git: { ...makeState().git, branch: 'feature', ...base } }), { nowMs: NOW }).git;
+  assert.deepEqual(git.base, { ref: 'origin/main', ahead: 5, behind: 3, added: 1200, removed: 300 });
+  assert.equal(buildJsonOutput(makeState(), { nowMs: NOW }).git.base, null);
+});
+
+test('TC-JSON-11: protected branch with pending work', () => {
+  const git = buildJsonOutput(makeState({ git: { ...makeState().git, protectedBranch: true } }), { nowMs: NOW }).git;
+  assert.equal(git.protected, true);
+});
+
+test('TC-JSON-12: remote identity', () => {
+  const remote = { slug: 'acme/widget', host: 'github.com', forge: 'github', badge: 'gh' };
+  const git = buildJsonOutput(makeState({ git: { ...makeState().git, remote } }), { nowMs: NOW }).git;
+  assert.deepEqual(git.remote, { slug: 'acme/widget', host: 'github.com', forge: 'github' });
+  assert.equal(git.repo, 'app', 'repo stays the directory name');
+});
+
+test('TC-JSON-13: conventional header and commit flag', () => {
+  const doc = (commitMsg) => buildJsonOutput(makeState({ git: { ...makeState().git, commitMsg } }), { nowMs: NOW }).git;
+  const fixup = doc('fixup! feat(parser)!: drop v1 syntax');
+  assert.deepEqual(fixup.conventional, { type: 'feat', scope: 'parser', breaking: true });
+  assert.equal(fixup.commit_flag, 'fixup');
+  const wip = doc('WIP on the parser');
+  assert.equal(wip.conventional, null);
+  assert.equal(wip.commit_flag, 'wip');
+  assert.deepEqual([doc('').conventional, doc('').commit_flag], [null, null]);
+});
+
+test('TC-JSON-14: git timed out', () => {
+  const git = buildJsonOutput(makeState({ git: { ...makeState().git, timedOut: true } }), { nowMs: NOW }).git;
+  assert.equal(git.timed_out, true);
+});
+
+test('TC-JSON-15: context token breakdown', () => {
+  const context = { ...makeState().context, breakdown: { input: 1200, cacheWrite: 3000, cacheRead: 45000, output: 800 } };
+  assert.deepEqual(buildJsonOutput(makeState({ context }), { nowMs: NOW }).context.breakdown, {
+    input_tokens: 1200, cache_write_tokens: 3000, cache_read_tokens: 45000, output_tokens: 800,
+  });
+});
+
+test('TC-JSON-16: context.compact_at_tokens', () => {
+  const context = { ...makeState().context, compactAt: 160000 };
+  assert.equal(buildJsonOutput(makeState({ context }), { nowMs: NOW }).context.compact_at_tokens, 160000);
+});
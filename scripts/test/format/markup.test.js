@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * markup.test.js — unit tests for formatTarget / parseSgr
+ *
+ * Test runner: node:test (built-in — NFR-4)
+ * Run: node --test scripts/test/format/markup.test.js
+ *
+ * Cases:
+ *  1. parseSgr: bold/dim/16/256/truecolor parameters; adjacent equal runs merge
+ *  2. tmux: colourN for palette colors, #rrggbb for truecolor, `#` escaped
+ *  3. polybar: hex colors, dim → grey, `%` escaped, bold dropped
+ *  4. pango: span attributes and XML escaping
+ *  5. waybar: JSON with pango text, plain tooltip, class and percentage
+ *  6. Lines joined into a single line
+ *  7. OSC 8 hyperlinks are dropped, their text kept
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTarget, parseSgr } = require('../../lib/format/markup');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const R = '\x1b[0m';
+
+/** Minimal state — only context.usedPct and rate.freshness are read */
+function makeState(usedPct, freshness) {
+  return { context: { usedPct }, rate: freshness ? { freshness } : null };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+test('TC-MK-1: parseSgr styles and run merging', () => {
+  const runs = parseSgr(`\x1b[1;36m[Opus]${R} \x1b[2;37m□${R}\x1b[2;37m□${R}\x1b[38;5;46m5%${R}\x1b[38;2;1;2;3mX${R}`);
+  assert.deepEqual(runs, [
+    { text: '[Opus]', bold: true, dim: false, fg: 6 },
+    { text: ' ', bold: false, dim: false, fg: null },
+    { text: '□□', bold: false, dim: true, fg: 7 },
+    { text: '5%', bold: false, dim: false, fg: 46 },
+    { text: 'X', bold: false, dim: false, fg: '#010203' },
+  ]);
+});
+
+test('TC-MK-2: tmux markup', () => {
+  const line = `\x1b[1;34mmain${R} #1 \x1b[38;2;255;0;0mhot${R}`;
+  assert.equal(
+    formatTarget([line], 'tmux', makeState(10)),
+    '#[fg=colour4,bold]main#[default] ##1 #[fg=#ff0000]hot#[default]'
+  );
+});
+
+test('TC-MK-3: polybar markup', () => {
+  const line = `\x1b[1;32mrepo${R} \x1b[2m50%${R} \x1b[38;5;196m9${R}`;
+  assert.equal(
+    formatTarget([line], 'polybar', makeState(10)),
+    '%{F#00cd00}repo%{F-} %{F#808080}50%%%{F-} %{F#ff0000}9%{F-}'
+  );
+});
+
+test('TC-MK-4: pango markup and escaping', () => {
+  const line = `\x1b[1;33m<a&b>${R} \x1b[2mdim${R}`;
+  assert.equal(
+    formatTarget([line], 'pango', makeState(10)),
+    '<span foreground="#cdcd00" weight="bold">&lt;a&amp;b&gt;</span> <span fgalpha="60%">dim</span>'
+  );
+});
+
+test('TC-MK-5: waybar JSON', () => {
+  const doc = JSON.parse(formatTarget([`\x1b[1mA${R}`, 'B'], 'waybar', makeState(85, 'STALE')));
+  assert.equal(doc.text, '<span weight="bold">A</span> | B');
+  assert.equal(doc.full_text, doc.text);
+  assert.equal(doc.markup, 'pango');
+  assert.equal(doc.tooltip, 'A\nB');
+  assert.deepEqual(doc.class, ['critical', 'stale']);
+  assert.equal(doc.percentage, 85);
+  assert.deepEqual(JSON.parse(formatTarget(['x'], 'waybar', makeState(55, 'FRESH'))).class, ['warning']);
+});
+
+test('TC-MK-6: multiple lines → one line', () => {
+  const out = formatTarget(['one', 'two', 'three'], 'tmux', makeState(0));
+  assert.equal(out, 'one | two | three');
+  assert.ok(!out.includes('\n'));
+});
+
+test('TC-MK-7: OSC 8 hyperlinks dropped', () => {
+  const line = `\x1b]8;;https://x.test\x1b\\\x1b[1;34mmain${R}\x1b]8;;\x1b\\ ok`;
+  assert.equal(formatTarget([line], 'tmux', makeState(0)), '#[fg=colour4,bold]main#[default] ok');
+});
@@ -14,6 +14,8 @@
  * 11.    UNAVAILABLE upstream-5xx → contains '[API unreachable'
  * 12.    UNAVAILABLE no-model → contains '[no compatible probe model'
  * 13.    UNAVAILABLE with TTL extras → contains 'TTL:' AND hint message
+ * 17.    rateLimitVariants: L0..L8 widest first; formatRateLimitLine picks the first fit
+ * 18.    rateLimitVariants: STALE suffix on every entry, UNAVAILABLE single entry
  *
  * ANSI escape filtering: tests use a helper to strip ANSI codes before
  * string checks so color changes don't break assertions (NFR-3 intent is
@@ -23,7 +25,7 @@
 
 const { test } = require('node:test');
 const assert = require('node:assert/strict');
-const { formatRateLimitLine } = require('../../lib/format/rate-limit-line');
+const { formatRateLimitLine, rateLimitVariants } = require('../../lib/format/rate-limit-line');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -262,3 +264,24 @@ test('TC-FRL-16: UNAVAILABLE with TTL extras → TTL: prefix present AND hint me
   assert.ok(line.includes('TTL:'), `Expected 'TTL:' in UNAVAILABLE with extras: ${line}`);
   assert.ok(line.includes('[API unreachable'), `Expected hint after TTL: in: ${line}`);
 });
+
+test('TC-FRL-17: rateLimitVariants — L0..L8 widest first, formatRateLimitLine picks first fit', () => {
+  const merged = makeFullMergedWithTTL();
+  const variants = rateLimitVariants(merged);
+  assert.equal(variants.length, 9);
+  for (let i = 1; i < variants.length; i++) {
+    assert.ok(strip(variants[i]).length <= strip(variants[i - 1]).length, `L${i} not narrower than L${i - 1}`);
+  }
+  assert.equal(strip(variants[8]).split(' | ').length, 2, 'L8 = session + week only');
+  const width = strip(variants[4]).length;
+  assert.equal(formatRateLimitLine(merged, width), variants.find((v) => strip(v).length <= width));
+});
+
+test('TC-FRL-18: rateLimitVariants — STALE and UNAVAILABLE shapes', () => {
+  const stale = rateLimitVariants(makeFullMerged({ freshness: 'STALE', age_ms: 2700000 }));
+  assert.equal(stale.length, 9);
+  assert.ok(stale.every((v) => strip(v).endsWith('(stale 45m)')));
+  const down = rateLimitVariants({ freshness: 'UNAVAILABLE', hint_kind: 'no-auth', extras: {} });
+  assert.equal(down.length, 1);
+  assert.ok(strip(down[0]).startsWith('[no API auth'));
+});
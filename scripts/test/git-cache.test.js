@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * git-cache.test.js — unit tests for cachedGitInfo / findRepo / refStamps
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/git-cache.test.js
+ *
+ * Each test builds a bare `.git` skeleton in a temp dir; git itself is
+ * replaced by a recorded-output runner that counts its calls.
+ *
+ * Cases:
+ *  1. findRepo: .git directory from a nested cwd; .git file + commondir
+ *  2. Second render within max age → cache hit, zero git calls
+ *  3. HEAD, index or branch ref mtime change → miss
+ *  4. Entry older than max age → miss
+ *  5. Entry stored without remoteUrl does not serve a hyperlink render
+ *  6. maxAgeMs 0 → no cache file, git every time
+ *  7. Hit recomputes subDir for the current cwd
+ *  8. Starting or finishing a merge/rebase → miss
+ *  9. Submodule: superproject index change → miss
+ * 10. Entry stored without the tag does not serve a describe render; new tag → miss
+ * 11. Another default branch → miss; default-branch ref moves → miss
+ * 12. Other untracked setting → miss; state after a timeout is not stored
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cachedGitInfo, findRepo } = require('../lib/git-cache');
+const { TIMED_OUT } = require('../lib/git-info');
+
+// ---- Helpers ---------------------------------------------------------------
+
+/** Temp repo skeleton: .git/{HEAD,index,refs/heads/main}, src/lib */
+function makeRepo() {
+  const top = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-gitcache-')));
+  const gitDir = path.join(top, '.git');
+  fs.mkdirSync(path.join(gitDir, 'refs', 'heads'), { recursive: true });
+  fs.writeFileSync(path.join(gitDir, 'HEAD'), 'ref: refs/heads/main\n');
+  fs.writeFileSync(path.join(gitDir, 'index'), '');
+  fs.writeFileSync(path.join(gitDir, 'refs', 'heads', 'main'), 'abc\n');
+  fs.mkdirSync(path.join(top, 'src', 'lib'), { recursive: true });
+  return { top, gitDir, cachePath: path.join(top, 'cache.json'), cleanup: () => fs.rmSync(top, { recursive: true, force: true }) };
+}
+
+/** Runner replaying git output for `top`, counting calls */
+function makeRunner(top) {
+  const runner = { calls: 0 };
+  runner.run = (args) => {
+    runner.calls++;
+    if (args[0] === 'rev-parse' && args[1] === '--abbrev-ref') return 'origin/main';
+    if (args[0] === 'rev-parse') return `${top}\n${top}/.git\n${top}/.git`;
+    if (args[0] === 'status') return '# branch.oid abc\n# branch.head main';
+    if (args[0] === 'log') return 'abc1234\ninitial';
+    if (args[0] === 'remote') return 'git@github.com:acme/widget.git';
+    if (args[0] === 'describe') return 'v1.0-3-gabc1234';
+    if (args[0] === 'rev-list') return '0\t2';
+    if (args[0] === 'diff') return ' 2 files changed, 30 insertions(+), 4 deletions(-)';
+    return null;
+  };
+  return runner;
+}
+
+/** Move a file's mtime forward by `sec` seconds */
+function touch(file, sec = 5) {
+  const t = fs.statSync(file).mtimeMs / 1000 + sec;
+  fs.utimesSync(file, t, t);
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-GCACHE-1: findRepo', () => {
+  const repo = makeRepo();
+  try {
+    assert.deepEqual(findRepo(path.join(repo.top, 'src', 'lib')), { toplevel: repo.top, gitDir: repo.gitDir, commonDir: repo.gitDir });
+
+    const wt = path.join(repo.top, 'wt');
+    const wtGit = path.join(repo.gitDir, 'worktrees', 'wt');
+    fs.mkdirSync(wt);
+    fs.mkdirSync(wtGit, { recursive: true });
+    fs.writeFileSync(path.join(wt, '.git'), `gitdir: ${wtGit}\n`);
+    fs.writeFileSync(path.join(wtGit, 'commondir'), '../..\n');
+    assert.deepEqual(findRepo(wt), { toplevel: wt, gitDir: wtGit, commonDir: repo.gitDir });
+
+    assert.equal(findRepo(path.parse(repo.top).root), null);
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-2: hit within max age spawns nothing', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run };
+    const first = cachedGitInfo(repo.top, { ...opts, nowMs: 1000 });
+    assert.equal(r.calls, 3);
+    const second = cachedGitInfo(repo.top, { ...opts, nowMs: 5000 });
+    assert.equal(r.calls, 3, 'no git calls on a hit');
+    assert.deepEqual(second, first);
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-3: HEAD / index / branch ref change → miss', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run, nowMs: 1000 };
+    cachedGitInfo(repo.top, opts);
+    for (const file of ['HEAD', 'index', path.join('refs', 'heads', 'main')]) {
+      const before = r.calls;
+      touch(path.join(repo.gitDir, file));
+      cachedGitInfo(repo.top, opts);
+      assert.equal(r.calls, before + 3, `${file} change re-runs git`);
+      cachedGitInfo(repo.top, opts);
+      assert.equal(r.calls, before + 3, `${file} unchanged again → hit`);
+    }
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-4: max age expiry', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run };
+    cachedGitInfo(repo.top, { ...opts, nowMs: 1000 });
+    cachedGitInfo(repo.top, { ...opts, nowMs: 11000 });
+    assert.equal(r.calls, 6);
+    cachedGitInfo(repo.top, { ...opts, nowMs: 500 });
+    assert.equal(r.calls, 9, 'clock behind the entry → miss');
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-5: remote URL required but not cached → miss', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run, nowMs: 1000 };
+    assert.equal(cachedGitInfo(repo.top, opts).remoteUrl, '');
+    const linked = cachedGitInfo(repo.top, { ...opts, remote: true });
+    assert.equal(r.calls, 7);
+    assert.equal(linked.remoteUrl, 'git@github.com:acme/widget.git');
+    cachedGitInfo(repo.top, opts);
+    cachedGitInfo(repo.top, { ...opts, remote: true });
+    assert.equal(r.calls, 7, 'entry with remote serves both');
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-6: maxAgeMs 0 disables the cache', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 0, cachePath: repo.cachePath, run: r.run, nowMs: 1000 };
+    cachedGitInfo(repo.top, opts);
+    cachedGitInfo(repo.top, opts);
+    assert.equal(r.calls, 6);
+    assert.equal(fs.existsSync(repo.cachePath), false);
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-7: hit recomputes subDir', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run, nowMs: 1000 };
+    assert.equal(cachedGitInfo(repo.top, opts).subDir, '');
+    assert.equal(cachedGitInfo(path.join(repo.top, 'src', 'lib'), opts).subDir, 'src/lib');
+    assert.equal(cachedGitInfo(path.join(repo.top, 'src', 'lib'), { ...opts, showDir: false }).subDir, '');
+    assert.equal(r.calls, 3);
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-8: operation state change → miss', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run, nowMs: 1000 };
+    assert.equal(cachedGitInfo(repo.top, opts).operation, null);
+    fs.writeFileSync(path.join(repo.gitDir, 'MERGE_HEAD'), 'def\n');
+    assert.equal(cachedGitInfo(repo.top, opts).operation.kind, 'merge');
+    fs.rmSync(path.join(repo.gitDir, 'MERGE_HEAD'));
+    fs.mkdirSync(path.join(repo.gitDir, 'rebase-merge'));
+    fs.writeFileSync(path.join(repo.gitDir, 'rebase-merge', 'msgnum'), '1\n');
+    fs.writeFileSync(path.join(repo.gitDir, 'rebase-merge', 'end'), '2\n');
+    assert.equal(cachedGitInfo(repo.top, opts).operation.step, 1);
+    touch(path.join(repo.gitDir, 'rebase-merge', 'msgnum'));
+    fs.writeFileSync(path.join(repo.gitDir, 'rebase-merge', 'msgnum'), '2\n');
+    touch(path.join(repo.gitDir, 'rebase-merge', 'msgnum'));
+    assert.equal(cachedGitInfo(repo.top, opts).operation.step, 2);
+    assert.equal(r.calls, 12);
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-9: superproject index change → miss', () => {
+  const repo = makeRepo();
+  try {
+    const sup = path.join(repo.top, 'super');
+    fs.mkdirSync(path.join(sup, '.git'), { recursive: true });
+    fs.writeFileSync(path.join(sup, '.git', 'index'), '');
+    const r = makeRunner(repo.top);
+    const run = (args) => (args[0] === 'rev-parse' ? `${r.run(args)}\n${sup}` : r.run(args));
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run, nowMs: 1000 };
+    assert.equal(cachedGitInfo(repo.top, opts).superName, 'super');
+    cachedGitInfo(repo.top, opts);
+    assert.equal(r.calls, 4, 'rev-parse, status, ls-files, log; then a hit');
+    touch(path.join(sup, '.git', 'index'));
+    cachedGitInfo(repo.top, opts);
+    assert.equal(r.calls, 8);
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-10: tag required but not cached → miss; new tag → miss', () => {
+  const repo = makeRepo();
+  try {
+    fs.mkdirSync(path.join(repo.gitDir, 'refs', 'tags'));
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run, nowMs: 1000 };
+    assert.equal(cachedGitInfo(repo.top, opts).tag, '');
+    assert.equal(cachedGitInfo(repo.top, { ...opts, describe: true }).tag, 'v1.0');
+    assert.equal(r.calls, 7);
+    cachedGitInfo(repo.top, opts);
+    cachedGitInfo(repo.top, { ...opts, describe: true });
+    assert.equal(r.calls, 7, 'entry with tag serves both');
+    touch(path.join(repo.gitDir, 'refs', 'tags'));
+    cachedGitInfo(repo.top, { ...opts, describe: true });
+    assert.equal(r.calls, 11);
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-11: default branch change → miss', () => {
+  const repo = makeRepo();
+  try {
+    fs.writeFileSync(path.join(repo.gitDir, 'HEAD'), 'ref: refs/heads/feature\n');
+    fs.writeFileSync(path.join(repo.gitDir, 'refs', 'heads', 'feature'), 'abc\n');
+    const baseRef = path.join(repo.gitDir, 'refs', 'remotes', 'origin', 'main');
+    fs.mkdirSync(path.dirname(baseRef), { recursive: true });
+    fs.writeFileSync(baseRef, 'def\n');
+    const r = makeRunner(repo.top);
+    const run = (args) => (args[0] === 'status' ? (r.calls++, '# branch.oid abc\n# branch.head feature') : r.run(args));
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run, nowMs: 1000, base: 'origin/HEAD', diffstat: true };
+    const info = cachedGitInfo(repo.top, opts);
+    assert.deepEqual([info.baseRef, info.baseAhead, info.baseAdded, info.baseRemoved], ['origin/main', 2, 30, 4]);
+    assert.equal(r.calls, 6, 'rev-parse, status, log, rev-parse --abbrev-ref, rev-list, diff');
+    cachedGitInfo(repo.top, opts);
+    assert.equal(r.calls, 6);
+    assert.equal(cachedGitInfo(repo.top, { ...opts, base: '' }).baseRef, '', 'stored for another base');
+    assert.equal(r.calls, 9);
+    cachedGitInfo(repo.top, opts);
+    assert.equal(r.calls, 15);
+    touch(baseRef);
+    cachedGitInfo(repo.top, opts);
+    assert.equal(r.calls, 21);
+    cachedGitInfo(repo.top, { ...opts, diffstat: false });
+    assert.equal(r.calls, 21, 'an entry with the diffstat serves a render without it');
+  } finally { repo.cleanup(); }
+});
+
+test('TC-GCACHE-12: untracked setting and timed-out state', () => {
+  const repo = makeRepo();
+  try {
+    const r = makeRunner(repo.top);
+    const opts = { maxAgeMs: 10000, cachePath: repo.cachePath, run: r.run, nowMs: 1000 };
+    cachedGitInfo(repo.top, opts);
+    assert.equal(r.calls, 3);
+    cachedGitInfo(repo.top, { ...opts, untracked: 'no' });
+    assert.equal(r.calls, 6, 'stored with untracked files counted');
+    cachedGitInfo(repo.top, { ...opts, untracked: 'no' });
+    assert.equal(r.calls, 6);
+
+    const slow = { calls: 0 };
+    const run = (args) => (args[0] === 'status' ? (slow.calls++, TIMED_OUT) : r.run(args));
+    const fresh = { ...opts, cachePath: path.join(repo.top, 'slow.json'), run };
+    assert.equal(cachedGitInfo(repo.top, fresh).timedOut, true);
+    assert.equal(cachedGitInfo(repo.top, fresh).timedOut, true);
+    assert.equal(slow.calls, 2, 'tried again, once per render');
+    assert.equal(fs.existsSync(fresh.cachePath), false);
+  } finally { repo.cleanup(); }
+});
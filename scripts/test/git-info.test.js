@@ -0,0 +1,527 @@
+'use strict';
+
+/**
+ * git-info.test.js — unit tests for collectGitInfo / parseStatusV2
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/git-info.test.js
+ *
+ * Fixture repos are recorded git output replayed through the injectable
+ * runner; case 8 runs real git against a throwaway repository.
+ *
+ * Cases:
+ *  1. parseStatusV2: branch headers, ahead/behind, dirty entries
+ *  2. parseStatusV2: unborn branch, detached HEAD, no upstream
+ *  3. Tracking branch in a subdirectory — three git calls in total
+ *  4. remote: true adds `git remote get-url origin`
+ *  5. Linked worktree → repoName from the common dir, worktreeName
+ *  6. Unborn branch → no git log call, empty commit
+ *  7. Not a repository / failing runner → null
+ *  8. Real repository via the default runner
+ *  9. parseStatusV2: staged/modified/deleted/renamed/untracked/conflicted, stash
+ * 10. readOperation: rebase-merge, rebase-apply, am, merge, cherry-pick, revert, bisect
+ * 11. Mid-rebase: branch from head-name, onto named by for-each-ref (sha fallback)
+ * 12. Real conflicted rebase in a linked worktree
+ * 13. Submodule: superproject name; drift from the superproject's index entry
+ * 14. Real submodule, before and after its HEAD moves
+ * 15. describe: opt-in; `git describe --tags --long` parsed, dashes in the tag kept
+ * 16. base: ahead/behind, and diffstat only when asked, against the default branch; skipped on it
+ * 17. Real clone: origin/HEAD resolves, feature branch without upstream
+ * 18. isProtectedBranch: exact names, `*` across slashes, `?`, literal dots, detached
+ * 19. hasPendingWork: dirty, ahead; without upstream only commits a remote lacks
+ * 20. Status timed out: no retry, branch from symbolic-ref, describe/base skipped
+ * 21. untracked: 'no' and fsmonitor change the status call only; a configured fsmonitor hook is kept
+ * 22. repoGitSettings: parents apply, longest last; `~`; sibling prefixes do not match
+ * 23. Real runGit stopped by its timeout → TIMED_OUT
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  collectGitInfo, parseStatusV2, readOperation, runGit, isProtectedBranch, hasPendingWork, repoGitSettings, TIMED_OUT,
+} = require('../lib/git-info');
+
+// ---- Helpers ---------------------------------------------------------------
+
+/**
+ * Runner replaying recorded output, keyed by the first git argument.
+ * Records every call in `calls`.
+ */
+function fixtureRunner(outputs) {
+  const calls = [];
+  const run = (args) => {
+    calls.push(args.join(' '));
+    return outputs[args[0]] !== undefined ? outputs[args[0]] : null;
+  };
+  return { run, calls };
+}
+
+const TRACKING = {
+  'rev-parse': '/src/widget\n/src/widget/.git\n/src/widget/.git',
+  status: [
+    '# branch.oid 4c9ed48a1b2c3d4e5f60718293a4b5c6d7e8f901',
+    '# branch.head feature/login',
+    '# branch.upstream origin/feature/login',
+    '# branch.ab +2 -1',
+    '1 .M N... 100644 100644 100644 3b18e51 3b18e51 scripts/lib/a.js',
+    '? notes.txt',
+  ].join('\n'),
+  log: '4c9ed48\nfix: handle empty input\n1746612000\nAlice Doe',
+};
+
+/** Temp git dir with the given files ({ 'rebase-merge/msgnum': '3' }) */
+function makeGitDir(files) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-gitop-')));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content + '\n');
+  }
+  return dir;
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-GIT-1: parseStatusV2 headers and entries', () => {
+  assert.deepEqual(parseStatusV2(TRACKING.status), {
+    oid: '4c9ed48a1b2c3d4e5f60718293a4b5c6d7e8f901',
+    head: 'feature/login',
+    upstream: 'origin/feature/login',
+    ahead: 2,
+    behind: 1,
+    dirty: true,
+    counts: { staged: 0, modified: 1, deleted: 0, renamed: 0, untracked: 1, conflicted: 0 },
+    stash: 0,
+  });
+  assert.equal(parseStatusV2('# branch.oid abc\n# branch.head main\n').dirty, false);
+});
+
+test('TC-GIT-2: parseStatusV2 unborn, detached, no upstream', () => {
+  const unborn = parseStatusV2('# branch.oid (initial)\n# branch.head main');
+  assert.deepEqual([unborn.oid, unborn.head, unborn.upstream, unborn.ahead, unborn.behind, unborn.dirty], ['', 'main', '', 0, 0, false]);
+  const detached = parseStatusV2('# branch.oid abc\n# branch.head (detached)\nu UU N... 1 2 3 4 a b c f.txt');
+  assert.equal(detached.head, 'detached');
+  assert.equal(detached.dirty, true);
+  assert.equal(parseStatusV2(null).head, '');
+});
+
+test('TC-GIT-3: tracking branch in a subdirectory', () => {
+  const { run, calls } = fixtureRunner(TRACKING);
+  const info = collectGitInfo('/src/widget/scripts/lib', { run });
+  assert.deepEqual(info, {
+    toplevel: '/src/widget',
+    repoName: 'widget',
+    worktreeName: '',
+    subDir: 'scripts/lib',
+    branch: 'feature/login',
+    upstream: 'origin/feature/login',
+    dirty: true,
+    counts: { staged: 0, modified: 1, deleted: 0, renamed: 0, untracked: 1, conflicted: 0 },
+    stash: 0,
+    ahead: 2,
+    behind: 1,
+    commitShort: '4c9ed48',
+    commitMsg: 'fix: handle empty input',
+    commitTime: 1746612000,
+    commitAuthor: 'Alice Doe',
+    tag: '',
+    tagDistance: 0,
+    remoteUrl: '',
+    operation: null,
+    superproject: '',
+    superName: '',
+    superDrift: false,
+    baseRef: '',
+    baseAhead: 0,
+    baseBehind: 0,
+    baseAdded: 0,
+    baseRemoved: 0,
+    timedOut: false,
+  });
+  assert.equal(calls.length, 3, calls.join('\n'));
+  assert.equal(collectGitInfo('/src/widget/scripts/lib', { run, showDir: false }).subDir, '');
+});
+
+test('TC-GIT-4: remote lookup is opt-in', () => {
+  const { run, calls } = fixtureRunner({ ...TRACKING, remote: 'git@github.com:acme/widget.git' });
+  assert.equal(collectGitInfo('/src/widget', { run, remote: true }).remoteUrl, 'git@github.com:acme/widget.git');
+  assert.equal(calls.length, 4);
+  assert.equal(collectGitInfo('/src/widget', { run: fixtureRunner(TRACKING).run, remote: true }).remoteUrl, '', 'no origin');
+});
+
+test('TC-GIT-5: linked worktree', () => {
+  const { run } = fixtureRunner({
+    ...TRACKING,
+    'rev-parse': '/src/widget-login\n/src/widget/.git/worktrees/widget-login\n/src/widget/.git',
+  });
+  const info = collectGitInfo('/src/widget-login', { run });
+  assert.equal(info.repoName, 'widget');
+  assert.equal(info.worktreeName, 'widget-login');
+  assert.equal(info.subDir, '');
+});
+
+test('TC-GIT-6: unborn branch skips git log', () => {
+  const { run, calls } = fixtureRunner({
+    'rev-parse': '/src/new\n.git\n.git',
+    status: '# branch.oid (initial)\n# branch.head main',
+  });
+  const info = collectGitInfo('/src/new', { run });
+  assert.equal(info.branch, 'main');
+  assert.equal(info.commitShort, '');
+  assert.equal(info.commitMsg, '');
+  assert.ok(!calls.some((c) => c.startsWith('log')), calls.join('\n'));
+});
+
+test('TC-GIT-7: not a repository', () => {
+  assert.equal(collectGitInfo('/tmp', { run: fixtureRunner({}).run }), null);
+  assert.equal(collectGitInfo('/src/widget/.git', { run: fixtureRunner({ 'rev-parse': '\n.\n.' }).run }), null);
+});
+
+test('TC-GIT-8: real repository via runGit', () => {
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-gitinfo-')));
+  const git = (...args) => spawnSync('git', args, { cwd: repo, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  try {
+    git('-c', 'init.defaultBranch=main', 'init', '-q');
+    git('-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-q', '--allow-empty', '-m', 'first commit');
+    fs.mkdirSync(path.join(repo, 'sub'));
+    fs.writeFileSync(path.join(repo, 'sub', 'new.txt'), 'x');
+
+    const info = collectGitInfo(path.join(repo, 'sub'));
+    assert.equal(info.repoName, path.basename(repo));
+    assert.equal(info.branch, 'main');
+    assert.equal(info.subDir, 'sub');
+    assert.equal(info.dirty, true);
+    assert.equal(info.commitMsg, 'first commit');
+    assert.equal(info.commitShort, runGit(['rev-parse', '--short', 'HEAD'], repo));
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+test('TC-GIT-9: parseStatusV2 counts and stash', () => {
+  const s = parseStatusV2([
+    '# branch.oid abc',
+    '# branch.head main',
+    '# stash 2',
+    '1 M. N... 100644 100644 100644 a b staged.js',
+    '1 MM N... 100644 100644 100644 a b both.js',
+    '1 .D N... 100644 100644 000000 a b gone.js',
+    '1 D. N... 100644 000000 000000 a b rm.js',
+    '1 .T N... 120000 120000 100644 a b link',
+    '2 R. N... 100644 100644 100644 a b R100 new.js\told.js',
+    'u UU N... 100644 100644 100644 100644 a b c conflict.js',
+    '? new.txt',
+    '? other.txt',
+  ].join('\n'));
+  assert.deepEqual(s.counts, { staged: 3, modified: 2, deleted: 2, renamed: 1, untracked: 2, conflicted: 1 });
+  assert.equal(s.stash, 2);
+});
+
+test('TC-GIT-10: readOperation', () => {
+  const cases = [
+    [{ 'rebase-merge/msgnum': '3', 'rebase-merge/end': '7', 'rebase-merge/head-name': 'refs/heads/feature', 'rebase-merge/onto': 'abc1234def' },
+      { kind: 'rebase', step: 3, total: 7, onto: 'abc1234def', headName: 'refs/heads/feature' }],
+    [{ 'rebase-apply/next': '2', 'rebase-apply/last': '4', 'rebase-apply/head-name': 'detached HEAD', 'rebase-apply/onto': 'abc' },
+      { kind: 'rebase', step: 2, total: 4, onto: 'abc', headName: '' }],
+    [{ 'rebase-apply/next': '1', 'rebase-apply/last': '2', 'rebase-apply/applying': '' },
+      { kind: 'am', step: 1, total: 2, onto: '', headName: '' }],
+    [{ MERGE_HEAD: 'abc' }, { kind: 'merge', step: 0, total: 0, onto: '', headName: '' }],
+    [{ CHERRY_PICK_HEAD: 'abc' }, { kind: 'cherry-pick', step: 0, total: 0, onto: '', headName: '' }],
+    [{ REVERT_HEAD: 'abc' }, { kind: 'revert', step: 0, total: 0, onto: '', headName: '' }],
+    [{ BISECT_LOG: '# bad: [abc] x' }, { kind: 'bisect', step: 0, total: 0, onto: '', headName: '' }],
+    [{ 'rebase-merge/msgnum': '1', 'rebase-merge/end': '1', CHERRY_PICK_HEAD: 'abc' },
+      { kind: 'rebase', step: 1, total: 1, onto: '', headName: '' }],
+    [{ HEAD: 'ref: refs/heads/main' }, null],
+  ];
+  for (const [files, expected] of cases) {
+    const dir = makeGitDir(files);
+    try {
+      assert.deepEqual(readOperation(dir), expected, Object.keys(files).join(', '));
+    } finally { fs.rmSync(dir, { recursive: true, force: true }); }
+  }
+});
+
+test('TC-GIT-11: mid-rebase branch and onto name', () => {
+  const gitDir = makeGitDir({
+    'rebase-merge/msgnum': '3', 'rebase-merge/end': '7',
+    'rebase-merge/head-name': 'refs/heads/feature/login', 'rebase-merge/onto': '9f8e7d6c5b4a',
+  });
+  try {
+    const outputs = {
+      ...TRACKING,
+      'rev-parse': `/src/widget\n${gitDir}\n${gitDir}`,
+      status: '# branch.oid 9f8e7d6c5b4a\n# branch.head (detached)',
+      'for-each-ref': 'main\norigin/main',
+    };
+    const { run, calls } = fixtureRunner(outputs);
+    const info = collectGitInfo('/src/widget', { run });
+    assert.equal(info.branch, 'feature/login');
+    assert.deepEqual(info.operation, { kind: 'rebase', step: 3, total: 7, onto: 'main' });
+    assert.ok(calls.includes('for-each-ref --points-at=9f8e7d6c5b4a --format=%(refname:short) refs/heads refs/remotes'), calls.join('\n'));
+
+    const unnamed = collectGitInfo('/src/widget', { run: fixtureRunner({ ...outputs, 'for-each-ref': '' }).run });
+    assert.equal(unnamed.operation.onto, '9f8e7d6');
+  } finally { fs.rmSync(gitDir, { recursive: true, force: true }); }
+});
+
+test('TC-GIT-12: real conflicted rebase in a linked worktree', () => {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-gitrebase-')));
+  const repo = path.join(root, 'repo');
+  const wt = path.join(root, 'wt');
+  const git = (cwd, ...args) => spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  try {
+    fs.mkdirSync(repo);
+    git(repo, '-c', 'init.defaultBranch=main', 'init', '-q');
+    fs.writeFileSync(path.join(repo, 'f.txt'), 'base\n');
+    git(repo, 'add', '.');
+    git(repo, 'commit', '-q', '-m', 'base');
+    git(repo, 'worktree', 'add', '-q', '-b', 'feature', wt);
+    fs.writeFileSync(path.join(wt, 'f.txt'), 'feature\n');
+    git(wt, 'commit', '-q', '-am', 'feature change');
+    fs.writeFileSync(path.join(repo, 'f.txt'), 'main\n');
+    git(repo, 'commit', '-q', '-am', 'main change');
+    assert.notEqual(git(wt, 'rebase', 'main').status, 0, 'rebase stops on the conflict');
+
+    const info = collectGitInfo(wt);
+    assert.equal(info.branch, 'feature');
+    assert.deepEqual(info.operation, { kind: 'rebase', step: 1, total: 1, onto: 'main' });
+    assert.equal(collectGitInfo(repo).operation, null, 'the main checkout is not rebasing');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('TC-GIT-13: submodule superproject and drift', () => {
+  const SUB = {
+    ...TRACKING,
+    'rev-parse': '/src/platform/libs/widget\n/src/platform/.git/modules/libs/widget\n/src/platform/.git/modules/libs/widget\n/src/platform',
+    'ls-files': '160000 4c9ed48a1b2c3d4e5f60718293a4b5c6d7e8f901 0\tlibs/widget',
+  };
+  const { run, calls } = fixtureRunner(SUB);
+  const info = collectGitInfo('/src/platform/libs/widget', { run });
+  assert.equal(info.repoName, 'widget');
+  assert.equal(info.worktreeName, '');
+  assert.equal(info.superproject, '/src/platform');
+  assert.equal(info.superName, 'platform');
+  assert.equal(info.superDrift, false);
+  assert.ok(calls.includes('ls-files --stage -- :(literal)libs/widget'), calls.join('\n'));
+
+  const moved = collectGitInfo('/src/platform/libs/widget', {
+    run: fixtureRunner({ ...SUB, 'ls-files': '160000 0123456789abcdef0123456789abcdef01234567 0\tlibs/widget' }).run,
+  });
+  assert.equal(moved.superDrift, true);
+  assert.equal(collectGitInfo('/src/platform/libs/widget', { run: fixtureRunner({ ...SUB, 'ls-files': '' }).run }).superDrift, false, 'not yet recorded');
+});
+
+test('TC-GIT-14: real submodule', () => {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-gitsub-')));
+  const lib = path.join(root, 'lib');
+  const app = path.join(root, 'app');
+  const git = (cwd, ...args) => spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', '-c', 'protocol.file.allow=always', ...args], { cwd, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  try {
+    for (const dir of [lib, app]) {
+      fs.mkdirSync(dir);
+      git(dir, '-c', 'init.defaultBranch=main', 'init', '-q');
+      git(dir, 'commit', '-q', '--allow-empty', '-m', 'init');
+    }
+    git(app, 'submodule', 'add', '-q', lib, 'vendor/lib');
+    const sub = path.join(app, 'vendor', 'lib');
+
+    const info = collectGitInfo(sub);
+    assert.equal(info.repoName, 'lib');
+    assert.equal(info.superName, 'app');
+    assert.equal(info.superDrift, false);
+    assert.equal(info.worktreeName, '');
+
+    git(sub, 'commit', '-q', '--allow-empty', '-m', 'ahead of the superproject');
+    assert.equal(collectGitInfo(sub).superDrift, true);
+    assert.equal(collectGitInfo(app).superName, '', 'the superproject itself is not a submodule');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('TC-GIT-15: nearest tag via git describe', () => {
+  const { run, calls } = fixtureRunner({ ...TRACKING, describe: 'v5.0.0-rc-1-12-g4c9ed48' });
+  const info = collectGitInfo('/src/widget', { run, describe: true });
+  assert.equal(info.tag, 'v5.0.0-rc-1');
+  assert.equal(info.tagDistance, 12);
+  assert.ok(calls.includes('describe --tags --long'), calls.join('\n'));
+
+  const tagged = collectGitInfo('/src/widget', { run: fixtureRunner({ ...TRACKING, describe: 'v5.0.0-0-g4c9ed48' }).run, describe: true });
+  assert.deepEqual([tagged.tag, tagged.tagDistance], ['v5.0.0', 0]);
+  assert.equal(collectGitInfo('/src/widget', { run: fixtureRunner(TRACKING).run, describe: true }).tag, '', 'no tags');
+
+  const off = fixtureRunner({ ...TRACKING, describe: 'v5.0.0-12-g4c9ed48' });
+  assert.equal(collectGitInfo('/src/widget', { run: off.run }).tag, '');
+  assert.ok(!off.calls.some((c) => c.startsWith('describe')), off.calls.join('\n'));
+});
+
+test('TC-GIT-16: divergence from the default branch', () => {
+  const fixture = fixtureRunner({
+    ...TRACKING,
+    'rev-list': '3\t5',
+    diff: ' 14 files changed, 1200 insertions(+), 300 deletions(-)',
+  });
+  // 'rev-parse' is taken by the first call; answer the base lookup separately
+  const withBase = (ref) => (args, cwd) => {
+    if (args[1] !== '--abbrev-ref') return fixture.run(args, cwd);
+    fixture.calls.push(args.join(' '));
+    return ref;
+  };
+  const info = collectGitInfo('/src/widget', { run: withBase('origin/main'), base: 'origin/HEAD', diffstat: true });
+  assert.deepEqual(
+    [info.baseRef, info.baseAhead, info.baseBehind, info.baseAdded, info.baseRemoved],
+    ['origin/main', 5, 3, 1200, 300]
+  );
+  assert.ok(fixture.calls.includes('rev-parse --abbrev-ref --verify -q origin/HEAD'), fixture.calls.join('\n'));
+  assert.ok(fixture.calls.includes('rev-list --left-right --count origin/main...HEAD'), fixture.calls.join('\n'));
+  assert.ok(fixture.calls.includes('diff --shortstat origin/main...HEAD'), fixture.calls.join('\n'));
+
+  fixture.calls.length = 0;
+  const noStat = collectGitInfo('/src/widget', { run: withBase('origin/main'), base: 'origin/HEAD' });
+  assert.deepEqual([noStat.baseAhead, noStat.baseBehind, noStat.baseAdded, noStat.baseRemoved], [5, 3, 0, 0]);
+  assert.ok(!fixture.calls.some((c) => c.startsWith('diff')), 'diffstat is opt-in');
+
+  const insertOnly = fixtureRunner({ ...TRACKING, 'rev-list': '0\t1', diff: ' 1 file changed, 1 insertion(+)' });
+  const added = collectGitInfo('/src/widget', { run: (args, cwd) => (args[1] === '--abbrev-ref' ? 'main' : insertOnly.run(args, cwd)), base: 'main', diffstat: true });
+  assert.deepEqual([added.baseAdded, added.baseRemoved], [1, 0]);
+
+  fixture.calls.length = 0;
+  const onBase = collectGitInfo('/src/widget', { run: withBase('origin/feature/login'), base: 'origin/HEAD' });
+  assert.equal(onBase.baseRef, '', 'HEAD is the default branch');
+  assert.ok(!fixture.calls.some((c) => c.startsWith('rev-list')), fixture.calls.join('\n'));
+  assert.equal(collectGitInfo('/src/widget', { run: withBase(null), base: 'origin/HEAD' }).baseRef, '', 'no origin/HEAD');
+  fixture.calls.length = 0;
+  collectGitInfo('/src/widget', { run: fixture.run });
+  assert.ok(!fixture.calls.some((c) => c.includes('--abbrev-ref')), 'off without base');
+});
+
+test('TC-GIT-17: real clone compared with origin/HEAD', () => {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-gitbase-')));
+  const origin = path.join(root, 'origin');
+  const clone = path.join(root, 'clone');
+  const git = (cwd, ...args) => spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  try {
+    fs.mkdirSync(origin);
+    git(origin, '-c', 'init.defaultBranch=main', 'init', '-q');
+    fs.writeFileSync(path.join(origin, 'a.txt'), 'one\ntwo\n');
+    git(origin, 'add', 'a.txt');
+    git(origin, 'commit', '-q', '-m', 'init');
+    git(root, 'clone', '-q', origin, clone);
+    git(clone, 'checkout', '-q', '-b', 'feature');
+    fs.writeFileSync(path.join(clone, 'a.txt'), 'one\n2\nthree\n');
+    git(clone, 'commit', '-q', '-am', 'edit');
+    git(origin, 'commit', '-q', '--allow-empty', '-m', 'moved on');
+    git(clone, 'fetch', '-q');
+
+    const info = collectGitInfo(clone, { base: 'origin/HEAD', diffstat: true });
+    assert.equal(info.upstream, '');
+    assert.deepEqual(
+      [info.baseRef, info.baseAhead, info.baseBehind, info.baseAdded, info.baseRemoved],
+      ['origin/main', 1, 1, 2, 1]
+    );
+    git(clone, 'checkout', '-q', 'main');
+    assert.equal(collectGitInfo(clone, { base: 'origin/HEAD' }).baseRef, '');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('TC-GIT-18: isProtectedBranch', () => {
+  const patterns = ['main', 'master', 'release/*', 'v?.x', 'hotfix.1'];
+  for (const branch of ['main', 'master', 'release/2.0', 'release/2.x/fix', 'v5.x', 'hotfix.1']) {
+    assert.equal(isProtectedBranch(branch, patterns), true, branch);
+  }
+  for (const branch of ['mainline', 'my-main', 'release', 'v10.x', 'hotfixx1', 'detached', '']) {
+    assert.equal(isProtectedBranch(branch, patterns), false, branch);
+  }
+  assert.equal(isProtectedBranch('main', []), false);
+  assert.equal(isProtectedBranch('anything', ['*']), true);
+});
+
+test('TC-GIT-19: hasPendingWork', () => {
+  const pushed = { vcs: 'git', toplevel: '/src/widget', dirty: false, ahead: 0, upstream: 'origin/main', commitShort: 'abc1234' };
+  const never = () => assert.fail('no git call expected');
+  assert.equal(hasPendingWork(pushed, { run: never }), false);
+  assert.equal(hasPendingWork({ ...pushed, dirty: true }, { run: never }), true);
+  assert.equal(hasPendingWork({ ...pushed, ahead: 2 }, { run: never }), true);
+  assert.equal(hasPendingWork(null), false);
+
+  const local = { ...pushed, upstream: '' };
+  const unpushed = fixtureRunner({ remote: 'origin', 'rev-list': '4c9ed48a1b2c3d4e5f60718293a4b5c6d7e8f901' });
+  assert.equal(hasPendingWork(local, { run: unpushed.run }), true, 'commit no remote has');
+  assert.deepEqual(unpushed.calls, ['remote', 'rev-list -1 HEAD --not --remotes']);
+  assert.equal(hasPendingWork(local, { run: fixtureRunner({ remote: 'origin', 'rev-list': '' }).run }), false, 'every commit on a remote');
+  const noRemote = fixtureRunner({ remote: '' });
+  assert.equal(hasPendingWork(local, { run: noRemote.run }), false, 'nowhere to push');
+  assert.deepEqual(noRemote.calls, ['remote']);
+  assert.equal(hasPendingWork({ ...local, commitShort: '' }, { run: never }), false, 'unborn branch');
+  assert.equal(hasPendingWork({ ...local, vcs: 'jj' }, { run: never }), false, 'jj has no upstream');
+  assert.equal(hasPendingWork({ ...local, timedOut: true }, { run: never }), false, 'upstream unknown');
+  assert.equal(hasPendingWork(local, { run: fixtureRunner({ remote: TIMED_OUT }).run }), false, 'git remote timed out');
+});
+
+test('TC-GIT-20: status call stopped by the timeout', () => {
+  const { run, calls } = fixtureRunner({
+    ...TRACKING, status: TIMED_OUT, 'symbolic-ref': 'feature/login', describe: 'v1.0-2-g4c9ed48',
+  });
+  const info = collectGitInfo('/src/widget', { run, describe: true, base: 'origin/HEAD' });
+  assert.equal(info.timedOut, true);
+  assert.equal(info.branch, 'feature/login');
+  assert.deepEqual([info.dirty, info.ahead, info.counts.untracked], [false, 0, 0]);
+  assert.equal(info.commitShort, '4c9ed48', 'log still runs');
+  assert.deepEqual([info.tag, info.baseRef], ['', '']);
+  assert.deepEqual(calls.map((c) => c.split(' ')[0]), ['rev-parse', 'status', 'symbolic-ref', 'log'], 'no retry, no describe');
+
+  const detached = collectGitInfo('/src/widget', { run: fixtureRunner({ ...TRACKING, status: TIMED_OUT }).run });
+  assert.equal(detached.branch, 'detached');
+  const describeOnly = collectGitInfo('/src/widget', { run: fixtureRunner({ ...TRACKING, describe: TIMED_OUT }).run, describe: true });
+  assert.deepEqual([describeOnly.timedOut, describeOnly.dirty, describeOnly.tag], [true, true, '']);
+});
+
+test('TC-GIT-21: untracked and fsmonitor settings', () => {
+  const { run, calls } = fixtureRunner(TRACKING);
+  collectGitInfo('/src/widget', { run, untracked: 'no' });
+  assert.equal(calls[1], 'status --porcelain=v2 --branch --untracked-files=no --show-stash');
+  const monitored = fixtureRunner({ ...TRACKING, '-c': TRACKING.status });
+  const info = collectGitInfo('/src/widget', { run: monitored.run, fsmonitor: true });
+  assert.equal(monitored.calls[1], 'config --get-regexp ^core\\.(fsmonitor|untrackedcache)$');
+  assert.equal(monitored.calls[2], '-c core.fsmonitor=true -c core.untrackedCache=true status --porcelain=v2 --branch --show-stash');
+  assert.equal(info.branch, 'feature/login');
+  assert.ok(monitored.calls.slice(3).every((c) => !c.startsWith('-c') && !c.startsWith('config')), 'other calls unchanged');
+
+  // A configured hook (Watchman) or an explicit false is the user's choice
+  const hooked = fixtureRunner({ ...TRACKING, config: 'core.fsmonitor .git/hooks/query-watchman', '-c': TRACKING.status });
+  collectGitInfo('/src/widget', { run: hooked.run, fsmonitor: true });
+  assert.equal(hooked.calls[2], '-c core.untrackedCache=true status --porcelain=v2 --branch --show-stash');
+  const both = fixtureRunner({ ...TRACKING, config: 'core.fsmonitor false\ncore.untrackedcache keep' });
+  collectGitInfo('/src/widget', { run: both.run, fsmonitor: true });
+  assert.equal(both.calls[2], 'status --porcelain=v2 --branch --show-stash');
+});
+
+test('TC-GIT-22: repoGitSettings', () => {
+  const repos = {
+    '~/src': { fsmonitor: true },
+    '~/src/mono': { untracked: 'no', timeout: 1500 },
+    '/srv/vendor/': { git: false },
+  };
+  const at = (dir) => repoGitSettings(dir, repos, '/home/alice');
+  assert.deepEqual(at('/home/alice/src/mono/pkg/a'), { git: true, untracked: 'no', fsmonitor: true, timeout: 1500 });
+  assert.deepEqual(at('/home/alice/src/mono2'), { git: true, untracked: 'normal', fsmonitor: true, timeout: 0 });
+  assert.deepEqual(at('/home/alice'), { git: true, untracked: 'normal', fsmonitor: false, timeout: 0 });
+  assert.equal(at('/srv/vendor').git, false, 'trailing slash in the key');
+  assert.equal(at('/srv/vendor/lib').git, false);
+  assert.equal(repoGitSettings('/anywhere', {}).git, true);
+});
+
+test('TC-GIT-23: real git stopped by the timeout', { skip: process.platform === 'win32' && 'sh alias' }, () => {
+  const started = Date.now();
+  assert.equal(runGit(['-c', 'alias.nap=!sleep 2', 'nap'], os.tmpdir(), 200), TIMED_OUT);
+  assert.ok(Date.now() - started < 1500, 'returns at the timeout');
+  assert.equal(runGit(['--version'], os.tmpdir(), 2000).startsWith('git version'), true);
+  assert.equal(runGit(['no-such-command'], os.tmpdir()), null);
+});
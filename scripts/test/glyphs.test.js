@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * glyphs.test.js — unit tests for getGlyphs / detectAscii and ASCII rendering
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/glyphs.test.js
+ *
+ * Cases:
+ *  1. Both glyph sets define the same keys; ASCII set is 7-bit
+ *  2. detectAscii: TERM=dumb, non-UTF-8 charset, locale precedence
+ *  3. detectAscii: UTF-8 / unset / bare C locale keep Unicode
+ *  4. ASCII bricks and ahead/behind render as #/. and +N/-N
+ *  5. ASCII hint message carries no em dash
+ *  6. Status symbol sets share keys; ASCII set is 7-bit; overrides win
+ *  7. ASCII staged count and ahead count stay distinguishable
+ *  8. Brick styles: one column each, ASCII ignores them; eighth blocks
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getGlyphs, getStatusSymbols, getBrickEighths, detectAscii, STATUS_KEYS, BRICK_STYLE_NAMES } = require('../lib/glyphs');
+const { displayWidth } = require('../lib/width');
+const { createTheme } = require('../lib/ansi');
+const { defaultConfig } = require('../lib/config');
+const { buildSegments } = require('../lib/segments');
+const { formatRateLimitLine } = require('../lib/format/rate-limit-line');
+
+// ---- Helpers ---------------------------------------------------------------
+
+/** Minimal statusline state for buildSegments */
+function makeState(git) {
+  return {
+    model: 'Opus',
+    dirLabel: '',
+    git: { repoName: 'repo', branch: 'main', worktreeName: '', subDir: '', dirty: false, ahead: 0, behind: 0, commitShort: '', commitMsg: '', ...git },
+    session: { linesAdded: 0, linesRemoved: 0, durationMs: 0, costUsd: 0 },
+    context: { totalTokens: 100, usedTokens: 40, freeTokens: 60, usedPct: 40 },
+    user: '',
+    rate: null,
+  };
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-GLY-1: glyph sets share keys; ASCII set is 7-bit', () => {
+  const uni = getGlyphs(false);
+  const ascii = getGlyphs(true);
+  assert.deepEqual(Object.keys(ascii).sort(), Object.keys(uni).sort());
+  for (const v of Object.values(ascii)) assert.match(v, /^[\x20-\x7e]$/);
+});
+
+test('TC-GLY-2: detectAscii → true for dumb terminals and non-UTF-8 locales', () => {
+  assert.equal(detectAscii({ TERM: 'dumb', LANG: 'en_US.UTF-8' }), true);
+  assert.equal(detectAscii({ LANG: 'en_US.ISO-8859-1' }), true);
+  assert.equal(detectAscii({ LANG: 'de_DE.UTF-8', LC_ALL: 'de_DE.ISO-8859-15@euro' }), true, 'LC_ALL wins');
+  assert.equal(detectAscii({ LANG: 'en_US.ISO-8859-1', LC_CTYPE: 'en_US.utf8' }), false, 'LC_CTYPE beats LANG');
+});
+
+test('TC-GLY-3: detectAscii → false for UTF-8, unset or bare C locales', () => {
+  assert.equal(detectAscii({ LANG: 'en_US.UTF-8' }), false);
+  assert.equal(detectAscii({ LANG: 'C.utf8' }), false);
+  assert.equal(detectAscii({ LANG: 'C' }), false);
+  assert.equal(detectAscii({}), false);
+});
+
+test('TC-GLY-4: ASCII bricks and ahead/behind', () => {
+  const segments = buildSegments(makeState({ dirty: true, ahead: 2, behind: 3 }), {
+    config: { ...defaultConfig(), bricks: 10 },
+    theme: createTheme('dark', 'none'),
+    glyphs: getGlyphs(true),
+    termWidth: 120,
+  });
+  assert.equal(segments.git_status.variants[1](80), '*+2-3');
+  assert.equal(segments.bricks.variants[0](80), '[####......]');
+});
+
+test('TC-GLY-5: ASCII hint message has no em dash', () => {
+  const merged = { freshness: 'UNAVAILABLE', hint_kind: 'auth-rejected', extras: {} };
+  const line = formatRateLimitLine(merged, 120, defaultConfig(), createTheme('dark', 'none'), getGlyphs(true));
+  assert.equal(line, '[auth token rejected - refresh credentials]');
+});
+
+test('TC-GLY-6: status symbols', () => {
+  const uni = getStatusSymbols(false);
+  const ascii = getStatusSymbols(true);
+  assert.deepEqual(Object.keys(uni).sort(), [...STATUS_KEYS].sort());
+  assert.deepEqual(Object.keys(ascii).sort(), [...STATUS_KEYS].sort());
+  for (const v of Object.values(ascii)) assert.match(v, /^[\x20-\x7e]$/);
+  assert.equal(getStatusSymbols(true, { stash: '$' }).stash, '$');
+  assert.equal(getStatusSymbols(true, { stash: '$' }).staged, 'S');
+});
+
+test('TC-GLY-7: ASCII staged vs ahead', () => {
+  const counts = { staged: 3, modified: 0, deleted: 0, renamed: 0, untracked: 0, conflicted: 0 };
+  const segments = buildSegments(makeState({ dirty: true, ahead: 1, counts, stash: 0 }), {
+    config: defaultConfig(),
+    theme: createTheme('dark', 'none'),
+    glyphs: getGlyphs(true),
+    symbols: getStatusSymbols(true),
+    termWidth: 120,
+  });
+  assert.equal(segments.git_status.variants[0](80), 'S3 +1');
+});
+
+test('TC-GLY-8: brick styles and eighth blocks', () => {
+  assert.deepEqual(BRICK_STYLE_NAMES, ['squares', 'blocks', 'braille', 'dots', 'bars']);
+  for (const name of BRICK_STYLE_NAMES) {
+    const g = getGlyphs(false, name);
+    assert.equal(displayWidth(g.brickUsed), 1, name);
+    assert.equal(displayWidth(g.brickFree), 1, name);
+    assert.equal(g.ahead, '↑', 'other glyphs unchanged');
+    assert.equal(getGlyphs(true, name), getGlyphs(true), 'ASCII ignores the style');
+  }
+  assert.equal(getGlyphs(false, 'braille').brickUsed, '⣿');
+  assert.equal(getGlyphs(false), getGlyphs(false, 'squares'));
+  const eighths = getBrickEighths(false);
+  assert.equal(eighths.length, 8);
+  assert.equal(eighths[0], '');
+  assert.equal(eighths[4], '▌');
+  for (const e of eighths.slice(1)) assert.equal(displayWidth(e), 1);
+  assert.equal(getBrickEighths(true), null);
+});
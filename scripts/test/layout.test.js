@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * layout.test.js — unit tests for renderLayout / parseLayout
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/layout.test.js
+ *
+ * Cases:
+ *  1. Segments rendered in layout order with their separators
+ *  2. Leading separator suppressed; empty segments skipped
+ *  3. Empty lines omitted
+ *  4. Prioritized segments drop in ascending priority until the line fits
+ *  5. Non-droppable overflow is returned as-is
+ *  6. rightPadding applies to the first line only
+ *  7. avail passed to render() accounts for preceding text
+ *  8. parseLayout compact env form
+ *  9. Shorter variants are tried (by priority) before anything is dropped
+ * 10. Flexible variant receives its budget (current width minus overflow)
+ * 11. drop: false segments shorten but never drop
+ * 12. After a drop, shortened segments get their full length back
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderLayout, parseLayout } = require('../lib/layout');
+
+// ---- Helpers ---------------------------------------------------------------
+
+/** Fixed-text provider */
+function seg(text, sep = ' ', priority) {
+  const s = { sep, render: () => text };
+  if (priority != null) s.priority = priority;
+  return s;
+}
+
+/** Provider with variants given as fixed strings, long → short */
+function vseg(texts, sep, priority, extra) {
+  return { sep, priority, variants: texts.map((x) => () => x), ...extra };
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-LAY-1: segments in layout order with separators', () => {
+  const segments = { a: seg('A', ' | '), b: seg('B', ':'), c: seg('C', '') };
+  assert.deepEqual(renderLayout([['c', 'a', 'b']], segments, { termWidth: 80 }), ['C | A:B']);
+});
+
+test('TC-LAY-2: leading separator suppressed, empty segments skipped', () => {
+  const segments = { a: seg(''), b: seg('B', ' | '), c: seg('C', ' | ') };
+  assert.deepEqual(renderLayout([['a', 'b', 'c']], segments, { termWidth: 80 }), ['B | C']);
+});
+
+test('TC-LAY-3: lines rendering empty are omitted', () => {
+  const segments = { a: seg('A'), e: seg('') };
+  assert.deepEqual(renderLayout([['a'], ['e'], ['a']], segments, { termWidth: 80 }), ['A', 'A']);
+});
+
+test('TC-LAY-4: prioritized segments drop lowest priority first until fit', () => {
+  const segments = {
+    a: seg('AAAA', ''),
+    b: seg('BBBB', ' ', 2),
+    c: seg('CCCC', ' ', 1),
+  };
+  const layout = [['a', 'b', 'c']];
+  assert.deepEqual(renderLayout(layout, segments, { termWidth: 14 }), ['AAAA BBBB CCCC']);
+  assert.deepEqual(renderLayout(layout, segments, { termWidth: 13 }), ['AAAA BBBB']);
+  assert.deepEqual(renderLayout(layout, segments, { termWidth: 8 }), ['AAAA']);
+});
+
+test('TC-LAY-5: non-droppable overflow returned as-is', () => {
+  const segments = { a: seg('AAAAAAAAAA') };
+  assert.deepEqual(renderLayout([['a']], segments, { termWidth: 5 }), ['AAAAAAAAAA']);
+});
+
+test('TC-LAY-6: rightPadding reserves columns on the first line only', () => {
+  const segments = { a: seg('AAAA', ''), b: seg('BBBB', ' ', 1) };
+  const lines = renderLayout([['a', 'b'], ['a', 'b']], segments, { termWidth: 10, rightPadding: 3 });
+  assert.deepEqual(lines, ['AAAA', 'AAAA BBBB']);
+});
+
+test('TC-LAY-7: render(avail) receives remaining columns after preceding text + sep', () => {
+  let seen = null;
+  const segments = {
+    a: seg('\x1b[1mAAAA\x1b[0m', ''),
+    f: { sep: ' | ', render: (avail) => { seen = avail; return 'F'; } },
+  };
+  renderLayout([['a', 'f']], segments, { termWidth: 20 });
+  assert.equal(seen, 20 - 4 - 3, 'ANSI codes must not count toward width');
+});
+
+test('TC-LAY-8: parseLayout compact form', () => {
+  assert.deepEqual(parseLayout('model, repo,branch;;bricks ;quotas,'), [
+    ['model', 'repo', 'branch'],
+    ['bricks'],
+    ['quotas'],
+  ]);
+});
+
+test('TC-LAY-9: shorter variants before drops, in priority order', () => {
+  const segments = {
+    a: vseg(['AAAAAA', 'AA'], '', 2),
+    b: vseg(['BBBBBB', 'BB'], ' ', 1),
+    c: seg('CCCC', ' ', 3),
+  };
+  const layout = [['a', 'b', 'c']];
+  assert.deepEqual(renderLayout(layout, segments, { termWidth: 18 }), ['AAAAAA BBBBBB CCCC']);
+  assert.deepEqual(renderLayout(layout, segments, { termWidth: 14 }), ['AAAAAA BB CCCC'], 'b shortens first');
+  assert.deepEqual(renderLayout(layout, segments, { termWidth: 10 }), ['AA BB CCCC'], 'then a');
+  assert.deepEqual(renderLayout(layout, segments, { termWidth: 7 }), ['AA CCCC'], 'then b drops');
+});
+
+test('TC-LAY-10: flexible variant sized to its budget', () => {
+  const bar = (n) => '[' + '#'.repeat(n) + ']';
+  const segments = {
+    bar: { sep: '', priority: 1, drop: false, variants: [() => bar(20), (avail) => bar(Math.max(3, avail - 2))] },
+    tail: seg('| 42%', ' '),
+  };
+  assert.deepEqual(renderLayout([['bar', 'tail']], segments, { termWidth: 16 }), ['[########] | 42%']);
+  assert.deepEqual(renderLayout([['bar', 'tail']], segments, { termWidth: 8 }), ['[###] | 42%'], 'minimum kept, overflow as-is');
+});
+
+test('TC-LAY-11: drop: false never drops', () => {
+  const segments = { a: seg('AAAA', ''), q: vseg(['QQQQQQ', 'QQQ'], ' ', 1, { drop: false }) };
+  assert.deepEqual(renderLayout([['a', 'q']], segments, { termWidth: 6 }), ['AAAA QQQ']);
+});
+
+test('TC-LAY-12: a drop restores shortened segments', () => {
+  const segments = {
+    a: vseg(['AAAAAAAA', 'A'], '', 1, { drop: false }),
+    d: seg('DDDDDDDD', ' ', 2),
+  };
+  assert.deepEqual(renderLayout([['a', 'd']], segments, { termWidth: 9 }), ['AAAAAAAA']);
+});
@@ -0,0 +1,408 @@
+'use strict';
+
+/**
+ * segments.test.js — unit tests for segment providers (buildSegments)
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/segments.test.js
+ *
+ * Cases:
+ *  1. git_status full form: counts in fixed order, stash, ahead/behind
+ *  2. git_status short form is the v5.0 `*↑N↓M`
+ *  3. Clean tree: only ahead/behind; dirty without counts → `*`
+ *  4. Each count carries its theme role
+ *  5. Symbol overrides apply
+ *  6. Line 1 under width pressure: short form before any drop
+ *  7. git_op: rebase progress and onto branch, operations without progress
+ *  8. Submodule: super/sub, drift marker in both glyph sets
+ *  9. Line 2 tag, commit age and author; each toggle
+ * 10. Line 2 under width pressure: author hidden, subject cut, then age → tag dropped
+ * 11. divergence: diffstat, default branch and ahead/behind; origin/ implied; toggle
+ * 12. Line 1 under width pressure: divergence shortened, then dropped before user
+ * 13. Protected branch: warning role and `⚠ protected` marker; ASCII `!`; kept at any width
+ * 14. Branch forms: prefix → ticket → middle ellipsis; capture group; steps from config
+ * 15. Line 1 under width pressure: branch shortened before user and diff are dropped
+ * 16. commit_msg: type, scope, breaking `!` and fixup!/WIP flag in their roles; toggle
+ * 17. Line 2 under width pressure: the conventional prefix stays whole while text fits
+ * 18. git_status: `?` when git timed out, in both forms; symbol override
+ * 19. Split brick bar: runs per token category in their roles; legend forms; toggle
+ * 20. Line 3 under width pressure: legend shortened, then hidden before the bricks shrink
+ * 21. Compact marker: takes one cell at the threshold; warning roles near / past it; label
+ * 22. brickPrecision: eighth block after the full bricks; brick styles; width clamp
+ * 23. Line 3 at 80 columns: duration hidden before the bricks shrink
+ * 24. Default line 3 at 80 and 60 columns: duration, then compact hidden; full bar
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSegments } = require('../lib/segments');
+const { renderLayout, DEFAULT_LAYOUT } = require('../lib/layout');
+const { createTheme } = require('../lib/ansi');
+const { getGlyphs, getStatusSymbols } = require('../lib/glyphs');
+const { defaultConfig } = require('../lib/config');
+const { displayWidth } = require('../lib/width');
+
+// ---- Helpers ---------------------------------------------------------------
+
+const COUNTS = { staged: 3, modified: 5, deleted: 0, renamed: 0, untracked: 2, conflicted: 1 };
+
+/** Minimal statusline state for buildSegments */
+function makeState(git = {}, extra = {}) {
+  return {
+    model: 'Opus',
+    dirLabel: '',
+    git: {
+      repoName: 'repo', branch: 'main', worktreeName: '', subDir: '', dirty: true, ahead: 0, behind: 0,
+      commitShort: '', commitMsg: '', counts: COUNTS, stash: 2, ...git,
+    },
+    session: { linesAdded: 0, linesRemoved: 0, durationMs: 0, costUsd: 0 },
+    context: { totalTokens: 100, usedTokens: 40, freeTokens: 60, usedPct: 40 },
+    user: '',
+    rate: null,
+    ...extra,
+  };
+}
+
+/** Render clock: commits in the fixtures are relative to it */
+const NOW_MS = 1746619200000;
+
+/** Segments without color */
+function plainSegments(state, config = defaultConfig(), symbols) {
+  return buildSegments(state, { config, theme: createTheme('dark', 'none'), glyphs: getGlyphs(false), symbols, termWidth: 120, nowMs: NOW_MS });
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-SEG-1: git_status full form', () => {
+  const s = plainSegments(makeState({ ahead: 1, behind: 4 }));
+  assert.equal(s.git_status.variants[0](80), '+3 ~5 ?2 !1 ≡2 ↑1↓4');
+  const all = plainSegments(makeState({ counts: { staged: 1, modified: 1, deleted: 1, renamed: 1, untracked: 1, conflicted: 1 }, stash: 0 }));
+  assert.equal(all.git_status.variants[0](80), '+1 ~1 ✘1 »1 ?1 !1');
+});
+
+test('TC-SEG-2: git_status short form', () => {
+  const s = plainSegments(makeState({ ahead: 1, behind: 4 }));
+  assert.equal(s.git_status.variants[1](80), '*↑1↓4');
+});
+
+test('TC-SEG-3: clean and count-less states', () => {
+  const clean = plainSegments(makeState({ dirty: false, counts: {}, stash: 0, ahead: 2 }));
+  assert.equal(clean.git_status.variants[0](80), '↑2');
+  assert.equal(clean.git_status.variants[1](80), '↑2');
+  const none = plainSegments(makeState({ dirty: false, counts: {}, stash: 0 }));
+  assert.equal(none.git_status.variants[0](80), '');
+  const bare = plainSegments(makeState({ counts: undefined, stash: 0 }));
+  assert.equal(bare.git_status.variants[0](80), '*');
+});
+
+test('TC-SEG-4: each count uses its theme role', () => {
+  const t = createTheme('dark', '256');
+  const s = buildSegments(makeState({ counts: { ...COUNTS, conflicted: 0 }, stash: 0 }), {
+    config: defaultConfig(), theme: t, glyphs: getGlyphs(false), termWidth: 120,
+  });
+  assert.equal(
+    s.git_status.variants[0](80),
+    `${t.staged}+3${t.reset} ${t.modified}~5${t.reset} ${t.untracked}?2${t.reset}`
+  );
+});
+
+test('TC-SEG-5: symbol overrides', () => {
+  const config = { ...defaultConfig(), statusSymbols: { staged: 'S', stash: '$' } };
+  assert.equal(plainSegments(makeState(), config).git_status.variants[0](80), 'S3 ~5 ?2 !1 $2');
+  const ascii = getStatusSymbols(true, { dirty: '!' });
+  assert.equal(plainSegments(makeState(), defaultConfig(), ascii).git_status.variants[1](80), '!');
+});
+
+test('TC-SEG-6: line 1 shortens the breakdown before dropping', () => {
+  const state = makeState({ ahead: 1 }, { user: '@alice' });
+  const layout = [['model', 'repo', 'branch', 'git_status', 'user']];
+  const wide = renderLayout(layout, plainSegments(state), { termWidth: 80 });
+  assert.equal(wide[0], '[Opus] repo:main +3 ~5 ?2 !1 ≡2 ↑1 @alice');
+  const narrow = renderLayout(layout, plainSegments(state), { termWidth: 30 });
+  assert.equal(narrow[0], '[Opus] repo:main *↑1 @alice');
+  assert.ok(displayWidth(narrow[0]) <= 30);
+});
+
+test('TC-SEG-7: git_op', () => {
+  const op = (operation) => plainSegments(makeState({ operation })).git_op.render(80);
+  assert.equal(op(null), '');
+  assert.equal(op({ kind: 'rebase', step: 3, total: 7, onto: 'main' }), 'REBASE 3/7 onto main');
+  assert.equal(op({ kind: 'am', step: 1, total: 2, onto: '' }), 'AM 1/2');
+  assert.equal(op({ kind: 'merge', step: 0, total: 0, onto: '' }), 'MERGING');
+  assert.equal(op({ kind: 'bisect', step: 0, total: 0, onto: '' }), 'BISECTING');
+
+  const state = makeState({ branch: 'feature', operation: { kind: 'cherry-pick', step: 0, total: 0, onto: '' } }, { user: '@alice' });
+  const layout = [['model', 'repo', 'branch', 'git_op', 'git_status', 'user']];
+  assert.equal(renderLayout(layout, plainSegments(state), { termWidth: 40 })[0], '[Opus] repo:feature CHERRY-PICKING *');
+});
+
+test('TC-SEG-8: submodule repo segment', () => {
+  assert.equal(plainSegments(makeState({ superName: 'platform' })).repo.render(80), 'platform/repo');
+  assert.equal(plainSegments(makeState({ superName: 'platform', superDrift: true })).repo.render(80), 'platform/repo≠');
+  const ascii = buildSegments(makeState({ superName: 'platform', superDrift: true }), {
+    config: defaultConfig(), theme: createTheme('dark', 'none'), glyphs: getGlyphs(true), termWidth: 120,
+  });
+  assert.equal(ascii.repo.render(80), 'platform/repo#');
+});
+
+test('TC-SEG-9: tag, commit age and author', () => {
+  const commit = { commitShort: 'abc1234', commitMsg: 'fix: things', commitTime: NOW_MS / 1000 - 3 * 3600, commitAuthor: 'Alice Doe', tag: 'v5.0.0', tagDistance: 12 };
+  const tagged = { ...defaultConfig(), showTag: true };
+  const s = plainSegments(makeState(commit), tagged);
+  assert.equal(s.tag.render(80), 'v5.0.0+12');
+  assert.equal(plainSegments(makeState(commit)).tag.render(80), '', 'tag is off by default');
+  assert.equal(s.commit_age.render(80), '3h ago');
+  assert.equal(s.commit_author.variants[0](80), '', 'author is off by default');
+  assert.equal(plainSegments(makeState({ ...commit, tagDistance: 0 }), tagged).tag.render(80), 'v5.0.0');
+
+  const ages = [[42, '42s ago'], [600, '10m ago'], [2 * 86400, '2d ago'], [20 * 86400, '2w ago'], [100 * 86400, '3mo ago'], [800 * 86400, '2y ago'], [-60, '']];
+  for (const [sec, expected] of ages) {
+    assert.equal(plainSegments(makeState({ ...commit, commitTime: NOW_MS / 1000 - sec })).commit_age.render(80), expected, `${sec}s`);
+  }
+
+  const config = { ...defaultConfig(), showTag: false, showCommitAge: false, showAuthor: true };
+  const toggled = plainSegments(makeState(commit), config);
+  assert.deepEqual([toggled.tag.render(80), toggled.commit_age.render(80), toggled.commit_author.variants[0](80)], ['', '', 'Alice Doe']);
+});
+
+test('TC-SEG-10: line 2 cuts the subject before dropping age and tag', () => {
+  const config = { ...defaultConfig(), showTag: true, showAuthor: true };
+  const state = makeState({ commitShort: 'abc1234', commitMsg: 'fix: handle empty input', commitTime: NOW_MS / 1000 - 300, commitAuthor: 'alice', tag: 'v5.0.0', tagDistance: 2 });
+  const layout = [['commit', 'commit_msg', 'tag', 'commit_age', 'commit_author']];
+  const line = (w) => renderLayout(layout, plainSegments(state, config), { termWidth: w })[0];
+  assert.equal(line(120), '[abc1234] fix: handle empty input | v5.0.0+2 | 5m ago | alice');
+  assert.equal(line(58), '[abc1234] fix: handle empty input | v5.0.0+2 | 5m ago');
+  assert.equal(line(50), '[abc1234] fix: handle empty... | v5.0.0+2 | 5m ago');
+  assert.equal(line(40), '[abc1234] fix: handle empt... | v5.0.0+2', '13 columns of subject left');
+  assert.equal(line(30), '[abc1234] fix: handle empty...');
+
+  const long = makeState({ ...state.git, commitMsg: 'feat(parser): accept trailing commas in nested object literals and arrays' });
+  assert.equal(renderLayout(layout, plainSegments(long, config), { termWidth: 80 })[0],
+    '[abc1234] feat(parser): accept trailing commas in nested ... | v5.0.0+2 | 5m ago');
+});
+
+test('TC-SEG-11: divergence from the default branch', () => {
+  const base = { branch: 'feature', baseRef: 'origin/main', baseAhead: 5, baseBehind: 3, baseAdded: 1200, baseRemoved: 300 };
+  const s = plainSegments(makeState(base));
+  assert.equal(s.divergence.variants[0](80), '+1200/-300 vs main ↑5↓3');
+  assert.equal(s.divergence.variants[1](80), 'vs main ↑5↓3');
+  const merged = plainSegments(makeState({ ...base, baseRef: 'upstream/develop', baseBehind: 0, baseAdded: 0, baseRemoved: 0 }));
+  assert.equal(merged.divergence.variants[0](80), 'vs upstream/develop ↑5');
+  assert.equal(plainSegments(makeState({ ...base, baseRef: '' })).divergence.variants[0](80), '', 'on the default branch');
+  const off = plainSegments(makeState(base), { ...defaultConfig(), showDivergence: false });
+  assert.equal(off.divergence.variants[0](80), '');
+});
+
+test('TC-SEG-12: line 1 shortens, then drops the divergence first', () => {
+  const state = makeState(
+    { branch: 'feature', dirty: false, counts: {}, stash: 0, baseRef: 'origin/main', baseAhead: 2, baseBehind: 0, baseAdded: 40, baseRemoved: 8 },
+    { user: '@alice', session: { linesAdded: 12, linesRemoved: 3, durationMs: 0, costUsd: 0 } }
+  );
+  const layout = [['model', 'repo', 'branch', 'git_status', 'diff', 'divergence', 'user']];
+  const line = (w) => renderLayout(layout, plainSegments(state), { termWidth: w })[0];
+  assert.equal(line(80), '[Opus] repo:feature | +12/-3 | +40/-8 vs main ↑2 @alice');
+  assert.equal(line(50), '[Opus] repo:feature | +12/-3 | vs main ↑2 @alice');
+  assert.equal(line(40), '[Opus] repo:feature | +12/-3 @alice');
+});
+
+test('TC-SEG-13: protected branch warning', () => {
+  assert.equal(plainSegments(makeState({ protectedBranch: true })).branch.variants[0](80), 'main ⚠ protected');
+  assert.equal(plainSegments(makeState({ protectedBranch: false })).branch.variants[0](80), 'main');
+  const t = createTheme('dark', '256');
+  const themed = buildSegments(makeState({ protectedBranch: true }), { config: defaultConfig(), theme: t, glyphs: getGlyphs(true), termWidth: 120 });
+  assert.equal(themed.branch.variants[0](80), `${t.protected}main${t.reset} ${t.protected}! protected${t.reset}`);
+
+  const state = makeState({ protectedBranch: true, ahead: 1 }, { user: '@alice' });
+  const layout = [['model', 'repo', 'branch', 'git_status', 'user']];
+  assert.equal(renderLayout(layout, plainSegments(state), { termWidth: 36 })[0], '[Opus] repo:main ⚠ protected *↑1');
+});
+
+test('TC-SEG-14: branch shortening steps', () => {
+  const branch = 'feature/PROJ-1234-implement-oauth-refresh-for-proxy';
+  const forms = (config, glyphs = getGlyphs(false)) => buildSegments(makeState({ branch }), {
+    config: { ...defaultConfig(), ...config }, theme: createTheme('dark', 'none'), glyphs, termWidth: 120,
+  }).branch.variants.map((v) => v(80));
+  assert.deepEqual(forms({}), [branch, 'f/PROJ-1234-implement-oauth-refresh-for-proxy', 'PROJ-1234']);
+  assert.deepEqual(forms({ branchShorten: ['prefix', 'ellipsis'] }), [branch, 'f/PROJ-1234-implement-oauth-refresh-for-proxy', 'f/PROJ-1234-…h-for-proxy']);
+  assert.deepEqual(forms({ branchShorten: ['ellipsis'], branchMaxWidth: 16 }, getGlyphs(true)), [branch, 'feature/~r-proxy']);
+  assert.deepEqual(forms({ branchTicketPattern: '-(\\d+)-' }).slice(-1), ['1234'], 'first group');
+  assert.deepEqual(forms({ branchShorten: [] }), [branch]);
+
+  const noTicket = buildSegments(makeState({ branch: 'users/alice/cleanup-the-build-scripts-and-ci' }), {
+    config: defaultConfig(), theme: createTheme('dark', 'none'), glyphs: getGlyphs(false), termWidth: 120,
+  }).branch.variants.map((v) => v(80));
+  assert.deepEqual(noTicket, ['users/alice/cleanup-the-build-scripts-and-ci', 'u/a/cleanup-the-build-scripts-and-ci', 'u/a/cleanup-…ipts-and-ci']);
+  assert.equal(plainSegments(makeState({ branch: 'main' })).branch.variants.length, 1, 'nothing to shorten');
+});
+
+test('TC-SEG-15: line 1 shortens the branch before dropping segments', () => {
+  const state = makeState(
+    { branch: 'feature/PROJ-1234-implement-oauth-refresh', dirty: false, counts: {}, stash: 0 },
+    { user: '@alice', session: { linesAdded: 12, linesRemoved: 3, durationMs: 0, costUsd: 0 } }
+  );
+  const layout = [['model', 'repo', 'branch', 'git_status', 'diff', 'user']];
+  const line = (w) => renderLayout(layout, plainSegments(state), { termWidth: w })[0];
+  assert.equal(line(80), '[Opus] repo:feature/PROJ-1234-implement-oauth-refresh | +12/-3 @alice');
+  assert.equal(line(63), '[Opus] repo:f/PROJ-1234-implement-oauth-refresh | +12/-3 @alice');
+  assert.equal(line(40), '[Opus] repo:PROJ-1234 | +12/-3 @alice');
+  assert.equal(line(30), '[Opus] repo:PROJ-1234 | +12/-3');
+});
+
+test('TC-SEG-16: conventional commit subject', () => {
+  const t = createTheme('dark', '256');
+  const themed = (commitMsg, config = defaultConfig()) => buildSegments(makeState({ commitMsg }), {
+    config, theme: t, glyphs: getGlyphs(false), termWidth: 120,
+  }).commit_msg.variants[0](80);
+  assert.equal(themed('feat(parser)!: drop v1 syntax'),
+    `${t.commitFeat}feat${t.reset}${t.dim}(parser)${t.reset}${t.breaking}!${t.reset}: drop v1 syntax`);
+  assert.equal(themed('fix: handle empty input'), `${t.commitFix}fix${t.reset}: handle empty input`);
+  assert.equal(themed('chore(deps): bump'), `${t.commitType}chore${t.reset}${t.dim}(deps)${t.reset}: bump`);
+  assert.equal(themed('fixup! fix: handle empty input'),
+    `${t.commitFlag}fixup!${t.reset} ${t.commitFix}fix${t.reset}: handle empty input`);
+  assert.equal(themed('[WIP] parser'), `${t.commitFlag}[WIP]${t.reset} parser`);
+  assert.equal(themed('WIP'), `${t.commitFlag}WIP${t.reset}`);
+  assert.equal(themed('Note: not a type'), 'Note: not a type');
+  const off = { ...defaultConfig(), conventionalCommits: false };
+  assert.equal(themed('fixup! feat(parser)!: drop v1 syntax', off), 'fixup! feat(parser)!: drop v1 syntax');
+});
+
+test('TC-SEG-17: line 2 keeps the conventional prefix while cutting the subject', () => {
+  const state = makeState({ commitShort: 'abc1234', commitMsg: 'squash! feat(parser)!: drop the v1 syntax' });
+  const layout = [['commit', 'commit_msg']];
+  const line = (w) => renderLayout(layout, plainSegments(state), { termWidth: w })[0];
+  assert.equal(line(80), '[abc1234] squash! feat(parser)!: drop the v1 syntax');
+  assert.equal(line(44), '[abc1234] squash! feat(parser)!: drop the...');
+  assert.equal(line(37), '[abc1234] squash! feat(parser)!: d...');
+  assert.equal(line(30), '[abc1234] squash! feat(pars...', 'too narrow: plain cut');
+  assert.ok(displayWidth(line(30)) <= 30);
+});
+
+test('TC-SEG-18: unknown status after a git timeout', () => {
+  const slow = makeState({ timedOut: true, dirty: false, counts: {}, stash: 0 });
+  const s = plainSegments(slow);
+  assert.equal(s.git_status.variants[0](80), '?');
+  assert.equal(s.git_status.variants[1](80), '?');
+  const partial = plainSegments(makeState({ timedOut: true, ahead: 1 }));
+  assert.equal(partial.git_status.variants[0](80), '? +3 ~5 ?2 !1 ≡2 ↑1');
+  assert.equal(partial.git_status.variants[1](80), '?*↑1');
+  assert.equal(plainSegments(slow, defaultConfig(), getStatusSymbols(false, { unknown: '…' })).git_status.variants[0](80), '…');
+});
+
+test('TC-SEG-19: bricks split by token category', () => {
+  const breakdown = { input: 5000, cacheWrite: 10000, cacheRead: 24000, output: 1000 };
+  const state = makeState({}, { context: { totalTokens: 100000, usedTokens: 40000, freeTokens: 60000, usedPct: 40, breakdown } });
+  const s = plainSegments(state, { ...defaultConfig(), bricks: 20 });
+  assert.equal(s.bricks.variants[0](80), `[${'■'.repeat(8)}${'□'.repeat(12)}]`);
+  assert.equal(s.brick_legend.variants[0](80), '■ input 5k ■ cache write 10k ■ cache read 24k ■ output 1k');
+  assert.equal(s.brick_legend.variants[1](80), '■in 5k ■cw 10k ■cr 24k ■out 1k');
+
+  const t = createTheme('dark', '256');
+  const themed = buildSegments(state, { config: { ...defaultConfig(), bricks: 20 }, theme: t, glyphs: getGlyphs(false), termWidth: 120 });
+  const run = (role, n) => `${t[role]}■${t.reset}`.repeat(n);
+  // 8 used bricks: 1 + 2 + 4.8 + 0.2 → largest remainders go to cache read, then output
+  assert.equal(themed.bricks.variants[0](80),
+    `[${run('brickInput', 1)}${run('brickCacheWrite', 2)}${run('brickCacheRead', 5)}${run('brickOutput', 0)}${`${t.brickFree}□${t.reset}`.repeat(12)}]`);
+
+  const off = buildSegments(state, { config: { ...defaultConfig(), bricks: 20, brickCategories: false }, theme: t, glyphs: getGlyphs(false), termWidth: 120 });
+  assert.ok(off.bricks.variants[0](80).startsWith(`[${run('brickUsed', 8)}${t.brickFree}`));
+  assert.equal(off.brick_legend.variants[0](80), '');
+  const none = plainSegments(makeState({}, { context: { totalTokens: 100, usedTokens: 40, freeTokens: 60, usedPct: 40, breakdown: null } }));
+  assert.equal(none.brick_legend.variants[0](80), '');
+  const cachedOnly = plainSegments(makeState({}, { context: { totalTokens: 100000, usedTokens: 40000, freeTokens: 60000, usedPct: 40, breakdown: { input: 0, cacheWrite: 0, cacheRead: 40000, output: 850 } } }));
+  assert.equal(cachedOnly.brick_legend.variants[0](80), '■ cache read 40k ■ output 850', 'empty categories left out');
+});
+
+test('TC-SEG-20: line 3 hides the legend before shrinking the bricks', () => {
+  const breakdown = { input: 5000, cacheWrite: 10000, cacheRead: 24000, output: 1000 };
+  const state = makeState({}, {
+    context: { totalTokens: 100000, usedTokens: 40000, freeTokens: 60000, usedPct: 40, breakdown },
+    session: { linesAdded: 0, linesRemoved: 0, durationMs: 0, costUsd: 0.5 },
+  });
+  const layout = [['bricks', 'percent', 'free', 'cost', 'brick_legend']];
+  const line = (w) => renderLayout(layout, plainSegments(state, { ...defaultConfig(), bricks: 10 }), { termWidth: w })[0];
+  const bar = `[${'■'.repeat(4)}${'□'.repeat(6)}]`;
+  assert.equal(line(120), `${bar} 40% | 60k free | $0.50 | ■ input 5k ■ cache write 10k ■ cache read 24k ■ output 1k`);
+  assert.equal(line(70), `${bar} 40% | 60k free | $0.50 | ■in 5k ■cw 10k ■cr 24k ■out 1k`);
+  assert.equal(line(40), `${bar} 40% | 60k free | $0.50`);
+});
+
+test('TC-SEG-21: auto-compact marker, warning colors and label', () => {
+  const ctx = (usedTokens) => ({ totalTokens: 100000, usedTokens, freeTokens: 100000 - usedTokens, usedPct: usedTokens / 1000, compactAt: 80000 });
+  const cfg = { ...defaultConfig(), bricks: 11 };
+  // 11 cells: 10 bricks plus the marker between bricks 8 and 9
+  const s = plainSegments(makeState({}, { context: ctx(40000) }), cfg);
+  assert.equal(s.bricks.variants[0](80), `[${'■'.repeat(4)}${'□'.repeat(4)}│□□]`);
+  assert.equal(s.compact.variants[0](), 'compact in ~40k');
+  assert.equal(buildSegments(makeState({}, { context: ctx(40000) }), {
+    config: cfg, theme: createTheme('dark', 'none'), glyphs: getGlyphs(true), termWidth: 120,
+  }).bricks.variants[0](80), `[${'#'.repeat(4)}${'.'.repeat(4)}|..]`);
+  const off = plainSegments(makeState({}, { context: { ...ctx(40000), compactAt: 0 } }), cfg);
+  assert.equal(off.bricks.variants[0](80), `[${'■'.repeat(4)}${'□'.repeat(7)}]`, 'threshold 0: no marker');
+  assert.equal(off.compact.variants[0](), '');
+
+  const t = createTheme('dark', '256');
+  const themed = (usedTokens) => buildSegments(makeState({}, { context: ctx(usedTokens) }), { config: cfg, theme: t, glyphs: getGlyphs(false), termWidth: 120 });
+  const run = (role, glyph, n) => `${t[role]}${glyph}${t.reset}`.repeat(n);
+  const marker = run('compactMarker', '│', 1);
+  assert.equal(themed(60000).bricks.variants[0](80), `[${run('brickUsed', '■', 6)}${run('brickFree', '□', 2)}${marker}${run('brickFree', '□', 2)}]`);
+  // 8k left = 8 points, within compactWarn (10)
+  assert.equal(themed(72000).bricks.variants[0](80), `[${run('brickWarn', '■', 7)}${run('brickFree', '□', 1)}${marker}${run('brickFree', '□', 2)}]`);
+  assert.equal(themed(72000).compact.variants[0](), `${t.brickWarn}compact in ~8k${t.reset}`);
+  assert.equal(themed(85000).bricks.variants[0](80), `[${run('brickCritical', '■', 8)}${marker}${run('brickFree', '□', 2)}]`);
+  assert.equal(themed(85000).compact.variants[0](), '', 'past the threshold');
+});
+
+test('TC-SEG-22: partial bricks and brick styles', () => {
+  // 10 bricks, 43.8k of 100k → 4 full bricks and 3/8 of the fifth (0.38 × 8, rounded down)
+  const state = makeState({}, { context: { totalTokens: 100000, usedTokens: 43800, freeTokens: 56200, usedPct: 43 } });
+  const cfg = { ...defaultConfig(), bricks: 10, brickPrecision: true };
+  assert.equal(plainSegments(state, cfg).bricks.variants[0](80), `[${'■'.repeat(4)}▍${'□'.repeat(5)}]`);
+  assert.equal(plainSegments(state, { ...cfg, brickPrecision: false }).bricks.variants[0](80), `[${'■'.repeat(4)}${'□'.repeat(6)}]`);
+  const exact = makeState({}, { context: { totalTokens: 100000, usedTokens: 40000, freeTokens: 60000, usedPct: 40 } });
+  assert.equal(plainSegments(exact, cfg).bricks.variants[0](80), `[${'■'.repeat(4)}${'□'.repeat(6)}]`, 'no partial on a brick boundary');
+  const ascii = buildSegments(state, { config: cfg, theme: createTheme('dark', 'none'), glyphs: getGlyphs(true), eighths: null, termWidth: 120 });
+  assert.equal(ascii.bricks.variants[0](80), `[${'#'.repeat(4)}${'.'.repeat(6)}]`, 'ASCII: no partial bricks');
+
+  // Partial brick in the color of the last category run
+  const t = createTheme('dark', '256');
+  const split = makeState({}, { context: { ...state.context, breakdown: { input: 3800, cacheWrite: 0, cacheRead: 40000, output: 0 } } });
+  const themed = buildSegments(split, { config: cfg, theme: t, glyphs: getGlyphs(false), termWidth: 120 });
+  assert.ok(themed.bricks.variants[0](80).includes(`${t.brickCacheRead}▍${t.reset}`));
+
+  // Styles by name; the narrow-terminal clamp and the flexible variant keep the cell count
+  const braille = buildSegments(state, { config: cfg, theme: createTheme('dark', 'none'), glyphs: getGlyphs(false, 'braille'), termWidth: 40 });
+  assert.equal(braille.bricks.variants[0](80), `[⣿⣿▏⣀⣀]`, '40 columns: 5 bricks');
+  assert.equal(displayWidth(braille.bricks.variants[1](7)), 7);
+});
+
+test('TC-SEG-23: line 3 hides the duration before shrinking the bricks', () => {
+  const state = makeState({}, {
+    context: { totalTokens: 200000, usedTokens: 84000, freeTokens: 116000, usedPct: 42 },
+    session: { linesAdded: 0, linesRemoved: 0, durationMs: 5025000, costUsd: 12.34 },
+    rate: { extra_usage: { enabled: true, usedCredits: 500, monthlyLimit: 5000 } },
+  });
+  const line = (w) => renderLayout([['bricks', 'percent', 'free', 'duration', 'cost', 'extra_usage']],
+    buildSegments(state, { config: defaultConfig(), theme: createTheme('dark', 'none'), glyphs: getGlyphs(false), termWidth: w }),
+    { termWidth: w })[0];
+  const bar = (text) => text.slice(0, text.indexOf(']') + 1);
+  assert.match(line(120), /\| 1h23m \|/);
+  assert.equal(displayWidth(bar(line(80))), 32, '30 bricks and brackets');
+  assert.equal(line(80).slice(32), ' 42% | 116k free | $12.34 | extra:$5.00/$50.00');
+});
+
+test('TC-SEG-24: line 3 hides the compact label before shrinking the bricks', () => {
+  const state = makeState({}, {
+    context: { totalTokens: 200000, usedTokens: 84000, freeTokens: 116000, usedPct: 42, compactAt: 160000 },
+    session: { linesAdded: 0, linesRemoved: 0, durationMs: 5025000, costUsd: 12.34 },
+  });
+  const line = (w) => renderLayout([DEFAULT_LAYOUT[2]],
+    buildSegments(state, { config: defaultConfig(), theme: createTheme('dark', 'none'), glyphs: getGlyphs(false), termWidth: w }),
+    { termWidth: w })[0];
+  const bar = (text) => text.slice(0, text.indexOf(']') + 1);
+  assert.equal(line(120).slice(32), ' 42% | 116k free | compact in ~76k | 1h23m | $12.34');
+  assert.equal(displayWidth(bar(line(80))), 32, '30 bricks and brackets');
+  assert.equal(line(80).slice(32), ' 42% | 116k free | compact in ~76k | $12.34');
+  // 60 columns clamp the bar to 25 bricks (termWidth - 35); none are given up for the label
+  assert.equal(displayWidth(bar(line(60))), 27);
+  assert.equal(line(60).slice(27), ' 42% | 116k free | $12.34');
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * snapshot.test.js — unit tests for writeSnapshot / readSnapshot / resolveSnapshotPath
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/snapshot.test.js
+ *
+ * Cases:
+ *  1. Raw stdin written via tmp + rename
+ *  2. Inputs with _mock_* keys are never written
+ *  3. Write errors swallowed → false
+ *  4. readSnapshot: missing file → null
+ *  5. resolveSnapshotPath: config.snapshotPath wins, default under ~/.claude
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const { writeSnapshot, readSnapshot, resolveSnapshotPath } = require('../lib/snapshot');
+
+// ---- Helpers ---------------------------------------------------------------
+
+/** In-memory fs recording writes and renames */
+function makeFs() {
+  const files = {};
+  return {
+    files,
+    writeFileSync: (p, body) => { files[p] = body; },
+    renameSync: (from, to) => { files[to] = files[from]; delete files[from]; },
+    readFileSync: (p) => {
+      if (!(p in files)) { const e = new Error('ENOENT'); e.code = 'ENOENT'; throw e; }
+      return files[p];
+    },
+  };
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-SNAP-1: raw stdin written atomically', () => {
+  const fsMock = makeFs();
+  const raw = '{"model":{"display_name":"Claude Opus"}}';
+  assert.equal(writeSnapshot(raw, JSON.parse(raw), '/s.json', fsMock), true);
+  assert.deepEqual(fsMock.files, { '/s.json': raw });
+  assert.equal(readSnapshot('/s.json', fsMock), raw);
+});
+
+test('TC-SNAP-2: _mock_* inputs are not stored', () => {
+  const fsMock = makeFs();
+  assert.equal(writeSnapshot('{}', { model: {}, _mock_now_ms: 1 }, '/s.json', fsMock), false);
+  assert.deepEqual(fsMock.files, {});
+});
+
+test('TC-SNAP-3: write errors swallowed', () => {
+  const fsMock = { writeFileSync: () => { throw new Error('EACCES'); }, renameSync: () => {} };
+  assert.equal(writeSnapshot('{}', {}, '/s.json', fsMock), false);
+});
+
+test('TC-SNAP-4: missing snapshot → null', () => {
+  assert.equal(readSnapshot('/nope.json', makeFs()), null);
+});
+
+test('TC-SNAP-5: resolveSnapshotPath', () => {
+  assert.equal(resolveSnapshotPath({ snapshotPath: '/tmp/x.json' }), '/tmp/x.json');
+  assert.equal(
+    resolveSnapshotPath({ snapshotPath: '' }),
+    path.join(os.homedir(), '.claude', '.contextbricks-last-input.json')
+  );
+});
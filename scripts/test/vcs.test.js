@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * vcs.test.js — unit tests for detectVcs / collectJjInfo / collectHgInfo / collectVcsInfo
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/vcs.test.js
+ *
+ * jj and hg output is recorded and replayed through the injectable runners;
+ * case 6 puts stub `jj` / `hg` scripts on PATH instead.
+ *
+ * Cases:
+ *  1. detectVcs: .jj, .hg, .git; colocated jj → git; nearest marker wins
+ *  2. jj: bookmark on @, else on @-; dirty from `empty`; change id as commit; time, author
+ *  3. jj secondary workspace → repoName of the main workspace
+ *  4. hg: active bookmark over branch; status letters → counts; latesttag; null revision
+ *  5. Failing runner (binary missing, not a repository) → null
+ *  6. collectVcsInfo with stub binaries on PATH
+ *  7. collectVcsInfo stops a slow jj / hg after opts.timeout → timedOut, not null
+ *  8. runTool → TIMED_OUT; a timed-out jj log / hg log / hg status → timedOut
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectVcsInfo, detectVcs, collectJjInfo, collectHgInfo, runTool } = require('../lib/vcs');
+const { TIMED_OUT } = require('../lib/git-info');
+
+// ---- Helpers ---------------------------------------------------------------
+
+/** Temp tree with the given directories created under it */
+function makeTree(dirs) {
+  const top = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-vcs-')));
+  for (const d of dirs) fs.mkdirSync(path.join(top, d), { recursive: true });
+  return { top, cleanup: () => fs.rmSync(top, { recursive: true, force: true }) };
+}
+
+/** Runner replaying recorded output, keyed by the first argument */
+function fixtureRunner(outputs) {
+  const calls = [];
+  const run = (args) => {
+    calls.push(args.join(' '));
+    return outputs[args[0]] !== undefined ? outputs[args[0]] : null;
+  };
+  return { run, calls };
+}
+
+// ---- Tests -------------------------------------------------------------------
+
+test('TC-VCS-1: detectVcs', () => {
+  const tree = makeTree(['jj/.jj', 'jj/src', 'hg/.hg', 'git/.git', 'colo/.jj', 'colo/.git', 'git/vendor/lib/.hg', 'plain']);
+  const { top } = tree;
+  try {
+    assert.deepEqual(detectVcs(path.join(top, 'jj', 'src')), { kind: 'jj', root: path.join(top, 'jj') });
+    assert.deepEqual(detectVcs(path.join(top, 'hg')), { kind: 'hg', root: path.join(top, 'hg') });
+    assert.deepEqual(detectVcs(path.join(top, 'git')), { kind: 'git', root: path.join(top, 'git') });
+    assert.deepEqual(detectVcs(path.join(top, 'colo')), { kind: 'git', root: path.join(top, 'colo') });
+    assert.deepEqual(detectVcs(path.join(top, 'git', 'vendor', 'lib')), { kind: 'hg', root: path.join(top, 'git', 'vendor', 'lib') });
+    const found = detectVcs(path.join(top, 'plain'));
+    assert.ok(found === null || !found.root.startsWith(top), 'no marker inside the tree');
+  } finally { tree.cleanup(); }
+});
+
+test('TC-VCS-2: jj bookmark, dirty flag and change id', () => {
+  const { run, calls } = fixtureRunner({ log: 'kmtqzvxo\ndirty\n\nmain\n1746612000\nAlice Doe\nfeat: add parser' });
+  const info = collectJjInfo('/src/widget/lib', '/src/widget', { run });
+  assert.deepEqual(info, {
+    vcs: 'jj',
+    toplevel: '/src/widget',
+    repoName: 'widget',
+    worktreeName: '',
+    subDir: 'lib',
+    upstream: '',
+    stash: 0,
+    ahead: 0,
+    behind: 0,
+    remoteUrl: '',
+    operation: null,
+    superproject: '',
+    superName: '',
+    superDrift: false,
+    baseRef: '',
+    baseAhead: 0,
+    baseBehind: 0,
+    baseAdded: 0,
+    baseRemoved: 0,
+    timedOut: false,
+    tag: '',
+    tagDistance: 0,
+    branch: 'main',
+    dirty: true,
+    counts: { staged: 0, modified: 0, deleted: 0, renamed: 0, untracked: 0, conflicted: 0 },
+    commitShort: 'kmtqzvxo',
+    commitMsg: 'feat: add parser',
+    commitTime: 1746612000,
+    commitAuthor: 'Alice Doe',
+  });
+  assert.equal(calls.length, 1);
+  assert.ok(calls[0].startsWith('log --no-graph --color=never -r @ -T '), calls[0]);
+
+  const own = collectJjInfo('/src/widget', '/src/widget', { run: fixtureRunner({ log: 'kmtqzvxo\nclean\nfeature other\nmain\n0\n\n' }).run });
+  assert.equal(own.branch, 'feature');
+  assert.equal(own.dirty, false);
+  assert.equal(own.commitMsg, '');
+  assert.equal(collectJjInfo('/src/widget', '/src/widget', { run: fixtureRunner({ log: 'kmtqzvxo\nclean\n\n\n' }).run }).branch, '');
+});
+
+test('TC-VCS-3: jj secondary workspace', () => {
+  const tree = makeTree(['widget/.jj/repo', 'widget-docs/.jj']);
+  try {
+    const ws = path.join(tree.top, 'widget-docs');
+    fs.writeFileSync(path.join(ws, '.jj', 'repo'), path.join(tree.top, 'widget', '.jj', 'repo'));
+    const info = collectJjInfo(ws, ws, { run: fixtureRunner({ log: 'kmtqzvxo\nclean\ndocs\n\n' }).run });
+    assert.equal(info.repoName, 'widget');
+    assert.equal(info.worktreeName, 'widget-docs');
+    const main = collectJjInfo(path.join(tree.top, 'widget'), path.join(tree.top, 'widget'), { run: fixtureRunner({ log: 'a\nclean\n\n\n' }).run });
+    assert.equal(main.worktreeName, '');
+  } finally { tree.cleanup(); }
+});
+
+test('TC-VCS-4: hg bookmark, branch, status counts', () => {
+  const { run, calls } = fixtureRunner({
+    log: '4c9ed48a1b2c\ndefault\nfeature-x\n1746612000 -7200\nAlice Doe\nv1.2\n3\nfix: handle empty input',
+    status: 'M a.py\nM b.py\nA new.py\nR gone.py\n! missing.py\n? notes.txt',
+  });
+  const info = collectHgInfo('/src/app', '/src/app', { run, describe: true });
+  assert.equal(info.vcs, 'hg');
+  assert.equal(info.commitTime, 1746612000);
+  assert.equal(info.commitAuthor, 'Alice Doe');
+  assert.equal(info.tag, 'v1.2');
+  assert.equal(info.tagDistance, 3);
+  assert.equal(info.branch, 'feature-x');
+  assert.equal(info.commitShort, '4c9ed48a1b2c');
+  assert.equal(info.commitMsg, 'fix: handle empty input');
+  assert.equal(info.dirty, true);
+  assert.deepEqual(info.counts, { staged: 1, modified: 2, deleted: 2, renamed: 0, untracked: 1, conflicted: 0 });
+  assert.equal(calls.length, 2);
+
+  const clean = collectHgInfo('/src/app', '/src/app', { run: fixtureRunner({ log: '4c9ed48a1b2c\nstable\n\n0 0\nbob\nnull\n7\nrelease', status: '' }).run });
+  assert.equal(clean.branch, 'stable');
+  assert.equal(clean.dirty, false);
+  assert.equal(clean.tag, '', 'latesttag null → no tag');
+  assert.equal(clean.commitMsg, 'release');
+  const empty = collectHgInfo('/src/app', '/src/app', { run: fixtureRunner({ log: '000000000000\ndefault\n\n0 0\n\nnull\n0\n', status: '' }).run });
+  assert.equal(empty.commitShort, '');
+});
+
+test('TC-VCS-5: failing runner', () => {
+  assert.equal(collectJjInfo('/src/widget', '/src/widget', { run: () => null }), null);
+  assert.equal(collectHgInfo('/src/app', '/src/app', { run: () => null }), null);
+});
+
+test('TC-VCS-6: collectVcsInfo with stub binaries on PATH', { skip: process.platform === 'win32' && 'sh stubs' }, () => {
+  const tree = makeTree(['bin', 'jjrepo/.jj', 'hgrepo/.hg']);
+  const savedPath = process.env.PATH;
+  const stub = (name, body) => {
+    const file = path.join(tree.top, 'bin', name);
+    fs.writeFileSync(file, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+  };
+  try {
+    stub('jj', 'printf "yqosqzyt\\ndirty\\nwip\\n\\n1746612000\\nAlice Doe\\nrefactor: split parser"');
+    stub('hg', [
+      'if [ "$HGPLAIN" != 1 ]; then exit 1; fi',
+      'case "$1" in',
+      '  log) printf "0123456789ab\\ndefault\\n\\n1746612000 0\\nAlice Doe\\nnull\\n1\\ninitial import" ;;',
+      '  status) printf "? scratch.txt\\n" ;;',
+      'esac',
+    ].join('\n'));
+    process.env.PATH = `${path.join(tree.top, 'bin')}${path.delimiter}${savedPath}`;
+
+    const opts = { maxAgeMs: 0, cachePath: '', nowMs: 0 };
+    const jj = collectVcsInfo(path.join(tree.top, 'jjrepo'), opts);
+    assert.equal(jj.vcs, 'jj');
+    assert.equal(jj.repoName, 'jjrepo');
+    assert.equal(jj.branch, 'wip');
+    assert.equal(jj.commitShort, 'yqosqzyt');
+    assert.equal(jj.dirty, true);
+
+    const hg = collectVcsInfo(path.join(tree.top, 'hgrepo'), opts);
+    assert.equal(hg.vcs, 'hg');
+    assert.equal(hg.branch, 'default');
+    assert.equal(hg.commitMsg, 'initial import');
+    assert.equal(hg.counts.untracked, 1);
+  } finally {
+    process.env.PATH = savedPath;
+    tree.cleanup();
+  }
+});
+
+test('TC-VCS-7: collectVcsInfo stops a slow jj / hg after opts.timeout', { skip: process.platform === 'win32' && 'sh stubs' }, () => {
+  const tree = makeTree(['bin', 'jjrepo/.jj', 'hgrepo/.hg']);
+  const savedPath = process.env.PATH;
+  for (const name of ['jj', 'hg']) {
+    fs.writeFileSync(path.join(tree.top, 'bin', name), '#!/bin/sh\nexec sleep 3\n', { mode: 0o755 });
+  }
+  try {
+    process.env.PATH = `${path.join(tree.top, 'bin')}${path.delimiter}${savedPath}`;
+    const opts = { maxAgeMs: 0, cachePath: '', nowMs: 0, timeout: 200 };
+    for (const dir of ['jjrepo', 'hgrepo']) {
+      const started = Date.now();
+      const info = collectVcsInfo(path.join(tree.top, dir), opts);
+      assert.ok(Date.now() - started < 2000, `${dir} took ${Date.now() - started} ms`);
+      assert.equal(info.timedOut, true, dir);
+      assert.equal(info.repoName, dir);
+      assert.equal(info.dirty, false);
+    }
+  } finally {
+    process.env.PATH = savedPath;
+    tree.cleanup();
+  }
+});
+
+test('TC-VCS-8: timed-out jj / hg calls', { skip: process.platform === 'win32' && 'sh stubs' }, () => {
+  const tree = makeTree(['bin']);
+  const slow = path.join(tree.top, 'bin', 'slow');
+  fs.writeFileSync(slow, '#!/bin/sh\nexec sleep 3\n', { mode: 0o755 });
+  try {
+    assert.equal(runTool(slow, [], tree.top, null, 200), TIMED_OUT);
+    assert.equal(runTool(path.join(tree.top, 'bin', 'missing'), [], tree.top, null, 200), null);
+
+    const jj = collectJjInfo('/src/widget', '/src/widget', { run: () => TIMED_OUT });
+    assert.equal(jj.timedOut, true);
+    assert.equal(jj.repoName, 'widget');
+    assert.equal(jj.branch, '');
+    assert.equal(jj.commitShort, '');
+
+    // A stopped log skips status
+    const hgLog = fixtureRunner({ log: TIMED_OUT, status: 'M a.js' });
+    const hg = collectHgInfo('/src/app', '/src/app', { run: hgLog.run });
+    assert.equal(hg.timedOut, true);
+    assert.equal(hg.dirty, false);
+    assert.deepEqual(hgLog.calls.map((c) => c.split(' ')[0]), ['log']);
+
+    // A stopped status keeps the log fields
+    const hgStatus = fixtureRunner({
+      log: '0123456789ab\ndefault\n\n1746612000 0\nAlice Doe\nnull\n1\ninitial import',
+      status: TIMED_OUT,
+    });
+    const partial = collectHgInfo('/src/app', '/src/app', { run: hgStatus.run });
+    assert.equal(partial.timedOut, true);
+    assert.equal(partial.branch, 'default');
+    assert.equal(partial.commitShort, '0123456789ab');
+    assert.equal(partial.dirty, false);
+
+    assert.equal(collectHgInfo('/src/app', '/src/app', { run: fixtureRunner({ log: '0123456789ab\ndefault' }).run }).timedOut, false);
+  } finally {
+    tree.cleanup();
+  }
+});
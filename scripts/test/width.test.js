@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * width.test.js — unit tests for displayWidth / sliceToWidth / truncate / truncateMiddle
+ *
+ * Test runner: node:test (built-in, no new deps — NFR-4)
+ * Run: node --test scripts/test/width.test.js
+ *
+ * Cases:
+ *  1. ASCII, ambiguous-width glyphs (■ □ ↑ ↓ —) count 1
+ *  2. CJK / Hangul / fullwidth forms count 2
+ *  3. Emoji: presentation, VS16, skin tone, ZWJ family, flags count 2
+ *  4. Combining marks and zero-width characters count 0
+ *  5. SGR and OSC 8 sequences are not counted
+ *  6. sliceToWidth never splits surrogate pairs or clusters
+ *  7. truncate: fits → unchanged; else prefix + ellipsis within width
+ *  8. Layout fits a line with a CJK commit message to the terminal width
+ *  9. truncateMiddle: fits → unchanged; else head + ellipsis + tail within width
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { displayWidth, sliceToWidth, truncate, truncateMiddle } = require('../lib/width');
+const { renderLayout } = require('../lib/layout');
+
+test('TC-WID-1: ASCII and ambiguous-width glyphs', () => {
+  assert.equal(displayWidth(''), 0);
+  assert.equal(displayWidth('main'), 4);
+  assert.equal(displayWidth('[■■□] ↑2↓1 — x'), 14);
+});
+
+test('TC-WID-2: East Asian wide and fullwidth', () => {
+  assert.equal(displayWidth('日本語'), 6);
+  assert.equal(displayWidth('feat/한국어'), 11);
+  assert.equal(displayWidth('ｆｕｌｌ'), 8);
+  assert.equal(displayWidth('ｶﾀｶﾅ'), 4, 'halfwidth katakana stays narrow');
+});
+
+test('TC-WID-3: emoji clusters', () => {
+  assert.equal(displayWidth('👍'), 2);
+  assert.equal(displayWidth('👍🏽'), 2);
+  assert.equal(displayWidth('👨‍👩‍👧'), 2);
+  assert.equal(displayWidth('❤️'), 2);
+  assert.equal(displayWidth('❤'), 1, 'text presentation without VS16');
+  assert.equal(displayWidth('🇩🇪🇫🇷'), 4);
+});
+
+test('TC-WID-4: combining marks and zero-width characters', () => {
+  assert.equal(displayWidth('e\u0301'), 1);
+  assert.equal(displayWidth('a\u200bb'), 2);
+  assert.equal(displayWidth('\ufeffx'), 1);
+});
+
+test('TC-WID-5: escape sequences are not counted', () => {
+  assert.equal(displayWidth('\x1b[1;38;5;46m日本\x1b[0m'), 4);
+  assert.equal(displayWidth('\x1b]8;;https://example.com\x1b\\abc\x1b]8;;\x1b\\'), 3);
+});
+
+test('TC-WID-6: sliceToWidth keeps whole clusters', () => {
+  assert.equal(sliceToWidth('日本語', 3), '日');
+  assert.equal(sliceToWidth('a👍b', 2), 'a');
+  assert.equal(sliceToWidth('a👨‍👩‍👧b', 3), 'a👨‍👩‍👧');
+  const cut = sliceToWidth('😀😀😀', 5);
+  assert.equal(cut, '😀😀');
+  assert.ok(!/[\ud800-\udbff]$/.test(cut), 'no lone high surrogate');
+});
+
+test('TC-WID-7: truncate', () => {
+  assert.equal(truncate('short', 10), 'short');
+  assert.equal(truncate('exactly-10', 10), 'exactly-10');
+  assert.equal(truncate('a longer message', 10), 'a longe...');
+  assert.equal(truncate('修复登录页面的错误', 10), '修复登...');
+  assert.ok(displayWidth(truncate('修复登录页面的错误', 10)) <= 10);
+});
+
+test('TC-WID-8: layout with a CJK commit message fits the width', () => {
+  const segments = {
+    commit: { sep: '', render: () => '[abc1234]' },
+    msg: { sep: ' ', render: (avail) => truncate('修复登录页面的错误处理逻辑并补充测试', avail) },
+  };
+  const [line] = renderLayout([['commit', 'msg']], segments, { termWidth: 30 });
+  assert.ok(displayWidth(line) <= 30, line);
+  assert.ok(line.endsWith('...'));
+});
+
+test('TC-WID-9: truncateMiddle', () => {
+  assert.equal(truncateMiddle('short', 10), 'short');
+  assert.equal(truncateMiddle('feature/implement-oauth', 12, '…'), 'featur…oauth');
+  assert.equal(truncateMiddle('feature/implement-oauth', 12), 'featu...auth');
+  const cjk = truncateMiddle('功能/修复登录页面的错误', 11, '…');
+  assert.equal(cjk, '功能/…错误', 'a wide character that would overflow is left out');
+  assert.ok(displayWidth(cjk) <= 11);
+});
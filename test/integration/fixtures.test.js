@@ -6,7 +6,9 @@
  * Each test:
  *   1. Spawns `node scripts/statusline.js` with spawnSync
  *   2. Pipes a fixture JSON to stdin
- *   3. Sets CONTEXTBRICKS_CACHE_PATH to a per-test temp file (cache isolation)
+ *   3. Points HOME, CONTEXTBRICKS_CACHE_PATH and CONTEXTBRICKS_SNAPSHOT_PATH at a
+ *      per-run temp directory
+ *      (runStatusline — nothing under the real ~/.claude is read or written)
  *   4. Captures stdout, strips ANSI escape codes
  *   5. Asserts SEMANTIC presence:
  *      - For FRESH fixtures: canonical bucket name + percentage
@@ -48,49 +50,70 @@ function stripAnsi(str) {
 }
 
 /**
- * Run scripts/statusline.js with the given fixture JSON as stdin.
- * Returns the stdout with ANSI stripped.
+ * Run scripts/statusline.js (or another entry point) isolated from the
+ * developer's machine. Every run gets a fresh temp directory as HOME, so
+ * ~/.claude credentials, profile cache and stdin snapshot are never read or
+ * written; the quota cache, snapshot and config paths point into it as well.
+ * A `_mock_profile` is added to the input so no profile is fetched, git
+ * state is always read live, and the rate-limit line is off unless asked for.
  *
- * @param {string} fixtureName  — filename in fixtures/ dir (without path)
- * @param {object} [extraEnv]   — additional env vars to set (merged with process.env)
- * @returns {{ stdout: string, stderr: string, status: number }}
+ * @param {object|null} input  — stdin JSON (null = empty stdin)
+ * @param {object} [extraEnv]  — env vars overriding the isolated defaults
+ * @param {{ argv?: string[] }} [opts] — script and arguments (default: statusline.js)
+ * @returns {{ stdout: string, raw: string, stderr: string, status: number }}
+ *   stdout with ANSI stripped, raw as written
  */
-function runFixture(fixtureName, extraEnv) {
-  const fixturePath = path.join(FIXTURES_DIR, fixtureName);
-  const fixtureJson = fs.readFileSync(fixturePath, 'utf8');
-
-  // Per-test temp cache file for isolation — prevents real user cache from
-  // interfering with freshness state-machine assertions (no CONTEXTBRICKS_CACHE_PATH
-  // support existed before T7; this env var was added in T7 to statusline.js).
-  const tmpCache = path.join(os.tmpdir(), `cb-quota-cache-test-${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
-
+function runStatusline(input, extraEnv = {}, opts = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'cb-test-home-'));
   const env = {
     ...process.env,
-    CONTEXTBRICKS_CACHE_PATH: tmpCache,
-    CONTEXTBRICKS_SHOW_LIMITS: '1',
+    HOME: home,
+    USERPROFILE: home,
+    HOMEDRIVE: home.slice(0, 2),
+    HOMEPATH: home.slice(2),
+    CONTEXTBRICKS_CACHE_PATH: path.join(home, 'quota-cache.json'),
+    CONTEXTBRICKS_SNAPSHOT_PATH: path.join(home, 'last-input.json'),
+    // Never pick up the developer's own ~/.claude/contextbricks.json
+    CONTEXTBRICKS_CONFIG: path.join(home, 'no-such-config.json'),
+    CONTEXTBRICKS_SHOW_LIMITS: '0',
     CONTEXTBRICKS_SHOW_CACHE_FIX: '0',
     CONTEXTBRICKS_WIDTH: '120',
+    // Always read live git state; never touch the developer's git cache
+    CONTEXTBRICKS_GIT_CACHE_MAX_AGE: '0',
     ...extraEnv,
   };
 
-  const result = spawnSync(process.execPath, [STATUSLINE], {
-    input: fixtureJson,
-    encoding: 'utf8',
-    stdio: ['pipe', 'pipe', 'pipe'],
-    timeout: 5000,
-    windowsHide: true,
-    env,
-  });
-
-  // Clean up temp cache file
-  try { fs.unlinkSync(tmpCache); } catch { /* best-effort */ }
-  try { fs.unlinkSync(tmpCache + '.tmp'); } catch { /* best-effort */ }
-
-  return {
-    stdout: stripAnsi(result.stdout || ''),
-    stderr: result.stderr || '',
-    status: result.status,
-  };
+  try {
+    const result = spawnSync(process.execPath, opts.argv || [STATUSLINE], {
+      input: input ? JSON.stringify({ _mock_profile: {}, ...input }) : '',
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 10000,
+      windowsHide: true,
+      env,
+    });
+    return {
+      stdout: stripAnsi(result.stdout || ''),
+      raw: result.stdout || '',
+      stderr: result.stderr || '',
+      status: result.status,
+    };
+  } finally {
+    try { fs.rmSync(home, { recursive: true, force: true }); } catch { /* best-effort */ }
+  }
+}
+
+/**
+ * Run scripts/statusline.js with the given fixture JSON as stdin, rate-limit
+ * line on.
+ *
+ * @param {string} fixtureName  — filename in fixtures/ dir (without path)
+ * @param {object} [extraEnv]   — additional env vars (see runStatusline)
+ * @returns {{ stdout: string, raw: string, stderr: string, status: number }}
+ */
+function runFixture(fixtureName, extraEnv) {
+  const input = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, fixtureName), 'utf8'));
+  return runStatusline(input, { CONTEXTBRICKS_SHOW_LIMITS: '1', ...extraEnv });
 }
 
 // ---------------------------------------------------------------------------
@@ -210,41 +233,280 @@ test('proxy-5xx-all-models: 502 produces upstream-5xx hint (service degraded)',
 // UNAVAILABLE path — no auth in mock env; creds.json isolated via HOME override.
 // Expected Line 4: [no API auth — set ANTHROPIC_AUTH_TOKEN or run claude]
 //
-// Cache isolation: CONTEXTBRICKS_CACHE_PATH set to temp file.
-// Auth isolation: HOME (Linux/Mac) and USERPROFILE (Windows) pointed at a temp
-// directory that has no ~/.claude/.credentials.json, preventing real creds from
-// polluting the no-auth assertion.
+// runStatusline points HOME (Linux/Mac) and USERPROFILE (Windows) at a temp
+// directory that has no ~/.claude/.credentials.json, so real credentials on the
+// machine cannot pollute the no-auth assertion.
 // ---------------------------------------------------------------------------
 
 test('no-config: no auth produces no-auth hint', () => {
-  // Create a temp HOME directory with no credentials
-  const tmpHome = path.join(os.tmpdir(), `cb-test-home-${Date.now()}-${Math.random().toString(36).slice(2)}`);
-  fs.mkdirSync(tmpHome, { recursive: true });
+  const { stdout, status } = runFixture('no-config.json');
+
+  assert.strictEqual(status, 0, `Process exited non-zero. stdout:\n${stdout}`);
+
+  // FR-8 literal: no-auth maps to [no API auth — set ANTHROPIC_AUTH_TOKEN or run claude]
+  assert.ok(
+    stdout.includes('[no API auth — set ANTHROPIC_AUTH_TOKEN or run claude]'),
+    `Expected no-auth hint in output.\nstdout:\n${stdout}`
+  );
+
+  // Must NOT contain quota utilization segments (session: label is distinctive)
+  assert.ok(
+    !stdout.includes('session:'),
+    `Should not contain session segment when UNAVAILABLE.\nstdout:\n${stdout}`
+  );
+});
+
+// ---------------------------------------------------------------------------
+// JSON output mode
+// Same fixture as native-fresh, CONTEXTBRICKS_OUTPUT=json.
+// Expected: exactly one JSON document on stdout carrying the merged rate view.
+// ---------------------------------------------------------------------------
+
+test('json-output: native-fresh as a single versioned JSON document', () => {
+  const { stdout, status } = runFixture('native-fresh.json', { CONTEXTBRICKS_OUTPUT: 'json' });
+
+  assert.strictEqual(status, 0, `Process exited non-zero. stdout:\n${stdout}`);
+  assert.strictEqual(stdout.trim().split('\n').length, 1, `Expected one line.\nstdout:\n${stdout}`);
+
+  const doc = JSON.parse(stdout);
+  assert.strictEqual(doc.schema_version, 1);
+  assert.strictEqual(doc.model, 'Sonnet 4.5 (200k)');
+  assert.strictEqual(doc.context.used_pct, 15);
+  assert.strictEqual(doc.rate.freshness, 'FRESH');
+  assert.strictEqual(doc.rate.session.utilization, 28);
+  assert.strictEqual(doc.rate.week.utilization, 7);
+});
+
+// ---------------------------------------------------------------------------
+// contextbricks render --target tmux
+// The native-fresh fixture stands in for the last stdin snapshot.
+// Expected: one line of tmux markup, no ANSI escapes.
+// ---------------------------------------------------------------------------
+
+test('render-tmux: `contextbricks render --target tmux` replays the snapshot', () => {
+  const snapshot = path.join(os.tmpdir(), `cb-snapshot-test-${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+  fs.copyFileSync(path.join(FIXTURES_DIR, 'native-fresh.json'), snapshot);
 
   try {
-    const { stdout, status } = runFixture('no-config.json', {
-      // Override home to prevent real creds.json from being read
-      HOME: tmpHome,
-      USERPROFILE: tmpHome,
-      HOMEDRIVE: tmpHome.slice(0, 2),
-      HOMEPATH: tmpHome.slice(2),
-    });
+    const result = runStatusline(null, {
+      NO_COLOR: '',
+      CONTEXTBRICKS_SNAPSHOT_PATH: snapshot,
+      CONTEXTBRICKS_SHOW_LIMITS: '1',
+      CONTEXTBRICKS_SHOW_CACHE_FIX: '1',
+      CONTEXTBRICKS_WIDTH: '0',
+    }, { argv: [path.join(__dirname, '..', '..', 'bin', 'cli.js'), 'render', '--target', 'tmux'] });
+
+    assert.strictEqual(result.status, 0, `Process exited non-zero. stderr:\n${result.stderr}`);
+    const out = result.raw;
+    assert.strictEqual(out.trim().split('\n').length, 1, `Expected one line.\nstdout:\n${out}`);
+    assert.ok(!out.includes('\x1b['), `Expected no ANSI escapes.\nstdout:\n${out}`);
+    assert.ok(out.includes('#[fg=colour6,bold][Sonnet 4.5 (200k)]#[default]'), `Expected tmux markup.\nstdout:\n${out}`);
+    assert.ok(out.includes('session:') && out.includes('28%'), `Expected session quota.\nstdout:\n${out}`);
+  } finally {
+    try { fs.unlinkSync(snapshot); } catch { /* best-effort */ }
+  }
+});
 
-    assert.strictEqual(status, 0, `Process exited non-zero. stdout:\n${stdout}`);
+// ---------------------------------------------------------------------------
+// OSC 8 hyperlinks
+// Throwaway repo with a GitHub origin, CONTEXTBRICKS_HYPERLINKS=on.
+// Expected: repo, branch and commit wrapped in links; text unchanged.
+// ---------------------------------------------------------------------------
 
-    // FR-8 literal: no-auth maps to [no API auth — set ANTHROPIC_AUTH_TOKEN or run claude]
-    assert.ok(
-      stdout.includes('[no API auth — set ANTHROPIC_AUTH_TOKEN or run claude]'),
-      `Expected no-auth hint in output.\nstdout:\n${stdout}`
+test('hyperlinks: repo, branch and commit link to the GitHub origin', () => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'cb-links-'));
+  const run = (args) => spawnSync('git', args, { cwd: repo, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  run(['-c', 'init.defaultBranch=main', 'init', '-q']);
+  run(['remote', 'add', 'origin', 'git@github.com:acme/widget.git']);
+  run(['-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-q', '--allow-empty', '-m', 'init']);
+  const sha = run(['rev-parse', '--short', 'HEAD']).stdout.toString().trim();
+
+  try {
+    const result = runStatusline(
+      { model: { display_name: 'Claude Opus' }, workspace: { current_dir: repo } },
+      { CONTEXTBRICKS_HYPERLINKS: 'on' },
     );
 
-    // Must NOT contain quota utilization segments (session: label is distinctive)
-    assert.ok(
-      !stdout.includes('session:'),
-      `Should not contain session segment when UNAVAILABLE.\nstdout:\n${stdout}`
+    assert.strictEqual(result.status, 0, `Process exited non-zero. stderr:\n${result.stderr}`);
+    const out = result.raw;
+    const base = 'https://github.com/acme/widget';
+    assert.ok(out.includes(`\x1b]8;;${base}\x1b\\`), `Expected repo link.\nstdout:\n${JSON.stringify(out)}`);
+    assert.ok(out.includes(`\x1b]8;;${base}/tree/main\x1b\\`), `Expected branch link.\nstdout:\n${JSON.stringify(out)}`);
+    assert.ok(out.includes(`\x1b]8;;${base}/commit/${sha}\x1b\\`), `Expected commit link.\nstdout:\n${JSON.stringify(out)}`);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Repository label from the remote
+// A clone in a directory named tmp2 with a GitHub origin.
+// Expected: `gh acme/widget` with repoLabel remote, `tmp2` by default and
+// without a remote.
+// ---------------------------------------------------------------------------
+
+test('repo-label: owner/name and forge badge from origin', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cb-label-'));
+  const repo = path.join(root, 'tmp2');
+  fs.mkdirSync(repo);
+  const git = (args) => spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: repo, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  git(['-c', 'init.defaultBranch=main', 'init', '-q']);
+  git(['commit', '-q', '--allow-empty', '-m', 'init']);
+  const line1 = (env) => {
+    const result = runStatusline({ model: { display_name: 'Claude Opus' }, workspace: { current_dir: repo } }, env);
+    assert.strictEqual(result.status, 0, `Process exited non-zero. stderr:\n${result.stderr}`);
+    return result.stdout.split('\n')[0];
+  };
+
+  try {
+    assert.ok(line1({ CONTEXTBRICKS_REPO_LABEL: 'remote' }).includes(' tmp2:main'), 'no remote → directory name');
+    git(['remote', 'add', 'origin', 'git@github.com:acme/widget.git']);
+    const remote = line1({ CONTEXTBRICKS_REPO_LABEL: 'remote' });
+    assert.ok(remote.includes(' gh acme/widget:main'), remote);
+    assert.ok(line1({}).includes(' tmp2:main'), 'default stays the directory name');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Jujutsu repository
+// Directory with a .jj marker and a stub `jj` on PATH.
+// Expected: line 1 shows the repo and bookmark, line 2 the change id and
+// description.
+// ---------------------------------------------------------------------------
+
+test('jj-repo: bookmark and change id from a stub jj on PATH', { skip: process.platform === 'win32' && 'sh stub' }, () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cb-jj-'));
+  const repo = path.join(root, 'widget');
+  fs.mkdirSync(path.join(repo, '.jj'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'bin'));
+  fs.writeFileSync(path.join(root, 'bin', 'jj'), '#!/bin/sh\nprintf "kmtqzvxo\\ndirty\\n\\nmain\\n\\nAlice Doe\\nfeat: add parser"\n', { mode: 0o755 });
+
+  try {
+    const result = runStatusline(
+      { model: { display_name: 'Claude Opus' }, workspace: { current_dir: repo } },
+      { PATH: `${path.join(root, 'bin')}${path.delimiter}${process.env.PATH}` },
     );
+
+    assert.strictEqual(result.status, 0, `Process exited non-zero. stderr:\n${result.stderr}`);
+    const lines = result.stdout.split('\n');
+    // main with a non-empty working-copy commit trips the protected-branch warning
+    assert.ok(lines[0].includes('widget:main ⚠ protected *'), `Expected repo:bookmark and dirty marker.\nstdout:\n${result.stdout}`);
+    assert.equal(lines[1], '[kmtqzvxo] feat: add parser');
   } finally {
-    // Clean up temp HOME
-    try { fs.rmSync(tmpHome, { recursive: true, force: true }); } catch { /* best-effort */ }
+    fs.rmSync(root, { recursive: true, force: true });
   }
 });
+
+// ---------------------------------------------------------------------------
+// Protected branch
+// Clone of a bare origin on `main`, then unpushed work, then feature branches;
+// last a repository that has no remote at all.
+// Expected: `⚠ protected` after main only while work is pending: an
+// uncommitted file, or a commit no remote has; custom patterns replace the
+// defaults; a local-only repository is never flagged for its commits.
+// ---------------------------------------------------------------------------
+
+test('protected-branch: uncommitted or unpushed work on main is flagged', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cb-guard-'));
+  const origin = path.join(root, 'origin.git');
+  const repo = path.join(root, 'clone');
+  const local = path.join(root, 'local');
+  const git = (args, cwd = repo) => spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  git(['-c', 'init.defaultBranch=main', 'init', '-q', '--bare', origin], root);
+  git(['clone', '-q', origin, repo], root);
+  git(['checkout', '-q', '-b', 'main']);
+  git(['commit', '-q', '--allow-empty', '-m', 'init']);
+  git(['push', '-q', '-u', 'origin', 'main']);
+  const render = (env = {}, dir = repo) => {
+    const result = runStatusline({ model: { display_name: 'Claude Opus' }, workspace: { current_dir: dir } }, env);
+    assert.strictEqual(result.status, 0, `Process exited non-zero. stderr:\n${result.stderr}`);
+    return result.stdout.split('\n')[0];
+  };
+
+  try {
+    assert.ok(!render().includes('⚠ protected'), 'pushed, clean main is not flagged');
+    fs.writeFileSync(path.join(repo, 'notes.txt'), 'x');
+    assert.ok(render().includes(':main ⚠ protected ?1'), render());
+    assert.ok(!render({ CONTEXTBRICKS_PROTECTED_BRANCHES: 'release/*' }).includes('⚠ protected'), 'custom list replaces the defaults');
+    fs.rmSync(path.join(repo, 'notes.txt'));
+    git(['branch', '-q', '--unset-upstream']);
+    assert.ok(!render().includes('⚠ protected'), 'no upstream, but every commit is on origin');
+    git(['commit', '-q', '--allow-empty', '-m', 'local']);
+    assert.ok(render().includes(':main ⚠ protected'), `commit no remote has: ${render()}`);
+    git(['checkout', '-q', '-b', 'release/2.0']);
+    assert.ok(render({ CONTEXTBRICKS_PROTECTED_BRANCHES: 'release/*' }).includes(':release/2.0 ⚠ protected'));
+    git(['checkout', '-q', '-b', 'feature']);
+    assert.ok(!render().includes('⚠ protected'), 'feature branches are not flagged');
+
+    git(['-c', 'init.defaultBranch=main', 'init', '-q', local], root);
+    git(['commit', '-q', '--allow-empty', '-m', 'init'], local);
+    assert.ok(!render({}, local).includes('⚠ protected'), `clean main without a remote: ${render({}, local)}`);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Large repository
+// Real repository with an untracked file and an fsmonitor hook that sleeps.
+// Expected: `?1` by default, none with `untracked: "no"`, `?` in place of the
+// status once the hook outlasts gitTimeout, no repository with `git: false`.
+// ---------------------------------------------------------------------------
+
+test('large-repo: per-repo git settings and the timeout marker', { skip: process.platform === 'win32' && 'sh hook' }, () => {
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cb-large-')));
+  const git = (args) => spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: repo, stdio: 'pipe', timeout: 5000, windowsHide: true });
+  git(['-c', 'init.defaultBranch=trunk', 'init', '-q']);
+  git(['commit', '-q', '--allow-empty', '-m', 'init']);
+  fs.writeFileSync(path.join(repo, 'notes.txt'), 'x');
+  const render = (env = {}) => {
+    const result = runStatusline({ model: { display_name: 'Claude Opus' }, workspace: { current_dir: repo } }, env);
+    assert.strictEqual(result.status, 0, `Process exited non-zero. stderr:\n${result.stderr}`);
+    return result.stdout.split('\n')[0];
+  };
+  const repos = (settings) => ({ CONTEXTBRICKS_GIT_REPOS: JSON.stringify({ [repo]: settings }) });
+
+  try {
+    assert.ok(render().includes(':trunk ?1'), render());
+    const noUntracked = render(repos({ untracked: 'no' }));
+    assert.ok(noUntracked.includes(':trunk') && !noUntracked.includes('?'), noUntracked);
+    assert.ok(!render(repos({ git: false })).includes(':trunk'), 'no git collection');
+
+    const hook = path.join(repo, '.git', 'slow-fsmonitor.sh');
+    fs.writeFileSync(hook, '#!/bin/sh\nsleep 2\n', { mode: 0o755 });
+    git(['config', 'core.fsmonitor', hook]);
+    const slow = render(repos({ timeout: 300 }));
+    assert.ok(slow.includes(':trunk ?'), slow);
+    assert.ok(!slow.includes('?1'), 'counts unknown');
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Token categories
+// context_window.current_usage on stdin, 160-column terminal.
+// Expected: the legend on line 3 in category order, gone with
+// CONTEXTBRICKS_BRICK_CATEGORIES=0.
+// ---------------------------------------------------------------------------
+
+test('brick-categories: split bar legend from current_usage', () => {
+  const render = (env = {}) => {
+    const result = runStatusline({
+      model: { display_name: 'Claude Opus' },
+      workspace: { current_dir: os.tmpdir() },
+      context_window: {
+        context_window_size: 200000,
+        current_usage: { input_tokens: 2100, cache_creation_input_tokens: 8000, cache_read_input_tokens: 70000, output_tokens: 900 },
+      },
+    }, env);
+    assert.strictEqual(result.status, 0, `Process exited non-zero. stderr:\n${result.stderr}`);
+    return result.stdout.split('\n').find((l) => l.includes('free')) || '';
+  };
+
+  const line = render({ CONTEXTBRICKS_WIDTH: '160' });
+  assert.ok(line.includes('■ input 2k ■ cache write 8k ■ cache read 70k ■ output 900'), line);
+  assert.ok(!render({ CONTEXTBRICKS_BRICK_CATEGORIES: '0' }).includes('input'), 'single-color bar');
+});